@@ -0,0 +1,183 @@
+// Text alternatives for the Doppler effect simulation
+// describeScene() turns the state of the simulation into structured text
+// (positions, motion, frequencies, distances and closing speeds) for a
+// screen reader, and Announcer feeds short messages to an ARIA live region
+// without flooding it.
+
+(function (exports) {
+  const { Vector2 } =
+    typeof module !== "undefined" ? require("./vector.js") : exports;
+  const { describeMedium } =
+    typeof module !== "undefined" ? require("./media.js") : exports;
+  const { describeSignal } =
+    typeof module !== "undefined" ? require("./signals.js") : exports;
+
+  // Relative difference below which an observed frequency counts as unshifted
+  const SHIFT_TOLERANCE = 0.002;
+
+  const DIRECTIONS = ["right", "down-right", "down", "down-left", "left", "up-left", "up", "up-right"];
+
+  /**
+   * @param {Object} reading - Observer reading of a source
+   * @returns {String} - 'none' before anything arrives, then 'higher',
+   *   'lower' or 'unchanged' than the frequency the source emitted the
+   *   sound heard now
+   */
+  function shiftState(reading) {
+    if (!reading || !reading.hasSignal) return "none";
+    let ratio = reading.frequency / reading.sourceFrequency;
+    if (ratio > 1 + SHIFT_TOLERANCE) return "higher";
+    if (ratio < 1 - SHIFT_TOLERANCE) return "lower";
+    return "unchanged";
+  }
+
+  /**
+   * @param {String} state - Shift state from shiftState()
+   * @returns {String} - Spoken description of the shift
+   */
+  function describeShift(state) {
+    return {
+      none: "no sound yet",
+      higher: "higher, blueshifted",
+      lower: "lower, redshifted",
+      unchanged: "unshifted",
+    }[state];
+  }
+
+  /**
+   * @param {Vector2} vel - Velocity (m/s)
+   * @returns {String} - e.g. "at rest" or "moving down-right at 12.0 m/s"
+   */
+  function describeMotion(vel) {
+    let speed = vel.mag();
+    if (speed < 0.05) return "at rest";
+    let sector = Math.round(vel.heading() / (Math.PI / 4));
+    let direction = DIRECTIONS[((sector % 8) + 8) % 8];
+    return `moving ${direction} at ${speed.toFixed(1)} m/s`;
+  }
+
+  /**
+   * @param {Vector2} pos - Position (m)
+   * @returns {String} - Position rounded to the meter
+   */
+  function describePosition(pos) {
+    return `at (${pos.x.toFixed(0)}, ${pos.y.toFixed(0)}) m`;
+  }
+
+  /**
+   * Structured description of the scene
+   * @param {DopplerSimulation} sim - Simulation
+   * @returns {Object[]} - Sections { title, items }, each item one sentence
+   */
+  function describeScene(sim) {
+    let label = (prefix, list, body) => `${prefix}${list.indexOf(body) + 1}`;
+    let light = sim.waveModel.name === "light";
+
+    let setting = [
+      `Time ${sim.time.toFixed(1)} s.`,
+      light
+        ? `Light mode, speed of light ${sim.lightSpeed.toFixed(0)} m/s (scaled).`
+        : `Sound mode in ${describeMedium(sim.medium)}, speed of sound ${sim.soundSpeed.toFixed(0)} m/s.`,
+    ];
+    if (!light && sim.wind.mag() > 0) {
+      setting.push(`Wind ${describeMotion(sim.wind).replace("moving ", "blowing ")}.`);
+    }
+
+    let sources = sim.sources.map(
+      (source) =>
+        `${label("S", sim.sources, source)} ${describePosition(source.pos)}, ` +
+        `${describeMotion(source.vel)}, emitting ${sim.frequencyAt(source).toFixed(2)} Hz, ` +
+        `${describeSignal(source.signal).toLowerCase()}.`
+    );
+
+    let observers = sim.observers.map((observer) => {
+      let heard = sim.sources.map((source) => {
+        let reading = observer.readings[source.id];
+        let state = shiftState(reading);
+        let name = label("S", sim.sources, source);
+        return state === "none"
+          ? `${name}: ${describeShift(state)}`
+          : `${name} at ${reading.frequency.toFixed(2)} Hz, ${describeShift(state)}`;
+      });
+      let level = observer.hasSignal ? `, ${observer.level.toFixed(0)} dB in total` : "";
+      return (
+        `${label("O", sim.observers, observer)} ${describePosition(observer.pos)}, ` +
+        `${describeMotion(observer.vel)}, hears ${heard.join("; ")}${level}.`
+      );
+    });
+
+    let pairs = [];
+    for (let observer of sim.observers) {
+      for (let source of sim.sources) {
+        let distance = Vector2.dist(source.pos, observer.pos);
+        let radial = sim.radialVelocities(source, observer);
+        let closing = radial.source + radial.observer;
+        let motion =
+          Math.abs(closing) < 0.05
+            ? "distance not changing"
+            : `${closing > 0 ? "closing" : "separating"} at ${Math.abs(closing).toFixed(1)} m/s`;
+        pairs.push(
+          `${label("S", sim.sources, source)} to ${label("O", sim.observers, observer)}: ` +
+            `${distance.toFixed(0)} m apart, ${motion}.`
+        );
+      }
+    }
+
+    let sections = [
+      { title: "Setting", items: setting },
+      { title: "Sources", items: sources },
+      { title: "Observers", items: observers },
+      { title: "Distances", items: pairs },
+    ];
+    if (sim.reflectors.length > 0) {
+      sections.push({
+        title: "Reflectors",
+        items: sim.reflectors.map(
+          (reflector) =>
+            `${label("R", sim.reflectors, reflector)} ${describePosition(reflector.pos)}, ` +
+            `${reflector.length.toFixed(0)} m long, ${describeMotion(reflector.vel)}.`
+        ),
+      });
+    }
+    return sections;
+  }
+
+  // Collects messages for an ARIA live region and writes them at most once
+  // per interval, joined, so a screen reader is not interrupted constantly
+  class Announcer {
+    /**
+     * @param {HTMLElement} element - Live region (aria-live="polite")
+     * @param {Number} interval - Shortest time between announcements (s)
+     */
+    constructor(element, interval) {
+      this.element = element;
+      this.interval = interval;
+      this.pending = [];
+      this.lastTime = -Infinity; // Time of the last announcement (s)
+    }
+
+    /**
+     * Queues a message; repeated messages are only announced once
+     * @param {String} message - Text to announce
+     */
+    say(message) {
+      if (!this.pending.includes(message)) this.pending.push(message);
+    }
+
+    /**
+     * Writes the queued messages if the interval has passed
+     * @param {Number} now - Current time (s)
+     */
+    update(now) {
+      if (this.pending.length === 0 || now - this.lastTime < this.interval) return;
+      this.element.textContent = this.pending.join(" ");
+      this.pending = [];
+      this.lastTime = now;
+    }
+  }
+
+  exports.shiftState = shiftState;
+  exports.describeShift = describeShift;
+  exports.describeScene = describeScene;
+  exports.Announcer = Announcer;
+})(typeof module !== "undefined" ? module.exports : this);
@@ -0,0 +1,189 @@
+// Sonification of the emitted and observed signals with the Web Audio API
+// The simulated frequencies (a few Hz) are scaled into the audible range by a
+// pitch multiplier and played through one oscillator per signal, with the
+// harmonics of the source's waveform.
+
+(function (exports) {
+  // Default audio parameters
+  const AUDIO_DEFAULTS = {
+    pitchMultiplier: 100, // Audible frequency per simulated frequency
+    minAudibleFreq: 20, // Lowest frequency played (Hz)
+    maxAudibleFreq: 5000, // Highest frequency played (Hz)
+    rampTime: 0.05, // Time constant of frequency and gain changes (s)
+    volume: 0.15, // Gain of each audible channel (0-1)
+    waveform: "sine", // OscillatorNode type
+  };
+
+  const CHANNEL_NAMES = ["emitted", "observed"];
+
+  /**
+   * Maps a simulated frequency into the audible range
+   * @param {Number} frequency - Simulated frequency (Hz)
+   * @param {Number} pitchMultiplier - Scale factor applied to the frequency
+   * @param {Number} minFreq - Lowest audible frequency returned (Hz)
+   * @param {Number} maxFreq - Highest audible frequency returned (Hz)
+   * @returns {Number} - Audible frequency (Hz)
+   */
+  function mapToAudible(frequency, pitchMultiplier, minFreq, maxFreq) {
+    return Math.max(minFreq, Math.min(maxFreq, frequency * pitchMultiplier));
+  }
+
+  class Sonification {
+    /**
+     * @param {Function} createContext - Returns a new AudioContext (or an
+     *   OfflineAudioContext / stub with the same node API)
+     * @param {Object} options - Overrides for AUDIO_DEFAULTS
+     */
+    constructor(createContext, options = {}) {
+      Object.assign(this, AUDIO_DEFAULTS, options);
+
+      this.createContext = createContext;
+      this.context = null;
+      this.enabled = false;
+      this.channels = {};
+      for (let name of CHANNEL_NAMES) {
+        this.channels[name] = {
+          muted: false,
+          solo: false,
+          oscillator: null,
+          gain: null,
+          harmonics: null, // Harmonics the oscillator plays, as text
+        };
+      }
+    }
+
+    /**
+     * Creates the audio graph and starts both oscillators. Browsers only allow
+     * this in response to a user gesture such as a key press.
+     */
+    start() {
+      if (this.enabled) return;
+
+      if (!this.context) {
+        this.context = this.createContext();
+      }
+      if (this.context.state === "suspended" && this.context.resume) {
+        this.context.resume();
+      }
+
+      for (let name of CHANNEL_NAMES) {
+        let channel = this.channels[name];
+
+        channel.oscillator = this.context.createOscillator();
+        channel.oscillator.type = this.waveform;
+        channel.oscillator.frequency.value = this.minAudibleFreq;
+
+        // Start silent and fade in on the first update
+        channel.gain = this.context.createGain();
+        channel.gain.gain.value = 0;
+
+        channel.oscillator.connect(channel.gain);
+        channel.gain.connect(this.context.destination);
+        channel.oscillator.start();
+      }
+
+      this.enabled = true;
+    }
+
+    /**
+     * Stops and disconnects both oscillators
+     */
+    stop() {
+      if (!this.enabled) return;
+
+      for (let name of CHANNEL_NAMES) {
+        let channel = this.channels[name];
+        channel.oscillator.stop();
+        channel.oscillator.disconnect();
+        channel.gain.disconnect();
+        channel.oscillator = null;
+        channel.gain = null;
+        channel.harmonics = null;
+      }
+
+      this.enabled = false;
+    }
+
+    toggle() {
+      if (this.enabled) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    }
+
+    toggleMute(name) {
+      this.channels[name].muted = !this.channels[name].muted;
+    }
+
+    toggleSolo(name) {
+      this.channels[name].solo = !this.channels[name].solo;
+    }
+
+    /**
+     * Whether a channel passes the mute/solo rules: if any channel is soloed
+     * only soloed channels play, otherwise every unmuted channel plays
+     * @param {String} name - 'emitted' or 'observed'
+     * @returns {Boolean}
+     */
+    isChannelAudible(name) {
+      let anySolo = CHANNEL_NAMES.some((other) => this.channels[other].solo);
+      if (anySolo) {
+        return this.channels[name].solo;
+      }
+      return !this.channels[name].muted;
+    }
+
+    /**
+     * Gives a channel's oscillator the timbre of a waveform, unless it
+     * already has it
+     * @param {Object} channel - Channel
+     * @param {Number[]} harmonics - Sine amplitudes of harmonics 1, 2, ...
+     */
+    setHarmonics(channel, harmonics) {
+      let key = harmonics.join(",");
+      if (channel.harmonics === key) return;
+      channel.harmonics = key;
+
+      let imag = new Float32Array([0].concat(harmonics));
+      let real = new Float32Array(imag.length);
+      channel.oscillator.setPeriodicWave(this.context.createPeriodicWave(real, imag));
+    }
+
+    /**
+     * Ramps the oscillators toward the current simulated frequencies
+     * @param {Object} signals - { emitted, observed } each with frequency (Hz),
+     *   active (false silences the channel, e.g. before any wave arrives)
+     *   and optionally harmonics (sine amplitudes of harmonics 1, 2, ...;
+     *   the oscillator keeps its waveform without them)
+     */
+    update(signals) {
+      if (!this.enabled) return;
+
+      let now = this.context.currentTime;
+
+      for (let name of CHANNEL_NAMES) {
+        let channel = this.channels[name];
+        let signal = signals[name];
+        if (signal.harmonics) this.setHarmonics(channel, signal.harmonics);
+
+        let targetFreq = mapToAudible(
+          signal.frequency,
+          this.pitchMultiplier,
+          this.minAudibleFreq,
+          this.maxAudibleFreq
+        );
+        let targetGain =
+          signal.active && this.isChannelAudible(name) ? this.volume : 0;
+
+        // Smooth exponential approach avoids clicks and zipper noise
+        channel.oscillator.frequency.setTargetAtTime(targetFreq, now, this.rampTime);
+        channel.gain.gain.setTargetAtTime(targetGain, now, this.rampTime);
+      }
+    }
+  }
+
+  exports.AUDIO_DEFAULTS = AUDIO_DEFAULTS;
+  exports.mapToAudible = mapToAudible;
+  exports.Sonification = Sonification;
+})(typeof module !== "undefined" ? module.exports : this);
@@ -0,0 +1,143 @@
+// Camera for the Doppler effect simulation
+// The simulation works in meters; the camera maps world positions to canvas
+// pixels with a scale (meters per pixel) and an origin (the world position
+// shown at the top-left corner of the canvas), and back again for pointer
+// input. Zooming keeps the world point under the pointer in place.
+
+(function (exports) {
+  const { Vector2 } =
+    typeof module !== "undefined" ? require("./vector.js") : exports;
+
+  const CAMERA_DEFAULTS = {
+    scale: 1, // Meters per pixel
+    minScale: 0.1, // Closest zoom (meters per pixel)
+    maxScale: 10, // Farthest zoom (meters per pixel)
+  };
+
+  class Camera {
+    /**
+     * @param {Object} [options] - Overrides for CAMERA_DEFAULTS
+     */
+    constructor(options = {}) {
+      Object.assign(this, CAMERA_DEFAULTS, options);
+      this.origin = new Vector2(0, 0); // World position of the top-left corner (m)
+    }
+
+    /**
+     * @param {Object} pos - World position { x, y } (m)
+     * @returns {Object} - Canvas position { x, y } (pixels)
+     */
+    toScreen(pos) {
+      return {
+        x: (pos.x - this.origin.x) / this.scale,
+        y: (pos.y - this.origin.y) / this.scale,
+      };
+    }
+
+    /**
+     * @param {Object} point - Canvas position { x, y } (pixels)
+     * @returns {Vector2} - World position (m)
+     */
+    toWorld(point) {
+      return new Vector2(
+        this.origin.x + point.x * this.scale,
+        this.origin.y + point.y * this.scale
+      );
+    }
+
+    /**
+     * @param {Number} meters - World length (m)
+     * @returns {Number} - Canvas length (pixels)
+     */
+    toPixels(meters) {
+      return meters / this.scale;
+    }
+
+    /**
+     * @param {Number} pixels - Canvas length (pixels)
+     * @returns {Number} - World length (m)
+     */
+    toMeters(pixels) {
+      return pixels * this.scale;
+    }
+
+    /**
+     * Changes the scale, keeping the world position under a canvas point
+     * where it is. The scale is kept between minScale and maxScale.
+     * @param {Number} scale - New scale (meters per pixel)
+     * @param {Object} point - Canvas position that stays fixed { x, y } (pixels)
+     */
+    setScale(scale, point) {
+      let anchor = this.toWorld(point);
+      this.scale = Math.max(this.minScale, Math.min(this.maxScale, scale));
+      this.origin.set(anchor.x - point.x * this.scale, anchor.y - point.y * this.scale);
+    }
+
+    /**
+     * @param {Number} factor - Scale multiplier (above 1 zooms out)
+     * @param {Object} point - Canvas position that stays fixed { x, y } (pixels)
+     */
+    zoomAt(factor, point) {
+      this.setScale(this.scale * factor, point);
+    }
+
+    /**
+     * Moves the view with the pointer, so the world follows the drag
+     * @param {Number} dx - Horizontal pointer movement (pixels)
+     * @param {Number} dy - Vertical pointer movement (pixels)
+     */
+    pan(dx, dy) {
+      this.origin.set(this.origin.x - dx * this.scale, this.origin.y - dy * this.scale);
+    }
+
+    /**
+     * Shows a world rectangle as large as it fits, centered on the canvas
+     * @param {Object} bounds - { left, top, width, height } (m)
+     * @param {Number} width - Canvas width (pixels)
+     * @param {Number} height - Canvas height (pixels)
+     */
+    fit(bounds, width, height) {
+      let scale = Math.max(bounds.width / width, bounds.height / height);
+      this.scale = Math.max(this.minScale, Math.min(this.maxScale, scale));
+      this.origin.set(
+        bounds.left + bounds.width / 2 - (width / 2) * this.scale,
+        bounds.top + bounds.height / 2 - (height / 2) * this.scale
+      );
+    }
+
+    /**
+     * @param {Number} width - Canvas width (pixels)
+     * @param {Number} height - Canvas height (pixels)
+     * @returns {Object} - Visible world rectangle { left, top, width, height } (m)
+     */
+    visibleArea(width, height) {
+      return {
+        left: this.origin.x,
+        top: this.origin.y,
+        width: width * this.scale,
+        height: height * this.scale,
+      };
+    }
+
+    /**
+     * @returns {Object} - Scale and origin, for scenario files
+     */
+    toJSON() {
+      return { scale: this.scale, origin: [this.origin.x, this.origin.y] };
+    }
+
+    /**
+     * Restores a view saved with toJSON()
+     * @param {Object} view - { scale, origin: [x, y] }
+     */
+    restore(view) {
+      if (Number.isFinite(view.scale)) {
+        this.scale = Math.max(this.minScale, Math.min(this.maxScale, view.scale));
+      }
+      if (Array.isArray(view.origin)) this.origin.set(view.origin[0], view.origin[1]);
+    }
+  }
+
+  exports.CAMERA_DEFAULTS = CAMERA_DEFAULTS;
+  exports.Camera = Camera;
+})(typeof module !== "undefined" ? module.exports : this);
@@ -0,0 +1,168 @@
+// HTML control panel for the Doppler effect simulation
+// Each control is described by a spec with a getter and a setter, and the
+// panel builds a row with a slider and a numeric field for it (or several
+// numeric fields for a vector). update() reads every getter again, so values
+// changed with the keyboard show up in the panel; a field being edited is
+// left alone until it loses focus. createActionGroup() adds labeled buttons
+// for actions that otherwise need a keyboard shortcut.
+
+(function (exports) {
+  /**
+   * @param {Number} value - Value to show
+   * @param {Number} step - Step of the control
+   * @returns {String} - Value with as many decimals as the step has
+   */
+  function formatValue(value, step) {
+    let decimals = Math.max(0, Math.ceil(-Math.log10(step) - 1e-9));
+    return value.toFixed(decimals);
+  }
+
+  let nextControlId = 1;
+
+  class ControlPanel {
+    /**
+     * @param {HTMLElement} container - Element the rows are added to
+     * @param {Object[]} specs - Controls: { label (text or function), unit,
+     *   min, max, step, get, set, slider (default true), components (names
+     *   of the fields of a vector control, whose get and set use arrays),
+     *   enabled (function, default always) }
+     */
+    constructor(container, specs) {
+      this.container = container;
+      this.rows = specs.map((spec) => this.createRow(spec));
+    }
+
+    /**
+     * @param {Object} spec - Control spec
+     * @returns {Object} - Row { spec, label, slider, fields }
+     */
+    createRow(spec) {
+      let row = document.createElement("div");
+      row.className = "control";
+
+      let label = document.createElement("label");
+      row.appendChild(label);
+
+      let slider = null;
+      if (spec.slider !== false && !spec.components) {
+        slider = document.createElement("input");
+        slider.type = "range";
+        slider.min = spec.min;
+        slider.max = spec.max;
+        slider.step = spec.step;
+        slider.addEventListener("input", () => this.set(spec, [Number(slider.value)]));
+        // Give the keyboard back to the simulation once the mouse lets go
+        slider.addEventListener("pointerup", () => slider.blur());
+        row.appendChild(slider);
+      }
+
+      let fields = (spec.components || [null]).map((component) => {
+        let field = document.createElement("input");
+        field.type = "number";
+        field.step = spec.step;
+        if (spec.min !== undefined) field.min = spec.min;
+        if (spec.max !== undefined) field.max = spec.max;
+        if (component) {
+          field.setAttribute("aria-label", component);
+          field.placeholder = component;
+        }
+        field.addEventListener("change", () =>
+          this.set(spec, fields.map((each) => Number(each.value)))
+        );
+        row.appendChild(field);
+        return field;
+      });
+
+      if (spec.unit) {
+        let unit = document.createElement("span");
+        unit.className = "unit";
+        unit.textContent = spec.unit;
+        row.appendChild(unit);
+      }
+
+      // The label names the slider, or the first field
+      let labelled = slider || fields[0];
+      labelled.id = `control-${nextControlId++}`;
+      label.htmlFor = labelled.id;
+
+      this.container.appendChild(row);
+      return { spec: spec, label: label, slider: slider, fields: fields };
+    }
+
+    /**
+     * Passes new values to a control's setter, ignoring invalid entries and
+     * keeping scalar values within the control's range
+     * @param {Object} spec - Control spec
+     * @param {Number[]} values - New values, one per field
+     */
+    set(spec, values) {
+      if (values.some((value) => !Number.isFinite(value))) return;
+      if (spec.components) {
+        spec.set(values);
+        return;
+      }
+      let value = values[0];
+      if (spec.min !== undefined) value = Math.max(spec.min, value);
+      if (spec.max !== undefined) value = Math.min(spec.max, value);
+      spec.set(value);
+    }
+
+    /**
+     * Shows the current values, labels and enabled state of every control
+     */
+    update() {
+      for (let row of this.rows) {
+        let spec = row.spec;
+        row.label.textContent =
+          typeof spec.label === "function" ? spec.label() : spec.label;
+
+        let disabled = spec.enabled ? !spec.enabled() : false;
+        let value = spec.get();
+        let values = spec.components ? value : [value];
+
+        if (row.slider) {
+          row.slider.disabled = disabled;
+          row.slider.value = value;
+        }
+        row.fields.forEach((field, i) => {
+          field.disabled = disabled;
+          if (document.activeElement !== field) {
+            field.value = formatValue(values[i], spec.step);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Adds a labeled group of buttons
+   * @param {HTMLElement} container - Element the group is added to
+   * @param {String} title - Name of the group
+   * @param {Object[]} actions - Buttons: { label, shortcut (shown, e.g.
+   *   "Shift+S"), keys (for aria-keyshortcuts, e.g. "Shift+S"), run }
+   * @returns {HTMLElement} - The group
+   */
+  function createActionGroup(container, title, actions) {
+    let group = document.createElement("fieldset");
+    let legend = document.createElement("legend");
+    legend.textContent = title;
+    group.appendChild(legend);
+
+    for (let action of actions) {
+      let button = document.createElement("button");
+      button.type = "button";
+      button.textContent = action.shortcut
+        ? `${action.label} (${action.shortcut})`
+        : action.label;
+      if (action.keys) button.setAttribute("aria-keyshortcuts", action.keys);
+      button.addEventListener("click", () => action.run());
+      group.appendChild(button);
+    }
+
+    container.appendChild(group);
+    return group;
+  }
+
+  exports.ControlPanel = ControlPanel;
+  exports.createActionGroup = createActionGroup;
+})(typeof module !== "undefined" ? module.exports : this);
@@ -0,0 +1,463 @@
+// Guided lessons and quizzes for the Doppler effect simulation
+// A lesson is a JSON file made of steps, so teachers can write new ones
+// without changing the sketch:
+//   { format: "doppler-lesson", version, id, title, description,
+//     steps: [{ title, text, preset | scenario, lock, question }] }
+// A step shows its text and may load a preset (by name) or a scenario (a
+// scenario file without format and version, see scenarios.js), lock groups
+// of controls (see LOCKS) and ask a question:
+//   { type: "frequency", source, observer, at, tolerance, prompt }
+//   { type: "shift", source, observer, at, prompt }
+// A frequency question asks what observer `observer` hears from source
+// `source` (numbered from 1, default 1) at simulation time `at`; a shift
+// question asks whether it is "higher", "lower" or "unchanged". The student
+// answers before the simulation runs, and the answer is graded against the
+// observer's reading at time `at`: a frequency is right within `tolerance`
+// (a fraction of the reading, 2% by default). Answers are kept by
+// LessonProgress, which saves them to localStorage and exports them.
+
+(function (exports) {
+  const { PRESET_SCENARIOS, SCENARIO_FORMAT, SCENARIO_VERSION, parseScenario } =
+    typeof module !== "undefined" ? require("./scenarios.js") : exports;
+  const { shiftState } =
+    typeof module !== "undefined" ? require("./accessibility.js") : exports;
+
+  const LESSON_FORMAT = "doppler-lesson";
+  const LESSON_VERSION = 1;
+
+  const QUESTION_DEFAULTS = {
+    source: 1, // Source asked about (numbered from 1)
+    observer: 1, // Observer asked about (numbered from 1)
+    at: 4, // Simulation time the answer is graded at (s)
+    tolerance: 0.02, // Largest error of a right frequency, as a fraction of the reading
+  };
+
+  const SHIFT_ANSWERS = ["higher", "lower", "unchanged"];
+
+  // Commands (see session.js) each lock name blocks; setParameter commands
+  // are listed with the parameter they change
+  const LOCKS = {
+    motion: ["drag", "setMotion", "setThrust", "setMass", "setParameter:maxSpeed", "setParameter:dragCoefficient"],
+    frequency: ["setFrequency", "setSignal"],
+    medium: ["setWind", "setMedium", "setWaveModel", "setParameter:soundSpeed", "setParameter:lightSpeed"],
+    attenuation: ["setParameter:spreading", "setParameter:absorption", "setParameter:sourceLevel"],
+    objects: ["addBody", "removeBody"],
+    scenario: [], // Presets, scenario files and links (checked by the sketch)
+  };
+
+  // Lessons that come with the simulation
+  const BUILT_IN_LESSONS = [
+    {
+      format: LESSON_FORMAT,
+      version: LESSON_VERSION,
+      id: "doppler-basics",
+      title: "Doppler basics",
+      description: "Moving sources, moving observers and a moving medium",
+      steps: [
+        {
+          title: "A source at rest",
+          text:
+            "The source emits 4 Hz in still air at 20 °C, where sound travels at 343.2 m/s. " +
+            "Neither the source nor the observer moves.",
+          scenario: {
+            units: "m",
+            medium: { name: "air", temperature: 20, humidity: 0 },
+            wind: [0, 0],
+            display: { camera: { scale: 1, origin: [0, 0] } },
+            sources: [{ at: [200, 400], frequency: 4 }],
+            observers: [{ at: [600, 400] }],
+          },
+          lock: ["motion", "frequency", "medium", "objects", "scenario"],
+          question: { type: "shift", at: 3 },
+        },
+        {
+          title: "An approaching source",
+          text:
+            "The source now drives toward the observer at 40 m/s. Each wavefront is emitted " +
+            "closer to the observer than the one before, so they arrive squeezed together: " +
+            "f' = f c / (c - vs).",
+          scenario: {
+            units: "m",
+            medium: { name: "air", temperature: 20, humidity: 0 },
+            wind: [0, 0],
+            display: { camera: { scale: 1, origin: [0, 0] } },
+            sources: [{ at: [100, 400], vel: [40, 0], moving: true, frequency: 4 }],
+            observers: [{ at: [700, 400] }],
+          },
+          lock: ["motion", "frequency", "medium", "objects", "scenario"],
+          question: { type: "frequency", at: 4, tolerance: 0.01 },
+        },
+        {
+          title: "An approaching observer",
+          text:
+            "Now the source rests and the observer runs toward it at 40 m/s, meeting the " +
+            "wavefronts more often: f' = f (c + vo) / c. Is the shift the same as for a source " +
+            "moving at the same speed?",
+          scenario: {
+            units: "m",
+            medium: { name: "air", temperature: 20, humidity: 0 },
+            wind: [0, 0],
+            display: { camera: { scale: 1, origin: [0, 0] } },
+            sources: [{ at: [100, 400], frequency: 4 }],
+            observers: [{ at: [700, 400], vel: [-40, 0], moving: true }],
+          },
+          lock: ["motion", "frequency", "medium", "objects", "scenario"],
+          question: { type: "frequency", at: 4, tolerance: 0.01 },
+        },
+        {
+          title: "A receding source",
+          text: "The source drives away from the observer at 40 m/s.",
+          scenario: {
+            units: "m",
+            medium: { name: "air", temperature: 20, humidity: 0 },
+            wind: [0, 0],
+            display: { camera: { scale: 1, origin: [0, 0] } },
+            sources: [{ at: [500, 400], vel: [-40, 0], moving: true, frequency: 4 }],
+            observers: [{ at: [700, 400] }],
+          },
+          lock: ["motion", "frequency", "medium", "objects", "scenario"],
+          question: { type: "shift", at: 3 },
+        },
+        {
+          title: "Wind",
+          text:
+            "Source and observer rest in a 40 m/s wind. The wavefronts drift with the air " +
+            "and reach the observer sooner.",
+          preset: "Wind only",
+          lock: ["motion", "frequency", "medium", "objects", "scenario"],
+          question: { type: "shift", at: 4 },
+        },
+        {
+          title: "Explore",
+          text:
+            "Everything is unlocked. Drag the source and the observer, or press 1 to 9 for " +
+            "more scenarios, and compare the observed frequency with the formulas.",
+        },
+      ],
+    },
+  ];
+
+  /**
+   * @param {Object} step - Lesson step
+   * @returns {Object|null} - The step's question with the defaults filled
+   *   in, or null for a step without one
+   */
+  function stepQuestion(step) {
+    if (!step.question) return null;
+    return Object.assign({}, QUESTION_DEFAULTS, step.question);
+  }
+
+  /**
+   * @param {Object} question - Question from stepQuestion()
+   * @returns {String} - The question's prompt, or one made from its settings
+   */
+  function questionPrompt(question) {
+    if (question.prompt) return question.prompt;
+    let pair = `O${question.observer} hear from S${question.source} at t = ${question.at} s`;
+    return question.type === "frequency"
+      ? `What frequency (Hz) will ${pair}?`
+      : `Will the frequency ${pair} be higher, lower or unchanged?`;
+  }
+
+  /**
+   * @param {Object} step - Lesson step
+   * @returns {Object|null} - The scenario the step loads, or null
+   */
+  function stepScenario(step) {
+    if (step.preset !== undefined) {
+      return PRESET_SCENARIOS.find((scenario) => scenario.name === step.preset);
+    }
+    return step.scenario || null;
+  }
+
+  /**
+   * @param {Object} command - Command (see session.js)
+   * @param {String[]} locks - Lock names (see LOCKS)
+   * @returns {Boolean} - Whether one of the locks blocks the command
+   */
+  function isLocked(command, locks) {
+    let key = command.type === "setParameter" ? `setParameter:${command.name}` : command.type;
+    return locks.some((lock) => LOCKS[lock].includes(key));
+  }
+
+  /**
+   * Grades an answer against the physics model
+   * @param {Object} question - Question from stepQuestion()
+   * @param {Number|String} answer - Frequency (Hz), or a shift from SHIFT_ANSWERS
+   * @param {DopplerSimulation} sim - Simulation at the question's time
+   * @returns {Object} - { answer, expected, correct }, with expected the
+   *   observed frequency (Hz) or the observed shift ("none" before any
+   *   sound arrives, which no answer matches)
+   */
+  function gradeAnswer(question, answer, sim) {
+    let source = sim.sources[question.source - 1];
+    let observer = sim.observers[question.observer - 1];
+    let reading = source && observer ? observer.readings[source.id] : null;
+
+    if (question.type === "frequency") {
+      let expected = reading && reading.hasSignal ? reading.frequency : null;
+      let correct =
+        expected !== null && Math.abs(answer - expected) <= question.tolerance * expected;
+      return { answer: answer, expected: expected, correct: correct };
+    }
+    let expected = shiftState(reading);
+    return { answer: answer, expected: expected, correct: answer === expected };
+  }
+
+  /**
+   * Checks a lesson file and returns it
+   * @param {String|Object} data - Lesson file, as JSON text or parsed
+   * @returns {Object} - The lesson
+   * @throws {Error} - If the data is not a lesson this version can run
+   */
+  function parseLesson(data) {
+    let lesson = data;
+    if (typeof data === "string") {
+      try {
+        lesson = JSON.parse(data);
+      } catch (error) {
+        throw new Error("Lesson is not valid JSON");
+      }
+    }
+
+    if (!lesson || lesson.format !== LESSON_FORMAT) {
+      throw new Error("Not a Doppler lesson file");
+    }
+    if (!(lesson.version <= LESSON_VERSION)) {
+      throw new Error(
+        `Lesson version ${lesson.version} is newer than this simulation supports (${LESSON_VERSION})`
+      );
+    }
+    if (typeof lesson.id !== "string" || lesson.id === "") {
+      throw new Error("Lesson has no id");
+    }
+    if (!Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+      throw new Error("Lesson has no steps");
+    }
+
+    let scene = null; // Scenario on screen at each step, when the lesson sets one
+    lesson.steps.forEach((step, i) => {
+      let name = `Step ${i + 1}`;
+      if (step.preset !== undefined && !stepScenario(step)) {
+        throw new Error(`${name}: unknown preset "${step.preset}"`);
+      }
+      if (step.scenario) {
+        // Checked like a scenario file, which a step's scenario need not be marked as
+        try {
+          parseScenario(
+            Object.assign({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION }, step.scenario)
+          );
+        } catch (error) {
+          throw new Error(`${name}: ${error.message}`);
+        }
+      }
+      for (let lock of step.lock || []) {
+        if (!LOCKS[lock]) throw new Error(`${name}: unknown lock "${lock}"`);
+      }
+      scene = stepScenario(step) || scene;
+
+      let question = step.question;
+      if (!question) return;
+      if (!["frequency", "shift"].includes(question.type)) {
+        throw new Error(`${name}: unknown question type "${question.type}"`);
+      }
+      if (question.at !== undefined && !(Number.isFinite(question.at) && question.at >= 0)) {
+        throw new Error(`${name}: question time "at" is not a number of seconds`);
+      }
+      if (
+        question.tolerance !== undefined &&
+        !(Number.isFinite(question.tolerance) && question.tolerance > 0)
+      ) {
+        throw new Error(`${name}: question tolerance is not a positive number`);
+      }
+      for (let [key, bodies] of [["source", "sources"], ["observer", "observers"]]) {
+        let number = question[key];
+        if (number === undefined) continue;
+        let count = scene ? scene[bodies].length : Infinity;
+        if (!(Number.isInteger(number) && number >= 1 && number <= count)) {
+          throw new Error(`${name}: no ${key} ${number} to ask about`);
+        }
+      }
+    });
+    return lesson;
+  }
+
+  // Columns of the exported results
+  const RESULT_COLUMNS = [
+    "lesson", // Lesson id
+    "step", // Step number (from 1)
+    "title", // Step title
+    "type", // Question type: frequency or shift
+    "answer", // Last answer
+    "expected", // Reading it was graded against (Hz, or a shift)
+    "correct", // Whether the last answer was right
+    "attempts", // Number of answers given
+    "time", // When the last answer was given (ISO 8601)
+  ];
+
+  // Answers and the current step of every lesson, saved to a storage with
+  // the localStorage interface (getItem, setItem); without one, or when the
+  // browser refuses, progress only lasts until the page is closed
+  class LessonProgress {
+    /**
+     * @param {Storage} [storage] - localStorage, or an object like it
+     * @param {String} [key] - Name the progress is saved under
+     */
+    constructor(storage = null, key = "doppler-lessons") {
+      this.storage = storage;
+      this.key = key;
+      this.lessons = {}; // By lesson id: { step, answers: { [step]: result } }
+      this.load();
+    }
+
+    load() {
+      try {
+        let saved = this.storage && JSON.parse(this.storage.getItem(this.key));
+        if (saved && saved.lessons) this.lessons = saved.lessons;
+      } catch (error) {
+        this.lessons = {};
+      }
+    }
+
+    save() {
+      try {
+        if (this.storage) this.storage.setItem(this.key, JSON.stringify(this.toJSON()));
+      } catch (error) {
+        // Storage full or not allowed: keep the progress in memory
+      }
+    }
+
+    /**
+     * @param {String} lessonId - Lesson id
+     * @returns {Object} - { step, answers } of the lesson
+     */
+    lesson(lessonId) {
+      if (!this.lessons[lessonId]) this.lessons[lessonId] = { step: 0, answers: {} };
+      return this.lessons[lessonId];
+    }
+
+    /**
+     * @param {String} lessonId - Lesson id
+     * @returns {Number} - Index of the step the student was at
+     */
+    currentStep(lessonId) {
+      return this.lessons[lessonId] ? this.lessons[lessonId].step : 0;
+    }
+
+    /**
+     * @param {String} lessonId - Lesson id
+     * @param {Number} index - Index of the step the student is at
+     */
+    setStep(lessonId, index) {
+      this.lesson(lessonId).step = index;
+      this.save();
+    }
+
+    /**
+     * @param {String} lessonId - Lesson id
+     * @param {Number} index - Step index
+     * @returns {Object|null} - Graded answer of the step, or null
+     */
+    answer(lessonId, index) {
+      let lesson = this.lessons[lessonId];
+      return (lesson && lesson.answers[index]) || null;
+    }
+
+    /**
+     * Saves a graded answer, counting the attempts at the step
+     * @param {String} lessonId - Lesson id
+     * @param {Number} index - Step index
+     * @param {Object} step - Lesson step
+     * @param {Object} grade - Result of gradeAnswer()
+     */
+    record(lessonId, index, step, grade) {
+      let answers = this.lesson(lessonId).answers;
+      let previous = answers[index];
+      answers[index] = {
+        title: step.title || "",
+        type: step.question.type,
+        answer: grade.answer,
+        expected: grade.expected,
+        correct: grade.correct,
+        attempts: previous ? previous.attempts + 1 : 1,
+        time: new Date().toISOString(),
+      };
+      this.save();
+    }
+
+    /**
+     * @param {Object} lesson - Lesson
+     * @returns {Object} - { questions, answered, correct } counts
+     */
+    score(lesson) {
+      let counts = { questions: 0, answered: 0, correct: 0 };
+      lesson.steps.forEach((step, i) => {
+        if (!step.question) return;
+        counts.questions++;
+        let answer = this.answer(lesson.id, i);
+        if (answer) counts.answered++;
+        if (answer && answer.correct) counts.correct++;
+      });
+      return counts;
+    }
+
+    /**
+     * Forgets the answers and the position of a lesson
+     * @param {String} lessonId - Lesson id
+     */
+    clear(lessonId) {
+      delete this.lessons[lessonId];
+      this.save();
+    }
+
+    /**
+     * @returns {Object[]} - One row per answered step (see RESULT_COLUMNS)
+     */
+    rows() {
+      let rows = [];
+      for (let id of Object.keys(this.lessons)) {
+        let answers = this.lessons[id].answers;
+        for (let index of Object.keys(answers)) {
+          rows.push(Object.assign({ lesson: id, step: Number(index) + 1 }, answers[index]));
+        }
+      }
+      return rows;
+    }
+
+    /**
+     * @returns {Object} - Progress of every lesson, as saved
+     */
+    toJSON() {
+      return { format: "doppler-lesson-progress", lessons: this.lessons };
+    }
+
+    /**
+     * @returns {String} - The answers as CSV, one row per answered step
+     */
+    toCSV() {
+      let quote = (value) => {
+        let text = value === null ? "" : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      let lines = [RESULT_COLUMNS.join(",")];
+      for (let row of this.rows()) {
+        lines.push(RESULT_COLUMNS.map((column) => quote(row[column])).join(","));
+      }
+      return lines.join("\n");
+    }
+  }
+
+  exports.LESSON_FORMAT = LESSON_FORMAT;
+  exports.LESSON_VERSION = LESSON_VERSION;
+  exports.SHIFT_ANSWERS = SHIFT_ANSWERS;
+  exports.LOCKS = LOCKS;
+  exports.BUILT_IN_LESSONS = BUILT_IN_LESSONS;
+  exports.RESULT_COLUMNS = RESULT_COLUMNS;
+  exports.stepQuestion = stepQuestion;
+  exports.questionPrompt = questionPrompt;
+  exports.stepScenario = stepScenario;
+  exports.isLocked = isLocked;
+  exports.gradeAnswer = gradeAnswer;
+  exports.parseLesson = parseLesson;
+  exports.LessonProgress = LessonProgress;
+})(typeof module !== "undefined" ? module.exports : this);
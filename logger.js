@@ -0,0 +1,151 @@
+// Data logger for the Doppler effect simulation
+// Samples the simulation at a fixed rate of simulation time and keeps one
+// row per source-observer pair, built from the same readings the sketch
+// displays, so an export matches what was on screen. Rows can be exported as
+// CSV or JSON.
+
+(function (exports) {
+  const LOGGER_DEFAULTS = {
+    rate: 10, // Samples per second of simulation time (Hz)
+  };
+
+  // Columns of a row, in export order
+  const LOG_COLUMNS = [
+    "time", // Simulation time (s)
+    "sourceId",
+    "observerId",
+    "sourceX", // Source position (m)
+    "sourceY",
+    "sourceVx", // Source velocity (m/s)
+    "sourceVy",
+    "observerX", // Observer position (m)
+    "observerY",
+    "observerVx", // Observer velocity (m/s)
+    "observerVy",
+    "sourceRadialVelocity", // Source velocity toward the observer (m/s)
+    "observerRadialVelocity", // Observer velocity toward the source (m/s)
+    "emittedFrequency", // Frequency the source emits now, following its sweep (Hz)
+    "observedFrequency", // Frequency of the waves now arriving (Hz)
+    "theoreticalFrequency", // Doppler formula for the current motion (Hz)
+    "hasSignal", // Whether any wave from the source has arrived
+    "soundLevel", // Level of the direct sound (dB), empty before it arrives
+  ];
+
+  class DataLogger {
+    /**
+     * @param {Object} [options] - Overrides for LOGGER_DEFAULTS
+     */
+    constructor(options = {}) {
+      Object.assign(this, LOGGER_DEFAULTS, options);
+      this.rows = [];
+      this.running = false;
+      this.nextSampleTime = null; // Simulation time of the next sample (s)
+    }
+
+    start() {
+      this.running = true;
+      this.nextSampleTime = null;
+    }
+
+    stop() {
+      this.running = false;
+    }
+
+    clear() {
+      this.rows = [];
+      this.nextSampleTime = null;
+    }
+
+    /**
+     * @param {Number} rate - Samples per second of simulation time (Hz)
+     */
+    setRate(rate) {
+      this.rate = rate;
+      this.nextSampleTime = null;
+    }
+
+    /**
+     * Records a sample if one is due. Call after every simulation step; when
+     * the simulation time jumps back (reset, replay seek) sampling restarts
+     * from the new time.
+     * @param {DopplerSimulation} sim - Simulation to sample
+     * @returns {Boolean} - Whether a sample was recorded
+     */
+    sample(sim) {
+      if (!this.running) return false;
+
+      let interval = 1 / this.rate;
+      if (this.nextSampleTime === null || sim.time < this.nextSampleTime - interval) {
+        this.nextSampleTime = sim.time;
+      }
+      if (sim.time < this.nextSampleTime) return false;
+
+      for (let observer of sim.observers) {
+        for (let source of sim.sources) {
+          this.rows.push(this.row(sim, source, observer));
+        }
+      }
+
+      // Keep to the grid of sample times, skipping samples a long step missed
+      while (this.nextSampleTime <= sim.time) {
+        this.nextSampleTime += interval;
+      }
+      return true;
+    }
+
+    /**
+     * @param {DopplerSimulation} sim - Simulation
+     * @param {Object} source - Source
+     * @param {Object} observer - Observer
+     * @returns {Object} - Row with the LOG_COLUMNS
+     */
+    row(sim, source, observer) {
+      let reading = observer.readings[source.id];
+      let radial = sim.radialVelocities(source, observer);
+      return {
+        time: sim.time,
+        sourceId: source.id,
+        observerId: observer.id,
+        sourceX: source.pos.x,
+        sourceY: source.pos.y,
+        sourceVx: source.vel.x,
+        sourceVy: source.vel.y,
+        observerX: observer.pos.x,
+        observerY: observer.pos.y,
+        observerVx: observer.vel.x,
+        observerVy: observer.vel.y,
+        sourceRadialVelocity: radial.source,
+        observerRadialVelocity: radial.observer,
+        emittedFrequency: sim.frequencyAt(source),
+        observedFrequency: reading ? reading.frequency : source.frequency,
+        theoreticalFrequency: sim.theoreticalFrequency(source, observer),
+        hasSignal: Boolean(reading && reading.hasSignal),
+        soundLevel: reading && reading.hasSignal ? reading.level : null,
+      };
+    }
+
+    /**
+     * @returns {String} - Header line and one line per row
+     */
+    toCSV() {
+      let lines = [LOG_COLUMNS.join(",")];
+      for (let row of this.rows) {
+        lines.push(
+          LOG_COLUMNS.map((column) => (row[column] === null ? "" : row[column])).join(",")
+        );
+      }
+      return lines.join("\n");
+    }
+
+    /**
+     * @returns {Object} - Sample rate, column names and rows
+     */
+    toJSON() {
+      return { rate: this.rate, columns: LOG_COLUMNS, rows: this.rows };
+    }
+  }
+
+  exports.LOGGER_DEFAULTS = LOGGER_DEFAULTS;
+  exports.LOG_COLUMNS = LOG_COLUMNS;
+  exports.DataLogger = DataLogger;
+})(typeof module !== "undefined" ? module.exports : this);
@@ -0,0 +1,145 @@
+// Media the sound travels through
+// Gases follow the ideal gas law, c = sqrt(γ R T / M), so their speed of
+// sound rises with temperature; moist air is lighter than dry air, so humidity
+// raises it a little too. Water uses empirical fits in temperature, and solids
+// use a fixed longitudinal (bulk) speed at room temperature.
+
+(function (exports) {
+  const GAS_CONSTANT = 8.314462; // Molar gas constant R (J/(mol K))
+  const ZERO_CELSIUS = 273.15; // 0 °C in kelvin
+  const ATMOSPHERE = 101325; // Standard pressure (Pa)
+
+  // Water vapor mixed into humid air
+  const WATER_VAPOR = {
+    molarMass: 0.018015, // kg/mol
+    heatCapacity: 33.58, // Molar heat capacity at constant pressure (J/(mol K))
+  };
+
+  // Each medium has a name, a kind ("gas", "liquid" or "solid") and a range
+  // of temperatures (°C) its speed of sound holds for. Gases give their molar
+  // mass (kg/mol) and molar heat capacity at constant pressure (J/(mol K));
+  // liquids a fit speed(T) in m/s; solids a fixed speed (m/s).
+  const MEDIA = {
+    air: {
+      name: "Air",
+      kind: "gas",
+      molarMass: 0.028965,
+      heatCapacity: 29.1,
+      humid: true, // Humidity changes the speed
+      temperatures: [-50, 100],
+    },
+    helium: {
+      name: "Helium",
+      kind: "gas",
+      molarMass: 0.0040026,
+      heatCapacity: 20.786, // Monatomic: 5/2 R, so γ = 5/3
+      temperatures: [-50, 100],
+    },
+    carbonDioxide: {
+      name: "Carbon dioxide",
+      kind: "gas",
+      molarMass: 0.04401,
+      heatCapacity: 37.1,
+      temperatures: [-50, 100],
+    },
+    water: {
+      name: "Fresh water",
+      kind: "liquid",
+      // Fit by Bilaniuk and Wong (1993), 0 to 100 °C
+      speed: (t) => 1402.7 + 4.88 * t - 0.0482 * t * t + 1.35e-4 * t * t * t,
+      temperatures: [0, 100],
+    },
+    seawater: {
+      name: "Seawater",
+      kind: "liquid",
+      // Mackenzie (1981) at the surface with a salinity of 35 g/kg
+      speed: (t) => 1448.96 + 4.591 * t - 0.05304 * t * t + 2.374e-4 * t * t * t,
+      temperatures: [0, 30],
+    },
+    concrete: { name: "Concrete", kind: "solid", speed: 3400 },
+    glass: { name: "Glass", kind: "solid", speed: 5640 },
+    steel: { name: "Steel", kind: "solid", speed: 5960 },
+    aluminum: { name: "Aluminum", kind: "solid", speed: 6420 },
+  };
+
+  const DEFAULT_MEDIUM = { name: "air", temperature: 20, humidity: 0 };
+
+  /**
+   * Saturation pressure of water vapor over water (Buck's equation)
+   * @param {Number} temperature - Temperature (°C)
+   * @returns {Number} - Pressure (Pa)
+   */
+  function vaporPressure(temperature) {
+    return (
+      611.21 *
+      Math.exp((18.678 - temperature / 234.5) * (temperature / (257.14 + temperature)))
+    );
+  }
+
+  /**
+   * Speed of sound in an ideal gas, optionally mixed with water vapor
+   * @param {Object} gas - Gas medium from MEDIA
+   * @param {Number} temperature - Temperature (°C)
+   * @param {Number} [humidity] - Relative humidity (0 to 1)
+   * @returns {Number} - Speed of sound (m/s)
+   */
+  function gasSoundSpeed(gas, temperature, humidity = 0) {
+    let vapor = (humidity * vaporPressure(temperature)) / ATMOSPHERE; // Mole fraction
+    let molarMass = (1 - vapor) * gas.molarMass + vapor * WATER_VAPOR.molarMass;
+    let heatCapacity = (1 - vapor) * gas.heatCapacity + vapor * WATER_VAPOR.heatCapacity;
+    let gamma = heatCapacity / (heatCapacity - GAS_CONSTANT);
+    return Math.sqrt((gamma * GAS_CONSTANT * (temperature + ZERO_CELSIUS)) / molarMass);
+  }
+
+  /**
+   * Fills in and limits the conditions of a medium: an unknown name falls
+   * back to air, and the temperature is kept in the medium's range
+   * @param {Object} medium - { name, temperature (°C), humidity (0 to 1) }
+   * @returns {Object} - Complete medium { name, temperature, humidity }
+   */
+  function normalizeMedium(medium) {
+    let result = Object.assign({}, DEFAULT_MEDIUM, medium);
+    if (!MEDIA[result.name]) result.name = DEFAULT_MEDIUM.name;
+    let range = MEDIA[result.name].temperatures;
+    if (range) {
+      result.temperature = Math.max(range[0], Math.min(range[1], result.temperature));
+    }
+    result.humidity = Math.max(0, Math.min(1, result.humidity));
+    return result;
+  }
+
+  /**
+   * @param {Object} medium - { name, temperature (°C), humidity (0 to 1) }
+   * @returns {Number} - Speed of sound in the medium (m/s)
+   */
+  function speedOfSound(medium) {
+    let { name, temperature, humidity } = normalizeMedium(medium);
+    let preset = MEDIA[name];
+    if (preset.kind === "gas") {
+      return gasSoundSpeed(preset, temperature, preset.humid ? humidity : 0);
+    }
+    if (preset.kind === "liquid") return preset.speed(temperature);
+    return preset.speed;
+  }
+
+  /**
+   * @param {Object} medium - { name, temperature (°C), humidity (0 to 1) }
+   * @returns {String} - e.g. "Air, 20 °C, 50% humidity" (only the
+   *   conditions the speed depends on)
+   */
+  function describeMedium(medium) {
+    let { name, temperature, humidity } = normalizeMedium(medium);
+    let preset = MEDIA[name];
+    let parts = [preset.name];
+    if (preset.temperatures) parts.push(`${temperature.toFixed(0)} °C`);
+    if (preset.humid) parts.push(`${(humidity * 100).toFixed(0)}% humidity`);
+    return parts.join(", ");
+  }
+
+  exports.MEDIA = MEDIA;
+  exports.DEFAULT_MEDIUM = DEFAULT_MEDIUM;
+  exports.gasSoundSpeed = gasSoundSpeed;
+  exports.normalizeMedium = normalizeMedium;
+  exports.speedOfSound = speedOfSound;
+  exports.describeMedium = describeMedium;
+})(typeof module !== "undefined" ? module.exports : this);
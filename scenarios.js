@@ -0,0 +1,511 @@
+// Preset scenarios and scenario files for the Doppler effect simulation
+// Positions are given as fractions of the visible area ("at": [x, y]) so the
+// same scenario fits any window; velocities (and the optional wind) are in m/s.
+// With "units": "m" positions are in meters instead (scenario files, below).
+// A scenario may also name its wave model ("sound" or "light") and set the
+// medium ("medium": { name, temperature, humidity }, see media.js), the sound
+// and light speeds (a sound speed overrides the medium's), and the top speed
+// ("maxSpeed") and drag ("drag") of user-driven motion, and the attenuation
+// ("attenuation": { spreading, absorption, sourceLevel }); without them the
+// current values are kept. A body may set its mass in kg ("mass", default 1),
+// and a source its signal ("signal": { waveform, harmonics, sweep }, see
+// signals.js; a steady sine by default).
+// Reflectors add an angle (degrees, 0 = horizontal) and a length (m). Any body
+// may follow a trajectory (see trajectories.js) whose points ("center",
+// "start", "points") are in the same units as "at".
+
+(function (exports) {
+  const { MEDIA } =
+    typeof module !== "undefined" ? require("./media.js") : exports;
+  const { WAVEFORMS, SWEEPS } =
+    typeof module !== "undefined" ? require("./signals.js") : exports;
+  const { TRAJECTORY_TYPES } =
+    typeof module !== "undefined" ? require("./trajectories.js") : exports;
+
+  // Home layout restored by a reset
+  const DEFAULT_SCENARIO = {
+    name: "Default",
+    description: "Stationary source and observer",
+    sources: [{ at: [0.25, 0.5] }],
+    observers: [{ at: [0.75, 0.5] }],
+  };
+
+  const PRESET_SCENARIOS = [
+    {
+      name: "Approaching source",
+      description: "Source moving toward stationary observer (blueshift)",
+      sources: [{ at: [0.25, 0.5], vel: [5, 0], moving: true }], // Move right (toward observer) at 5 m/s
+      observers: [{ at: [0.75, 0.5] }], // Stationary
+    },
+    {
+      name: "Approaching observer",
+      description: "Observer moving toward stationary source (blueshift)",
+      sources: [{ at: [0.25, 0.5] }], // Stationary
+      observers: [{ at: [0.75, 0.5], vel: [-5, 0], moving: true }], // Move left (toward source) at 5 m/s
+    },
+    {
+      name: "Receding",
+      description: "Source and observer moving away from each other (redshift)",
+      sources: [{ at: [0.25, 0.5], vel: [-5, 0], moving: true }], // Move left at 5 m/s
+      observers: [{ at: [0.75, 0.5], vel: [5, 0], moving: true }], // Move right at 5 m/s
+    },
+    {
+      name: "Perpendicular",
+      description: "Source and observer moving perpendicular to the line joining them",
+      sources: [{ at: [0.25, 0.5], vel: [0, 3], moving: true }], // Move down at 3 m/s
+      observers: [{ at: [0.75, 0.5], vel: [0, -3], moving: true }], // Move up at 3 m/s
+    },
+    {
+      name: "Two ambulances",
+      description: "Two sirens with different pitches passing a listener in opposite directions",
+      sources: [
+        { at: [0.1, 0.4], vel: [40, 0], moving: true, frequency: 4 },
+        { at: [0.9, 0.6], vel: [-40, 0], moving: true, frequency: 6 },
+      ],
+      observers: [{ at: [0.5, 0.5] }],
+    },
+    {
+      name: "Several listeners",
+      description: "One moving source heard by listeners ahead, behind and to the side",
+      sources: [{ at: [0.3, 0.5], vel: [40, 0], moving: true }],
+      observers: [
+        { at: [0.85, 0.5] }, // Ahead of the source
+        { at: [0.1, 0.5] }, // Behind the source
+        { at: [0.5, 0.15] }, // Off to the side
+        { at: [0.7, 0.85] }, // Diagonally ahead
+      ],
+    },
+    {
+      name: "Supersonic jet flyover",
+      description: "Jet at Mach 1.5 passing over a listener on the ground",
+      sources: [{ at: [-0.25, 0.3], vel: [515, 0], moving: true }], // 1.5 x 343 m/s
+      observers: [{ at: [0.6, 0.75] }],
+    },
+    {
+      name: "Wind only",
+      description: "Source and observer at rest in a 40 m/s wind: the waves drift but there is no shift",
+      sources: [{ at: [0.25, 0.5] }],
+      observers: [{ at: [0.75, 0.5] }],
+      wind: [40, 0],
+    },
+    {
+      name: "Transverse Doppler (light)",
+      description: "Light source passing a resting observer at 0.6c: at closest approach only time dilation remains",
+      sources: [{ at: [0.05, 0.3], vel: [60, 0], moving: true }], // 0.6 x 100 m/s (scaled c)
+      observers: [{ at: [0.5, 0.7] }],
+      waveModel: "light",
+    },
+    {
+      name: "Echoes",
+      description: "Echo ranging: a wall returns the pitch unchanged, an approaching reflector returns it shifted twice",
+      sources: [{ at: [0.15, 0.45] }],
+      observers: [{ at: [0.15, 0.55] }], // Listening next to the source, like a bat or a radar
+      reflectors: [
+        { at: [0.5, 0.08], angle: 0, length: 2000 }, // Fixed wall
+        { at: [0.7, 0.5], vel: [-20, 0], moving: true, angle: 90, length: 120 }, // Approaching reflector
+      ],
+    },
+    {
+      name: "Source circling observer",
+      description: "A source orbiting a listener never moves toward it, so the center hears no shift; a listener outside does",
+      sources: [
+        {
+          at: [0.5, 0.2],
+          trajectory: { type: "orbit", center: [0.5, 0.5], speed: 60 },
+        },
+      ],
+      observers: [{ at: [0.5, 0.5] }, { at: [0.9, 0.5] }],
+    },
+    {
+      name: "Train braking past a platform",
+      description: "Horn of a train braking to a stop: the shift shrinks as the train slows",
+      sources: [
+        {
+          at: [0.02, 0.45],
+          vel: [60, 0],
+          trajectory: { type: "accelerated", acc: [-2.5, 0], stop: true }, // Stops after 720 m
+        },
+      ],
+      observers: [{ at: [0.5, 0.6] }], // On the platform
+    },
+    {
+      name: "Race track",
+      description: "Car lapping a track, fast on the straights and slow in the corners",
+      sources: [
+        {
+          at: [0.2, 0.2],
+          trajectory: {
+            type: "waypoints",
+            points: [
+              [0.2, 0.2], [0.5, 0.2], [0.8, 0.2], [0.8, 0.5],
+              [0.8, 0.8], [0.5, 0.8], [0.2, 0.8], [0.2, 0.5],
+            ],
+            speeds: [20, 100, 20, 100, 20, 100, 20, 100], // Corners, then straights (m/s)
+            loop: true,
+          },
+        },
+      ],
+      observers: [{ at: [0.5, 0.9] }], // In the grandstand
+    },
+    {
+      name: "Two-tone siren",
+      description: "Hi-lo siren with three harmonics passing a listener: every harmonic shifts by the same factor",
+      sources: [
+        {
+          at: [0.05, 0.45],
+          vel: [30, 0],
+          moving: true,
+          signal: {
+            waveform: "harmonics",
+            harmonics: [1, 0.5, 0.33],
+            sweep: { type: "siren", ratio: 4 / 3, duration: 1 },
+          },
+        },
+      ],
+      observers: [{ at: [0.5, 0.6] }],
+    },
+  ];
+  /**
+   * @param {Object} scenario - Scenario
+   * @param {Object} area - Visible area { left, top, width, height } in
+   *   meters (left and top default to 0)
+   * @returns {Function} - Converts a scenario point [x, y] into meters {x, y}
+   */
+  function pointResolver(scenario, area) {
+    if (scenario.units === "m") {
+      return (at) => ({ x: at[0], y: at[1] });
+    }
+    return (at) => ({
+      x: (area.left || 0) + at[0] * area.width,
+      y: (area.top || 0) + at[1] * area.height,
+    });
+  }
+
+  /**
+   * @param {*} value - Value from a scenario
+   * @returns {Boolean} - Whether the value is a point or vector [x, y]
+   */
+  function isPair(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+  }
+
+  /**
+   * Checks that a scenario trajectory has a known type and the fields that
+   * type needs (see trajectories.js)
+   * @param {Object} trajectory - Trajectory with points and vectors as [x, y]
+   * @throws {Error} - If the trajectory cannot be built
+   */
+  function checkTrajectory(trajectory) {
+    let type = trajectory && trajectory.type;
+    if (!Object.prototype.hasOwnProperty.call(TRAJECTORY_TYPES, type)) {
+      throw new Error(`Unknown trajectory type "${type}"`);
+    }
+    let fail = (problem) => {
+      throw new Error(`Trajectory "${type}" ${problem}`);
+    };
+
+    for (let key of ["center", "start", "vel", "acc"]) {
+      if (trajectory[key] !== undefined && !isPair(trajectory[key])) fail(`has an invalid ${key}`);
+    }
+    if (type === "accelerated" && !trajectory.acc) fail("needs an acceleration (acc)");
+    if (type === "orbit") {
+      if (!trajectory.center) fail("needs a center");
+      if (!Number.isFinite(trajectory.speed)) fail("needs a speed");
+      if (trajectory.radius !== undefined && !(trajectory.radius > 0)) {
+        fail("needs a positive radius");
+      }
+    }
+    if (type === "waypoints") {
+      let points = trajectory.points;
+      if (!Array.isArray(points) || points.length < 2 || !points.every(isPair)) {
+        fail("needs at least two points");
+      }
+      let speeds = trajectory.speeds;
+      if (Array.isArray(speeds)) {
+        if (speeds.length !== points.length || !speeds.every(Number.isFinite)) {
+          fail("needs one speed per point");
+        }
+      } else if (!Number.isFinite(trajectory.speed)) {
+        fail("needs a speed or speeds");
+      }
+    }
+  }
+
+  /**
+   * Converts a scenario trajectory into a simulation trajectory spec
+   * @param {Object} trajectory - Trajectory with points ([x, y] in the
+   *   scenario's units) and vectors as [x, y]
+   * @param {Function} toMeters - Point conversion from pointResolver()
+   * @returns {Object} - Trajectory spec in meters for createTrajectory()
+   * @throws {Error} - If the trajectory cannot be built (see checkTrajectory)
+   */
+  function resolveTrajectory(trajectory, toMeters) {
+    checkTrajectory(trajectory);
+    let toVector = (v) => ({ x: v[0], y: v[1] });
+    let spec = Object.assign({}, trajectory);
+    if (trajectory.center) spec.center = toMeters(trajectory.center);
+    if (trajectory.start) spec.start = toMeters(trajectory.start);
+    if (trajectory.points) spec.points = trajectory.points.map(toMeters);
+    if (trajectory.vel) spec.vel = toVector(trajectory.vel);
+    if (trajectory.acc) spec.acc = toVector(trajectory.acc);
+    return spec;
+  }
+
+  /**
+   * Converts a scenario body into a simulation body spec
+   * @param {Object} body - Scenario body with at, vel, moving, mass,
+   *   frequency, signal, color, trajectory, elapsed and, for reflectors,
+   *   angle, length, reflectivity
+   * @param {Function} toMeters - Point conversion from pointResolver()
+   * @returns {Object} - Body spec for DopplerSimulation.reset()
+   */
+  function resolveBody(body, toMeters) {
+    let vel = body.vel || [0, 0];
+    let spec = {
+      pos: toMeters(body.at),
+      vel: { x: vel[0], y: vel[1] },
+      moving: Boolean(body.moving),
+    };
+    if (body.mass !== undefined) spec.mass = body.mass;
+    if (body.frequency !== undefined) spec.frequency = body.frequency;
+    if (body.signal !== undefined) spec.signal = body.signal;
+    if (body.color !== undefined) spec.color = body.color;
+    if (body.angle !== undefined) spec.angle = (body.angle * Math.PI) / 180;
+    if (body.length !== undefined) spec.length = body.length;
+    if (body.reflectivity !== undefined) spec.reflectivity = body.reflectivity;
+    if (body.trajectory) spec.trajectory = resolveTrajectory(body.trajectory, toMeters);
+    if (body.elapsed !== undefined) spec.elapsed = body.elapsed;
+    return spec;
+  }
+
+  /**
+   * Resets the simulation to a scenario's layout (sources, observers and
+   * reflectors), initial motion, wind, wave model, medium, wave speeds, the
+   * limits of user-driven motion and the attenuation
+   * @param {DopplerSimulation} sim - Simulation to configure
+   * @param {Object} scenario - DEFAULT_SCENARIO, an entry of PRESET_SCENARIOS
+   *   or a scenario file from parseScenario()
+   * @param {Object} area - Visible area { left, top, width, height } in
+   *   meters (left and top default to 0)
+   * @throws {Error} - If a body cannot be built, leaving the simulation as
+   *   it was
+   */
+  function applyScenario(sim, scenario, area) {
+    // Bodies first, so a scenario that fails changes nothing
+    let toMeters = pointResolver(scenario, area);
+    let layout = {
+      sources: scenario.sources.map((body) => resolveBody(body, toMeters)),
+      observers: scenario.observers.map((body) => resolveBody(body, toMeters)),
+      reflectors: (scenario.reflectors || []).map((body) => resolveBody(body, toMeters)),
+    };
+
+    let wind = scenario.wind || [0, 0];
+    sim.wind.set(wind[0], wind[1]);
+    if (scenario.waveModel) sim.setWaveModel(scenario.waveModel);
+    if (scenario.medium) sim.setMedium(scenario.medium);
+    if (scenario.soundSpeed) sim.soundSpeed = scenario.soundSpeed;
+    if (scenario.lightSpeed) sim.lightSpeed = scenario.lightSpeed;
+    if (scenario.maxSpeed) sim.maxSpeed = scenario.maxSpeed;
+    if (scenario.drag !== undefined) sim.dragCoefficient = scenario.drag;
+    if (scenario.attenuation) {
+      for (let key of ["spreading", "absorption", "sourceLevel"]) {
+        if (scenario.attenuation[key] !== undefined) sim[key] = scenario.attenuation[key];
+      }
+    }
+
+    sim.reset(layout);
+  }
+
+  // Scenario files: the scenario format above with units "m" (positions in
+  // meters, so the setup is reproduced exactly on any screen), marked with a
+  // format name and version, plus the settings of the sketch:
+  //   { format, version, name, units, waveModel, medium, soundSpeed, lightSpeed,
+  //     maxSpeed, drag, attenuation, wind, timeScale,
+  //     display: { showHelp, vectorScale, camera },
+  //     sources, observers, reflectors }
+  const SCENARIO_FORMAT = "doppler-scenario";
+  const SCENARIO_VERSION = 1;
+
+  // Decimal places kept when saving, to keep files and links short
+  const SAVE_PRECISION = 3;
+
+  function round(value) {
+    let factor = Math.pow(10, SAVE_PRECISION);
+    return Math.round(value * factor) / factor;
+  }
+
+  function pair(v) {
+    return [round(v.x), round(v.y)];
+  }
+
+  /**
+   * @param {Object} trajectory - Trajectory from createTrajectory()
+   * @returns {Object} - Scenario trajectory with [x, y] points in meters
+   */
+  function captureTrajectory(trajectory) {
+    let spec = trajectory.toJSON();
+    for (let key of ["center", "start", "vel", "acc"]) {
+      if (spec[key]) spec[key] = pair(spec[key]);
+    }
+    if (spec.points) spec.points = spec.points.map(pair);
+    return spec;
+  }
+
+  /**
+   * @param {DopplerSimulation} sim - Simulation
+   * @param {Object} body - Source, observer or reflector
+   * @returns {Object} - Scenario body reproducing the body's current state
+   */
+  function captureBody(sim, body) {
+    let saved = { at: pair(body.pos) };
+    if (body.vel.mag() > 0) saved.vel = pair(body.vel);
+    if (body.moving) saved.moving = true;
+    if (body.mass !== 1) saved.mass = body.mass;
+    if (body.color) saved.color = body.color;
+    if (body.frequency !== undefined) saved.frequency = body.frequency;
+    if (body.signal && (body.signal.waveform !== "sine" || body.signal.sweep.type !== "steady")) {
+      saved.signal = JSON.parse(JSON.stringify(body.signal));
+    }
+    if (body.angle !== undefined) {
+      saved.angle = round((body.angle * 180) / Math.PI);
+      saved.length = body.length;
+      saved.reflectivity = body.reflectivity;
+    }
+    if (body.trajectory) {
+      saved.trajectory = captureTrajectory(body.trajectory);
+      saved.elapsed = round(sim.time - body.trajectoryStart);
+    }
+    return saved;
+  }
+
+  /**
+   * Captures the current state of the simulation as a scenario file
+   * @param {DopplerSimulation} sim - Simulation to capture
+   * @param {Object} [settings] - Sketch settings { name, timeScale, display }
+   * @returns {Object} - Scenario file (see SCENARIO_FORMAT)
+   */
+  function captureScenario(sim, settings = {}) {
+    let scenario = {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      name: settings.name || "Saved scenario",
+      units: "m",
+      waveModel: sim.waveModel.name,
+      medium: Object.assign({}, sim.medium),
+      soundSpeed: sim.soundSpeed,
+      lightSpeed: sim.lightSpeed,
+      maxSpeed: sim.maxSpeed,
+      drag: sim.dragCoefficient,
+      attenuation: {
+        spreading: sim.spreading,
+        absorption: sim.absorption,
+        sourceLevel: sim.sourceLevel,
+      },
+      wind: pair(sim.wind),
+      sources: sim.sources.map((body) => captureBody(sim, body)),
+      observers: sim.observers.map((body) => captureBody(sim, body)),
+      reflectors: sim.reflectors.map((body) => captureBody(sim, body)),
+    };
+    if (settings.timeScale !== undefined) scenario.timeScale = settings.timeScale;
+    if (settings.display) scenario.display = Object.assign({}, settings.display);
+    return scenario;
+  }
+
+  /**
+   * Checks a scenario file and returns it
+   * @param {String|Object} data - Scenario file, as JSON text or parsed
+   * @returns {Object} - The scenario
+   * @throws {Error} - If the data is not a scenario this version can load
+   */
+  function parseScenario(data) {
+    let scenario = data;
+    if (typeof data === "string") {
+      try {
+        scenario = JSON.parse(data);
+      } catch (error) {
+        throw new Error("Scenario is not valid JSON");
+      }
+    }
+
+    if (!scenario || scenario.format !== SCENARIO_FORMAT) {
+      throw new Error("Not a Doppler scenario file");
+    }
+    if (!(scenario.version <= SCENARIO_VERSION)) {
+      throw new Error(
+        `Scenario version ${scenario.version} is newer than this simulation supports (${SCENARIO_VERSION})`
+      );
+    }
+    for (let kind of ["sources", "observers"]) {
+      let bodies = scenario[kind];
+      if (!Array.isArray(bodies) || bodies.length === 0) {
+        throw new Error(`Scenario has no ${kind}`);
+      }
+    }
+    let bodies = scenario.sources.concat(scenario.observers, scenario.reflectors || []);
+    if (!bodies.every((body) => isPair(body.at))) {
+      throw new Error("Scenario body without a position");
+    }
+    for (let body of bodies) {
+      if (body.trajectory !== undefined) checkTrajectory(body.trajectory);
+    }
+    let medium = scenario.medium && scenario.medium.name;
+    if (medium !== undefined && !MEDIA[medium]) {
+      throw new Error(`Unknown medium "${medium}"`);
+    }
+    let spreading = scenario.attenuation && scenario.attenuation.spreading;
+    if (spreading !== undefined && !["3d", "2d", "none"].includes(spreading)) {
+      throw new Error(`Unknown spreading "${spreading}"`);
+    }
+    for (let source of scenario.sources) {
+      let signal = source.signal || {};
+      if (signal.waveform !== undefined && !WAVEFORMS[signal.waveform]) {
+        throw new Error(`Unknown waveform "${signal.waveform}"`);
+      }
+      if (signal.sweep && !SWEEPS[signal.sweep.type]) {
+        throw new Error(`Unknown sweep "${signal.sweep.type}"`);
+      }
+    }
+    return scenario;
+  }
+
+  /**
+   * Encodes a scenario for a URL hash (base64url of its JSON)
+   * @param {Object} scenario - Scenario file
+   * @returns {String} - URL-safe text
+   */
+  function encodeScenario(scenario) {
+    let bytes = new TextEncoder().encode(JSON.stringify(scenario));
+    let binary = "";
+    for (let byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  /**
+   * Decodes a scenario encoded with encodeScenario()
+   * @param {String} text - URL-safe text
+   * @returns {Object} - The scenario, checked with parseScenario()
+   */
+  function decodeScenario(text) {
+    let json;
+    try {
+      let binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+      let bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+      json = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    } catch (error) {
+      throw new Error("Scenario link is damaged");
+    }
+    return parseScenario(json);
+  }
+
+  exports.DEFAULT_SCENARIO = DEFAULT_SCENARIO;
+  exports.PRESET_SCENARIOS = PRESET_SCENARIOS;
+  exports.SCENARIO_FORMAT = SCENARIO_FORMAT;
+  exports.SCENARIO_VERSION = SCENARIO_VERSION;
+  exports.applyScenario = applyScenario;
+  exports.captureScenario = captureScenario;
+  exports.parseScenario = parseScenario;
+  exports.encodeScenario = encodeScenario;
+  exports.decodeScenario = decodeScenario;
+})(typeof module !== "undefined" ? module.exports : this);
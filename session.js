@@ -0,0 +1,293 @@
+// Session recording and replay for the Doppler effect simulation
+// Every change the user makes to the simulation (drags, arrow-key motion,
+// parameter changes, added and removed objects) is expressed as a command.
+// The sketch applies commands with applyCommand(); while recording they are
+// also stored with the index of the fixed time step they were applied in.
+// Replaying restores the starting state and applies the same commands at the
+// same steps, so the result is identical.
+
+(function (exports) {
+  const { Vector2 } =
+    typeof module !== "undefined" ? require("./vector.js") : exports;
+
+  const SESSION_DEFAULTS = {
+    stepSize: 1 / 120, // Fixed time step while recording and replaying (s)
+    checkpointInterval: 120, // Steps between stored states, for fast seeking
+  };
+
+  // Parameters that a setParameter command may change
+  const COMMAND_PARAMETERS = [
+    "soundSpeed",
+    "lightSpeed",
+    "maxWaveAge",
+    "maxSpeed",
+    "dragCoefficient",
+    "spreading",
+    "absorption",
+    "sourceLevel",
+  ];
+
+  /**
+   * @param {DopplerSimulation} sim - Simulation
+   * @param {Object} body - Source, observer or reflector of the simulation
+   * @returns {Object} - Reference that survives a restore: { kind, index }
+   */
+  function bodyRef(sim, body) {
+    for (let kind of ["source", "observer", "reflector"]) {
+      let index = sim[kind + "s"].indexOf(body);
+      if (index !== -1) return { kind: kind, index: index };
+    }
+    return null;
+  }
+
+  /**
+   * @param {DopplerSimulation} sim - Simulation
+   * @param {Object} ref - Reference from bodyRef()
+   * @returns {Object} - The referenced body
+   */
+  function resolveBodyRef(sim, ref) {
+    return sim[ref.kind + "s"][ref.index];
+  }
+
+  /**
+   * Applies one user command to the simulation. Commands are plain JSON:
+   *   { type: "drag", body, target: [x, y] }
+   *   { type: "release", body }   (without a body: every body)
+   *   { type: "setMotion", body, vel: [x, y], moving }
+   *   { type: "setThrust", body, force: [x, y] }
+   *   { type: "setMass", body, value }
+   *   { type: "setFrequency", body, value }
+   *   { type: "setSignal", body, value: { waveform, harmonics, sweep } }   (any of them)
+   *   { type: "setParameter", name, value }   (see COMMAND_PARAMETERS)
+   *   { type: "setWind", value: [x, y] }
+   *   { type: "setMedium", value: { name, temperature, humidity } }   (any of them)
+   *   { type: "setWaveModel", value }
+   *   { type: "addBody", kind, pos: [x, y] }
+   *   { type: "removeBody", body }
+   * @param {DopplerSimulation} sim - Simulation to change
+   * @param {Object} command - Command
+   */
+  function applyCommand(sim, command) {
+    let body = command.body ? resolveBodyRef(sim, command.body) : null;
+
+    switch (command.type) {
+      case "drag":
+        sim.dragBody(body, new Vector2(command.target[0], command.target[1]));
+        break;
+      case "release":
+        for (let each of body ? [body] : sim.bodies()) {
+          sim.releaseBody(each);
+        }
+        break;
+      case "setMotion":
+        body.vel = new Vector2(command.vel[0], command.vel[1]);
+        body.moving = command.moving;
+        body.trajectory = null;
+        break;
+      case "setThrust":
+        sim.setThrust(body, new Vector2(command.force[0], command.force[1]));
+        break;
+      case "setMass":
+        body.mass = command.value;
+        break;
+      case "setFrequency":
+        body.frequency = command.value;
+        break;
+      case "setSignal":
+        sim.setSignal(body, command.value);
+        break;
+      case "setParameter":
+        if (COMMAND_PARAMETERS.includes(command.name)) {
+          sim[command.name] = command.value;
+        }
+        break;
+      case "setWind":
+        sim.wind.set(command.value[0], command.value[1]);
+        break;
+      case "setMedium":
+        sim.setMedium(command.value);
+        break;
+      case "setWaveModel":
+        sim.setWaveModel(command.value);
+        break;
+      case "addBody": {
+        let spec = { pos: { x: command.pos[0], y: command.pos[1] } };
+        if (command.kind === "source") sim.addSource(spec);
+        else if (command.kind === "observer") sim.addObserver(spec);
+        else sim.addReflector(spec);
+        break;
+      }
+      case "removeBody":
+        if (command.body.kind === "source") sim.removeSource(command.body.index);
+        else if (command.body.kind === "observer") sim.removeObserver(command.body.index);
+        else sim.removeReflector(command.body.index);
+        break;
+    }
+  }
+
+  // Records the commands applied to a simulation from a starting state
+  class SessionRecorder {
+    /**
+     * @param {DopplerSimulation} sim - Simulation being recorded
+     * @param {Object} [options] - Overrides for SESSION_DEFAULTS
+     */
+    constructor(sim, options = {}) {
+      Object.assign(this, SESSION_DEFAULTS, options);
+      this.sim = sim;
+      this.start = sim.snapshot();
+      this.frame = 0; // Steps recorded so far
+      this.events = []; // { frame, command }
+    }
+
+    /**
+     * Applies a command and records it for the current step
+     * @param {Object} command - Command (see applyCommand)
+     */
+    apply(command) {
+      applyCommand(this.sim, command);
+      this.events.push({ frame: this.frame, command: command });
+    }
+
+    /**
+     * Advances the simulation by one fixed step
+     */
+    step() {
+      this.sim.step(this.stepSize);
+      this.frame++;
+    }
+
+    /**
+     * @returns {Object} - The recorded session { start, stepSize, frames,
+     *   checkpointInterval, events }
+     */
+    finish() {
+      return {
+        start: this.start,
+        stepSize: this.stepSize,
+        frames: this.frame,
+        checkpointInterval: this.checkpointInterval,
+        events: this.events.slice(),
+      };
+    }
+  }
+
+  // Replays a recorded session on a simulation, seeking in either direction
+  class SessionPlayer {
+    /**
+     * @param {DopplerSimulation} sim - Simulation to drive (its state is replaced)
+     * @param {Object} session - Session from SessionRecorder.finish()
+     */
+    constructor(sim, session) {
+      this.sim = sim;
+      this.session = session;
+      this.speed = 1; // Playback speed factor
+      this.accumulator = 0; // Simulation time not yet stepped (s)
+
+      this.eventsByFrame = new Map();
+      for (let event of session.events) {
+        if (!this.eventsByFrame.has(event.frame)) {
+          this.eventsByFrame.set(event.frame, []);
+        }
+        this.eventsByFrame.get(event.frame).push(event.command);
+      }
+
+      // States at multiples of the checkpoint interval, filled in as they are reached
+      this.checkpoints = new Map([[0, session.start]]);
+      this.frame = null; // Steps played since the start of the session
+      this.seek(0);
+    }
+
+    get frames() {
+      return this.session.frames;
+    }
+
+    /**
+     * @returns {Number} - Simulation time since the start of the session (s)
+     */
+    get elapsed() {
+      return this.frame * this.session.stepSize;
+    }
+
+    /**
+     * @returns {Boolean} - Whether the last recorded step has been played
+     */
+    get finished() {
+      return this.frame >= this.session.frames;
+    }
+
+    /**
+     * Plays one recorded step
+     * @returns {Boolean} - False at the end of the session
+     */
+    stepFrame() {
+      if (this.finished) return false;
+
+      for (let command of this.eventsByFrame.get(this.frame) || []) {
+        applyCommand(this.sim, command);
+      }
+      this.sim.step(this.session.stepSize);
+      this.frame++;
+
+      if (
+        this.frame % this.session.checkpointInterval === 0 &&
+        !this.checkpoints.has(this.frame)
+      ) {
+        this.checkpoints.set(this.frame, this.sim.snapshot());
+      }
+      return true;
+    }
+
+    /**
+     * Moves to a step, restoring the nearest earlier checkpoint and playing
+     * forward from it
+     * @param {Number} frame - Step to move to (0 to frames)
+     */
+    seek(frame) {
+      frame = Math.max(0, Math.min(this.session.frames, Math.round(frame)));
+
+      // Restart from the latest stored state at or before the target, unless
+      // the current step is already closer to it
+      let checkpoint = 0;
+      for (let stored of this.checkpoints.keys()) {
+        if (stored <= frame && stored > checkpoint) checkpoint = stored;
+      }
+      if (this.frame === null || frame < this.frame || checkpoint > this.frame) {
+        this.sim.restore(this.checkpoints.get(checkpoint));
+        this.frame = checkpoint;
+      }
+      this.accumulator = 0;
+
+      while (this.frame < frame) {
+        this.stepFrame();
+      }
+    }
+
+    /**
+     * Plays the session forward in real time
+     * @param {Number} dt - Simulation time to play at normal speed (s)
+     * @param {Function} [onStep] - Called after every step played, like the
+     *   stepper of DopplerSimulation.advance(), e.g. to sample the readings
+     * @returns {Number} - Number of steps played
+     */
+    advance(dt, onStep = () => {}) {
+      let stepSize = this.session.stepSize;
+      this.accumulator += dt * this.speed;
+      let steps = 0;
+      // Same rounding allowance as DopplerSimulation.advance(), so frames
+      // play the steps they were recorded with
+      while (this.accumulator >= stepSize * (1 - 1e-9) && this.stepFrame()) {
+        this.accumulator -= stepSize;
+        steps++;
+        onStep();
+      }
+      if (this.finished || Math.abs(this.accumulator) < stepSize * 1e-9) this.accumulator = 0;
+      return steps;
+    }
+  }
+
+  exports.SESSION_DEFAULTS = SESSION_DEFAULTS;
+  exports.bodyRef = bodyRef;
+  exports.applyCommand = applyCommand;
+  exports.SessionRecorder = SessionRecorder;
+  exports.SessionPlayer = SessionPlayer;
+})(typeof module !== "undefined" ? module.exports : this);
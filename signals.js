@@ -0,0 +1,184 @@
+// Signals emitted by the sources
+// A signal is the shape of one period of the waveform plus a sweep, which
+// makes the frequency change over time as a multiple of the source's
+// frequency. Specs are plain JSON objects:
+//   { waveform: "sine" | "square" | "sawtooth" }
+//   { waveform: "harmonics", harmonics: [a1, a2, ...] }   amplitudes of f, 2f, ...
+//   sweep: { type: "steady" }
+//          { type: "linearChirp", ratio, duration }       f to ratio·f, then again
+//          { type: "exponentialChirp", ratio, duration }  same, by equal factors
+//          { type: "siren", ratio, duration }             ratio·f and f in turn
+// The waveform is a function of the phase, so a Doppler shift, which scales
+// the rate the phase advances at, scales every harmonic by the same factor.
+
+(function (exports) {
+  const TWO_PI = Math.PI * 2;
+
+  /**
+   * @param {Number} x - Number
+   * @returns {Number} - Part of x after the decimal point (0 to 1, also for
+   *   negative x)
+   */
+  function fractionalPart(x) {
+    return x - Math.floor(x);
+  }
+
+  /**
+   * @param {Number} phase - Phase (radians)
+   * @returns {Number} - Fraction of the period since the last upward zero
+   *   crossing of the sine (0 to 1)
+   */
+  function cycleFraction(phase) {
+    return fractionalPart(phase / TWO_PI);
+  }
+
+  // Each waveform has a name, its value at a phase (-1 to 1) and the sine
+  // amplitudes of its harmonics (k = 1, 2, ...), used for audio
+  const WAVEFORMS = {
+    sine: {
+      name: "Sine",
+      value: (phase) => Math.sin(phase),
+      harmonic: (k) => (k === 1 ? 1 : 0),
+    },
+    square: {
+      name: "Square",
+      value: (phase) => (cycleFraction(phase) < 0.5 ? 1 : -1),
+      harmonic: (k) => (k % 2 === 1 ? 4 / (Math.PI * k) : 0),
+    },
+    sawtooth: {
+      name: "Sawtooth",
+      // Rises through zero with the sine, then drops from 1 to -1 at half a period
+      value: (phase) => 2 * cycleFraction(phase + Math.PI) - 1,
+      harmonic: (k) => (k % 2 === 1 ? 2 : -2) / (Math.PI * k),
+    },
+    harmonics: {
+      name: "Harmonics",
+      // Scaled by the sum of the amplitudes, so the peak stays within ±1
+      value: (phase, harmonics) => {
+        let sum = 0;
+        let total = 0;
+        harmonics.forEach((amplitude, i) => {
+          sum += amplitude * Math.sin((i + 1) * phase);
+          total += Math.abs(amplitude);
+        });
+        return total > 0 ? sum / total : 0;
+      },
+      harmonic: (k, harmonics) => harmonics[k - 1] || 0,
+    },
+  };
+
+  // Each sweep has a name and the factor on the source's frequency at a time
+  // since the sweep started; ratio and duration default to the given values
+  const SWEEPS = {
+    steady: {
+      name: "Steady",
+      factor: () => 1,
+    },
+    linearChirp: {
+      name: "Linear chirp",
+      ratio: 2, // Frequency at the end of a sweep over the one at its start
+      duration: 4, // Length of one sweep (s)
+      factor: (sweep, t) => 1 + (sweep.ratio - 1) * fractionalPart(t / sweep.duration),
+    },
+    exponentialChirp: {
+      name: "Exponential chirp",
+      ratio: 2,
+      duration: 4,
+      factor: (sweep, t) => Math.pow(sweep.ratio, fractionalPart(t / sweep.duration)),
+    },
+    siren: {
+      name: "Two-tone siren",
+      ratio: 4 / 3, // High tone over the low one (a fourth, as on European sirens)
+      duration: 1, // Length of each tone (s)
+      factor: (sweep, t) => (Math.floor(t / sweep.duration) % 2 === 0 ? sweep.ratio : 1),
+    },
+  };
+
+  const DEFAULT_HARMONICS = [1, 0.5, 0.25];
+
+  const DEFAULT_SIGNAL = { waveform: "sine", sweep: { type: "steady" } };
+
+  /**
+   * Fills in a signal spec: unknown waveforms and sweeps fall back to a
+   * steady sine, and a sweep gets the default ratio and duration of its type
+   * @param {Object} [signal] - { waveform, harmonics, sweep }
+   * @returns {Object} - Complete signal { waveform, sweep } (plus harmonics
+   *   for the harmonics waveform)
+   */
+  function normalizeSignal(signal = {}) {
+    let waveform = WAVEFORMS[signal.waveform] ? signal.waveform : DEFAULT_SIGNAL.waveform;
+    let type = signal.sweep && SWEEPS[signal.sweep.type] ? signal.sweep.type : "steady";
+    let result = { waveform: waveform, sweep: { type: type } };
+
+    if (waveform === "harmonics") {
+      let harmonics = Array.isArray(signal.harmonics) ? signal.harmonics : DEFAULT_HARMONICS;
+      result.harmonics = harmonics.map((amplitude) => Number(amplitude) || 0);
+    }
+    if (type !== "steady") {
+      let sweep = signal.sweep;
+      let ratio = Number(sweep.ratio);
+      let duration = Number(sweep.duration);
+      result.sweep.ratio = ratio > 0 ? ratio : SWEEPS[type].ratio;
+      result.sweep.duration = duration > 0 ? duration : SWEEPS[type].duration;
+    }
+    return result;
+  }
+
+  /**
+   * @param {Object} signal - Complete signal (see normalizeSignal)
+   * @param {Number} phase - Phase (radians)
+   * @returns {Number} - Value of the waveform (-1 to 1)
+   */
+  function signalValue(signal, phase) {
+    return WAVEFORMS[signal.waveform].value(phase, signal.harmonics);
+  }
+
+  /**
+   * @param {Object} signal - Complete signal (see normalizeSignal)
+   * @param {Number} time - Time since the sweep started (s)
+   * @returns {Number} - Frequency as a multiple of the source's frequency
+   */
+  function frequencyFactor(signal, time) {
+    return SWEEPS[signal.sweep.type].factor(signal.sweep, Math.max(0, time));
+  }
+
+  /**
+   * @param {Object} signal - Complete signal (see normalizeSignal)
+   * @param {Number} count - Number of harmonics
+   * @returns {Number[]} - Sine amplitudes of harmonics 1 to count
+   */
+  function harmonicAmplitudes(signal, count) {
+    let amplitudes = [];
+    for (let k = 1; k <= count; k++) {
+      amplitudes.push(WAVEFORMS[signal.waveform].harmonic(k, signal.harmonics));
+    }
+    return amplitudes;
+  }
+
+  /**
+   * @param {Object} signal - Complete signal (see normalizeSignal)
+   * @returns {String} - e.g. "Square, linear chirp ×2 every 4 s"
+   */
+  function describeSignal(signal) {
+    let sweep = signal.sweep;
+    let text = WAVEFORMS[signal.waveform].name;
+    if (signal.waveform === "harmonics") {
+      text += ` (${signal.harmonics.map((amplitude) => amplitude.toFixed(2)).join(", ")})`;
+    }
+    if (sweep.type === "siren") {
+      text += `, two-tone siren ×${sweep.ratio.toFixed(2)}, ${sweep.duration} s per tone`;
+    } else if (sweep.type !== "steady") {
+      text += `, ${SWEEPS[sweep.type].name.toLowerCase()} ×${sweep.ratio.toFixed(2)} every ${sweep.duration} s`;
+    }
+    return text;
+  }
+
+  exports.WAVEFORMS = WAVEFORMS;
+  exports.SWEEPS = SWEEPS;
+  exports.DEFAULT_SIGNAL = DEFAULT_SIGNAL;
+  exports.normalizeSignal = normalizeSignal;
+  exports.signalValue = signalValue;
+  exports.frequencyFactor = frequencyFactor;
+  exports.harmonicAmplitudes = harmonicAmplitudes;
+  exports.describeSignal = describeSignal;
+})(typeof module !== "undefined" ? module.exports : this);
@@ -0,0 +1,1283 @@
+// Headless Doppler effect simulation model
+// Holds the sources, observers and wavefronts and advances them in simulation
+// time. It has no dependency on p5.js, so it runs unchanged in the browser
+// (where the sketch renders it) and in plain Node.
+
+(function (exports) {
+  const { Vector2 } =
+    typeof module !== "undefined" ? require("./vector.js") : exports;
+  const { WAVE_MODELS, lorentzFactor } =
+    typeof module !== "undefined" ? require("./waveModels.js") : exports;
+  const { createTrajectory } =
+    typeof module !== "undefined" ? require("./trajectories.js") : exports;
+  const { DEFAULT_MEDIUM, normalizeMedium, speedOfSound } =
+    typeof module !== "undefined" ? require("./media.js") : exports;
+  const { normalizeSignal, signalValue, frequencyFactor } =
+    typeof module !== "undefined" ? require("./signals.js") : exports;
+
+  const TWO_PI = Math.PI * 2;
+
+  // Bisection steps when solving for a retarded time; each halves the
+  // bracket, which starts at most one wave period wide
+  const RETARDED_TIME_ITERATIONS = 40;
+
+  // Default physical parameters (SI units)
+  const SIMULATION_DEFAULTS = {
+    medium: DEFAULT_MEDIUM, // Medium and its conditions (see media.js)
+    lightSpeed: 100.0, // Scaled speed of light (m/s) so relativistic effects are visible
+    emittedFrequency: 4, // Default frequency of new sources (Hz)
+    freqMin: 0.1, // Minimum allowable frequency (Hz)
+    freqMaxFactor: 5, // Limit of the graphed phase rate as factor of emitted
+    maxSpeed: 150, // Top speed input forces can push a body to (m/s)
+    dragCoefficient: 2, // Drag force per unit of speed (kg/s)
+    pullStiffness: 40, // Spring constant pulling a dragged body to the pointer (N/m)
+    minVelocityMag: 0.01, // Minimum velocity magnitude to keep moving (m/s)
+    maxWaveAge: 10, // Maximum age of a wave in seconds
+    maxWaveRadius: Infinity, // Waves larger than this are discarded (meters)
+    stepSize: 1 / 120, // Fixed time step of advance() (s)
+    reflectorLength: 200, // Default length of new reflectors (meters)
+    spreading: "3d", // Geometric spreading: "3d" (spherical, 1/r), "2d" (cylindrical, 1/√r) or "none"
+    absorption: 0, // Absorption in the medium (dB/km)
+    sourceLevel: 100, // Sound level of every source at the reference distance (dB)
+    referenceDistance: 1, // Distance of the source level, where the amplitude is 1 (m)
+  };
+
+  // Exponent of the distance in the amplitude for each kind of spreading
+  const SPREADING_EXPONENTS = { "3d": 1, "2d": 0.5, none: 0 };
+
+  function clamp(value, low, high) {
+    return Math.max(low, Math.min(high, value));
+  }
+
+  /**
+   * Deep copy of simulation state: plain objects, arrays and vectors are
+   * copied, anything else (such as trajectories, which never change) is shared
+   * @param {*} value - State to copy
+   * @returns {*} - The copy
+   */
+  function cloneState(value) {
+    if (value instanceof Vector2) return value.copy();
+    if (Array.isArray(value)) return value.map(cloneState);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      let copy = {};
+      for (let key of Object.keys(value)) {
+        copy[key] = cloneState(value[key]);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * @param {Vector2} p - Point
+   * @param {Vector2} a - Segment start
+   * @param {Vector2} b - Segment end
+   * @returns {Vector2} - Point of the segment ab closest to p
+   */
+  function closestPointOnSegment(p, a, b) {
+    let ab = Vector2.sub(b, a);
+    let lengthSq = Vector2.dot(ab, ab);
+    let t = lengthSq > 0 ? clamp(Vector2.dot(Vector2.sub(p, a), ab) / lengthSq, 0, 1) : 0;
+    return Vector2.add(a, ab.mult(t));
+  }
+
+  /**
+   * @param {Vector2} p - Point
+   * @param {Vector2} a - Point on the mirror line
+   * @param {Vector2} b - Another point on the mirror line
+   * @returns {Vector2} - Mirror image of p across the line through a and b
+   */
+  function mirrorPoint(p, a, b) {
+    let direction = Vector2.sub(b, a).normalize();
+    let offset = Vector2.sub(p, a);
+    let along = direction.mult(Vector2.dot(offset, direction));
+    return Vector2.add(a, along).mult(2).sub(p);
+  }
+
+  /**
+   * @returns {Boolean} - Whether the segments p1p2 and ab cross
+   */
+  function segmentsCross(p1, p2, a, b) {
+    let cross = (o, u, v) => (u.x - o.x) * (v.y - o.y) - (u.y - o.y) * (v.x - o.x);
+    return (
+      cross(p1, p2, a) * cross(p1, p2, b) <= 0 &&
+      cross(a, b, p1) * cross(a, b, p2) <= 0
+    );
+  }
+
+  /**
+   * Creates a point body (source, observer or reflector)
+   * @param {Object} spec - { pos, vel, moving, mass, color, trajectory, elapsed }
+   *   with pos/vel as {x, y}, trajectory as in trajectories.js and elapsed
+   *   the time already spent on it (s)
+   * @param {Number} [time] - Simulation time at which a trajectory starts (s)
+   * @returns {Object} - Body with position, velocity and motion flags
+   */
+  function createBody(spec = {}, time = 0) {
+    let pos = spec.pos || { x: 0, y: 0 };
+    let vel = spec.vel || { x: 0, y: 0 };
+    let body = {
+      pos: new Vector2(pos.x, pos.y), // Position (m)
+      vel: new Vector2(vel.x, vel.y), // Velocity (m/s)
+      moving: Boolean(spec.moving), // Cruises at constant velocity, its engine balancing the drag
+      mass: spec.mass || 1, // Inertia against the input forces (kg)
+      thrust: new Vector2(0, 0), // Force applied by the keyboard (N)
+      dragging: false, // Pulled toward a pointer by the user
+      target: null, // Position of the pointer while dragging (m)
+      color: spec.color || null, // Optional RGB display color
+      trajectory: null, // Scripted path that drives pos and vel
+      trajectoryStart: time - (spec.elapsed || 0), // Simulation time the trajectory started (s)
+    };
+    if (spec.trajectory) {
+      let elapsed = time - body.trajectoryStart;
+      body.trajectory = createTrajectory(spec.trajectory, body.pos, body.vel);
+      body.pos = body.trajectory.position(elapsed);
+      body.vel = body.trajectory.velocity(elapsed);
+    }
+    return body;
+  }
+
+  class DopplerSimulation {
+    /**
+     * @param {Object} options - Overrides for SIMULATION_DEFAULTS; soundSpeed
+     *   defaults to the speed of sound in the medium
+     */
+    constructor(options = {}) {
+      Object.assign(this, SIMULATION_DEFAULTS, options);
+
+      // Speed of sound (m/s), set from the medium unless given
+      this.medium = normalizeMedium(this.medium);
+      if (options.soundSpeed === undefined) {
+        this.soundSpeed = speedOfSound(this.medium);
+      }
+
+      // Velocity of the medium (m/s); wavefronts drift with it
+      this.wind = options.wind
+        ? new Vector2(options.wind.x, options.wind.y)
+        : new Vector2(0, 0);
+
+      // Sound or light (see waveModels.js)
+      this.waveModel = WAVE_MODELS[options.waveModel || "sound"];
+
+      this.nextBodyId = 1;
+      this.home = {
+        sources: [{ pos: { x: 0, y: 0 } }],
+        observers: [{ pos: { x: 0, y: 0 } }],
+        reflectors: [],
+      };
+
+      this.reset();
+    }
+
+    /**
+     * Clears all waves and recreates the sources, observers and reflectors
+     * @param {Object} [layout] - New home layout { sources, observers,
+     *   reflectors }, each a list of body specs ({ pos, vel, moving, color },
+     *   plus frequency for sources and angle, length, reflectivity for
+     *   reflectors). Without it the previous home layout is restored.
+     */
+    reset(layout) {
+      if (layout) {
+        this.home = JSON.parse(JSON.stringify(layout));
+      }
+
+      this.waves = [];
+      this.booms = []; // Sonic booms heard: { time, sourceId, observerId }
+      this.time = 0;
+      this.pendingTime = 0; // Time passed to advance() but not stepped yet (s)
+
+      this.sources = [];
+      this.observers = [];
+      for (let spec of this.home.sources) {
+        this.addSource(spec);
+      }
+      for (let spec of this.home.observers) {
+        this.addObserver(spec);
+      }
+      this.reflectors = [];
+      for (let spec of this.home.reflectors || []) {
+        this.addReflector(spec);
+      }
+
+      // Readings from the start (nothing heard yet), so a scene that is
+      // paused before its first step can be shown
+      for (let observer of this.observers) {
+        this.updateObservation(observer);
+      }
+    }
+
+    /**
+     * Adds a sound source
+     * @param {Object} spec - Body spec plus an optional frequency (Hz) and
+     *   signal (see signals.js)
+     * @returns {Object} - The new source
+     */
+    addSource(spec = {}) {
+      let source = createBody(spec, this.time);
+      source.id = this.nextBodyId++;
+      source.frequency = spec.frequency || this.emittedFrequency; // Frequency before any sweep (Hz)
+      source.signal = normalizeSignal(spec.signal); // Waveform and sweep
+      source.signalStart = this.time; // Time the sweep started (s)
+      source.emittedPhase = 0; // Phase accumulator for emitted sound
+      source.emittedSignal = 0; // Current emitted amplitude (-1 to 1)
+      source.waveCount = 0; // Wavefronts emitted, one per whole cycle of the phase
+      source.history = []; // Past states { time, x, y, vx, vy, phase, frequency }, oldest first
+      this.recordHistory(source, this.frequencyAt(source));
+
+      this.sources.push(source);
+      return source;
+    }
+
+    /**
+     * Adds an observer
+     * @param {Object} spec - Body spec
+     * @returns {Object} - The new observer
+     */
+    addObserver(spec = {}) {
+      let observer = createBody(spec, this.time);
+      observer.id = this.nextBodyId++;
+      observer.readings = {}; // Per-source observation, keyed by source id
+      observer.echoes = {}; // Per-reflector readings of each source's echo
+      observer.signal = 0; // Superposition of all received signals
+      observer.signalCount = 0; // Number of direct and echoed signals received
+      observer.hasSignal = false;
+      observer.level = -Infinity; // Total sound level (dB)
+
+      this.observers.push(observer);
+      return observer;
+    }
+
+    /**
+     * Removes a source along with the waves it emitted and their echoes
+     * @param {Number} index - Index into sources
+     */
+    removeSource(index) {
+      let [source] = this.sources.splice(index, 1);
+      this.waves = this.waves.filter((wave) => wave.sourceId !== source.id);
+    }
+
+    /**
+     * Removes an observer
+     * @param {Number} index - Index into observers
+     */
+    removeObserver(index) {
+      this.observers.splice(index, 1);
+    }
+
+    /**
+     * Adds a flat reflecting surface: a long stationary one acts as a wall,
+     * a moving one as a reflector for echo ranging
+     * @param {Object} spec - Body spec (pos is the center) plus angle of the
+     *   surface (radians), length (m) and reflectivity (0-1)
+     * @returns {Object} - The new reflector
+     */
+    addReflector(spec = {}) {
+      let reflector = createBody(spec, this.time);
+      reflector.id = this.nextBodyId++;
+      reflector.angle = spec.angle !== undefined ? spec.angle : Math.PI / 2; // Direction of the surface (radians)
+      reflector.length = spec.length || this.reflectorLength; // Length of the surface (m)
+      reflector.reflectivity =
+        spec.reflectivity !== undefined ? spec.reflectivity : 1; // Echo amplitude relative to the incident wave
+
+      this.reflectors.push(reflector);
+      return reflector;
+    }
+
+    /**
+     * Removes a reflector along with the echoes it produced
+     * @param {Number} index - Index into reflectors
+     */
+    removeReflector(index) {
+      let [reflector] = this.reflectors.splice(index, 1);
+      this.waves = this.waves.filter((wave) => wave.reflectorId !== reflector.id);
+    }
+
+    /**
+     * @param {Object} reflector - Reflector
+     * @param {Vector2} pos - Point (m)
+     * @returns {Number} - Distance from the point to the reflecting surface (m)
+     */
+    reflectorDistance(reflector, pos) {
+      let [a, b] = this.reflectorEnds(reflector);
+      return Vector2.dist(pos, closestPointOnSegment(pos, a, b));
+    }
+
+    /**
+     * @param {Object} reflector - Reflector
+     * @returns {Vector2[]} - The two ends of the reflecting surface (m)
+     */
+    reflectorEnds(reflector) {
+      let half = new Vector2(
+        Math.cos(reflector.angle),
+        Math.sin(reflector.angle)
+      ).mult(reflector.length / 2);
+      return [Vector2.sub(reflector.pos, half), Vector2.add(reflector.pos, half)];
+    }
+
+    /**
+     * Copies the complete state of the simulation, so it can be restored
+     * exactly (used to rewind recorded sessions)
+     * @returns {Object} - State for restore()
+     */
+    snapshot() {
+      let state = { waveModel: this.waveModel.name };
+      for (let key of Object.keys(this)) {
+        if (key !== "waveModel") state[key] = cloneState(this[key]);
+      }
+      return state;
+    }
+
+    /**
+     * Returns to a state taken with snapshot(); the snapshot can be reused
+     * @param {Object} state - State from snapshot()
+     */
+    restore(state) {
+      for (let key of Object.keys(state)) {
+        if (key !== "waveModel") this[key] = cloneState(state[key]);
+      }
+      this.waveModel = WAVE_MODELS[state.waveModel];
+    }
+
+    /**
+     * Switches between the sound and light models. Waves in flight belong to
+     * the old model, so they are cleared.
+     * @param {String} name - 'sound' or 'light'
+     */
+    setWaveModel(name) {
+      if (this.waveModel === WAVE_MODELS[name]) return;
+      this.waveModel = WAVE_MODELS[name];
+      this.waves = [];
+    }
+
+    /**
+     * Changes the medium or its conditions, and sets the speed of sound to
+     * the medium's
+     * @param {Object} medium - Any of { name, temperature (°C), humidity
+     *   (0 to 1) }; the others keep their current values
+     */
+    setMedium(medium) {
+      this.medium = normalizeMedium(Object.assign({}, this.medium, medium));
+      this.soundSpeed = speedOfSound(this.medium);
+    }
+
+    /**
+     * @returns {Number} - Speed of the waves of the current model (m/s)
+     */
+    waveSpeed() {
+      return this.waveModel.waveSpeed(this);
+    }
+
+    /**
+     * @returns {Vector2} - Velocity of the medium the waves travel in (m/s)
+     */
+    mediumVelocity() {
+      return this.waveModel.mediumVelocity(this);
+    }
+
+    /**
+     * Advances the simulation by a stretch of time in fixed steps of
+     * stepSize, carrying what is left over to the next call. However the
+     * time is split up (one call per frame at any frame rate), the same
+     * steps are taken, so the results are identical.
+     * @param {Number} dt - Time to advance in simulation seconds
+     * @param {Function} [stepper] - Takes one step of the given size; by
+     *   default step(), or e.g. a function that applies drags first
+     * @returns {Number} - Number of steps taken
+     */
+    advance(dt, stepper = (stepSize) => this.step(stepSize)) {
+      this.pendingTime += dt;
+      let steps = 0;
+      // Allow for rounding in the sum, or a step could slip to the next call
+      while (this.pendingTime >= this.stepSize * (1 - 1e-9)) {
+        this.pendingTime -= this.stepSize;
+        stepper(this.stepSize);
+        steps++;
+      }
+      // What is left of a whole number of steps is rounding, which would
+      // differ with the way the time was split up
+      if (Math.abs(this.pendingTime) < this.stepSize * 1e-9) this.pendingTime = 0;
+      return steps;
+    }
+
+    /**
+     * Advances the simulation by one time step
+     * @param {Number} dt - Time step in simulation seconds
+     */
+    step(dt) {
+      let startTime = this.time;
+      let startPositions = this.sources.map((source) => source.pos.copy());
+      this.time += dt;
+
+      for (let body of this.bodies()) {
+        this.updateBody(body, dt);
+        this.limitSpeed(body);
+      }
+
+      for (let [i, source] of this.sources.entries()) {
+        // Accumulate the emitted phase at the frequency in the middle of the
+        // step, which follows a sweep closely
+        let frequency = this.frequencyAt(source, startTime + dt / 2);
+        let startPhase = source.emittedPhase;
+        source.emittedPhase += frequency * dt * TWO_PI;
+        source.emittedSignal = signalValue(source.signal, source.emittedPhase);
+
+        this.emitWaves(source, startPositions[i], startTime, startPhase, frequency);
+        this.recordHistory(source, frequency);
+      }
+
+      this.updateWaves(dt);
+
+      for (let observer of this.observers) {
+        this.updateObservation(observer);
+      }
+    }
+
+    /**
+     * @returns {Object[]} - All sources, observers and reflectors
+     */
+    bodies() {
+      return this.sources.concat(this.observers, this.reflectors);
+    }
+
+    /**
+     * Moves a body for one step. Every kind of input acts through forces on
+     * the body's mass: the keyboard's thrust, and while dragging, a
+     * critically damped spring toward the pointer. Drag proportional to the
+     * velocity slows the body down, except while it cruises. Input forces
+     * cannot push a body past maxSpeed (nor slow down a faster one abruptly).
+     * @param {Object} body - Source, observer or reflector
+     * @param {Number} dt - Time step (s)
+     */
+    updateBody(body, dt) {
+      // Scripted bodies follow their trajectory exactly
+      if (body.trajectory) {
+        let t = this.time - body.trajectoryStart;
+        body.pos = body.trajectory.position(t);
+        body.vel = body.trajectory.velocity(t);
+        return;
+      }
+
+      let force = body.thrust.copy();
+      let damping = body.moving ? 0 : this.dragCoefficient; // Linear damping (kg/s)
+      if (body.dragging) {
+        force.add(Vector2.sub(body.target, body.pos).mult(this.pullStiffness));
+        damping += 2 * Math.sqrt(this.pullStiffness * body.mass);
+      }
+      let driven = body.dragging || body.thrust.mag() > 0;
+
+      let speedBefore = body.vel.mag();
+      body.vel.add(force.mult(dt / body.mass));
+      // Damping is integrated exactly, so it is stable for any mass
+      body.vel.mult(Math.exp((-damping * dt) / body.mass));
+      let limit = Math.max(this.maxSpeed, speedBefore);
+      let speed = body.vel.mag();
+      if (driven && speed > limit) {
+        body.vel.mult(limit / speed);
+      }
+      body.pos.add(Vector2.mult(body.vel, dt));
+
+      // Come to rest once the velocity becomes negligible
+      if (!driven && body.vel.mag() < this.minVelocityMag) {
+        body.vel.set(0, 0);
+        body.moving = false;
+      }
+    }
+
+    /**
+     * Keeps a body below the model's speed limit (light: below c)
+     * @param {Object} body - Source or observer
+     */
+    limitSpeed(body) {
+      let maxSpeed = this.waveModel.maxSpeed(this);
+      let speed = body.vel.mag();
+      if (speed > maxSpeed) {
+        body.vel.mult(maxSpeed / speed);
+      }
+    }
+
+    /**
+     * Starts or moves a drag: the body is pulled toward the target by a
+     * spring until releaseBody(), then coasts. Dragging takes the body off
+     * its trajectory.
+     * @param {Object} body - Source, observer or reflector
+     * @param {Vector2} target - Pointer position (m)
+     */
+    dragBody(body, target) {
+      body.target = target.copy();
+      body.dragging = true;
+      body.moving = false;
+      body.trajectory = null;
+    }
+
+    /**
+     * Ends a drag started with dragBody()
+     * @param {Object} body - Source or observer
+     */
+    releaseBody(body) {
+      body.dragging = false;
+      body.target = null;
+    }
+
+    /**
+     * Sets the force the keyboard applies to a body. The body stops cruising
+     * and is slowed by drag once the force is removed.
+     * @param {Object} body - Source, observer or reflector
+     * @param {Vector2} force - Force (N)
+     */
+    setThrust(body, force) {
+      body.thrust = force.copy();
+      body.moving = false;
+      if (force.mag() > 0) body.trajectory = null;
+    }
+
+    /**
+     * Generates the wavefronts due during the last step, one each time the
+     * source's phase completes a cycle. The phase advances at a steady rate
+     * during a step, so the emission times are exact multiples of the period
+     * for a steady signal, and the source's position at each is interpolated
+     * along its path: the spacing of the wavefronts does not depend on the
+     * step size and several can be emitted in one step. Each wavefront keeps
+     * the frequency and signal it was emitted with.
+     * @param {Object} source - Emitting source
+     * @param {Vector2} startPos - Source position at the start of the step (m)
+     * @param {Number} startTime - Simulation time at the start of the step (s)
+     * @param {Number} startPhase - Emitted phase at the start of the step
+     * @param {Number} frequency - Frequency emitted during the step (Hz)
+     */
+    emitWaves(source, startPos, startTime, startPhase, frequency) {
+      let dt = this.time - startTime;
+      for (;;) {
+        let phase = (source.waveCount + 1) * TWO_PI;
+        if (phase > source.emittedPhase) break;
+        let emissionTime = startTime + (phase - startPhase) / (TWO_PI * frequency);
+
+        let pos;
+        let vel;
+        if (source.trajectory) {
+          pos = source.trajectory.position(emissionTime - source.trajectoryStart);
+          vel = source.trajectory.velocity(emissionTime - source.trajectoryStart);
+        } else {
+          let fraction = dt > 0 ? clamp((emissionTime - startTime) / dt, 0, 1) : 1;
+          pos = Vector2.lerp(startPos, source.pos, fraction);
+          vel = source.vel.copy();
+        }
+
+        this.waves.push({
+          sourceId: source.id, // Source that emitted this wave
+          pos: pos.copy(), // Center in meters (drifts with the wind)
+          emissionPos: pos.copy(), // Source position at emission in meters
+          radius: 0, // Radius in meters
+          birthTime: emissionTime, // Birth time in seconds
+          sourceVel: vel, // Source velocity in m/s
+          sourceFreq: frequency, // Emitted frequency in Hz
+          phaseAtEmission: phase, // Phase at emission time
+          signal: source.signal, // Waveform and sweep at emission time
+          reflectedBy: [], // Ids of the reflectors this wave has reached
+        });
+        source.waveCount++;
+      }
+    }
+
+    /**
+     * Stores the source's current state for solving retarded times, and
+     * forgets states older than any wave can live
+     * @param {Object} source - Source
+     * @param {Number} frequency - Frequency emitted during the last step (Hz)
+     */
+    recordHistory(source, frequency) {
+      source.history.push({
+        time: this.time,
+        x: source.pos.x,
+        y: source.pos.y,
+        vx: source.vel.x,
+        vy: source.vel.y,
+        phase: source.emittedPhase,
+        frequency: frequency,
+      });
+
+      // Keep one state before the oldest time needed, to interpolate from
+      let oldest = this.time - this.maxWaveAge;
+      let stale = 0;
+      while (stale + 2 < source.history.length && source.history[stale + 1].time < oldest) {
+        stale++;
+      }
+      if (stale > 0) source.history.splice(0, stale);
+    }
+
+    /**
+     * State of a source at a past time, interpolated between the stored
+     * states around it (which are one step apart)
+     * @param {Object} source - Source
+     * @param {Number} time - Simulation time, at most the current time (s)
+     * @returns {Object} - { pos, vel, phase, frequency } at that time
+     */
+    sourceStateAt(source, time) {
+      let history = source.history;
+      let low = 0;
+      let high = history.length - 1;
+      if (time >= history[high].time) low = high;
+      while (high - low > 1) {
+        let middle = (low + high) >> 1;
+        if (history[middle].time <= time) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      let a = history[low];
+      let b = history[high];
+      let t = b.time > a.time ? clamp((time - a.time) / (b.time - a.time), 0, 1) : 0;
+      let mix = (key) => a[key] + (b[key] - a[key]) * t;
+      return {
+        pos: new Vector2(mix("x"), mix("y")),
+        vel: new Vector2(mix("vx"), mix("vy")),
+        phase: mix("phase"),
+        frequency: t > 0 ? b.frequency : a.frequency, // Frequency during the step
+      };
+    }
+
+    /**
+     * Solves for the retarded time: when the sound reaching the observer now
+     * was emitted. The emission at time te has travelled c (t - te) from the
+     * source's position then, carried along by the medium, so te is a root of
+     *   c (t - te) - |x - p(te) - w (t - te)|
+     * which is bracketed by a wavefront that has arrived and one that has not.
+     * @param {Object} source - Emitting source
+     * @param {Object} observer - Receiving observer
+     * @param {Number} arrived - Emission time whose sound has arrived (s)
+     * @param {Number} pending - Emission time whose sound has not arrived (s)
+     * @returns {Number} - Emission time of the sound arriving now (s)
+     */
+    retardedTime(source, observer, arrived, pending) {
+      let waveSpeed = this.waveSpeed();
+      let medium = this.mediumVelocity();
+      let hasArrived = (time) => {
+        let age = this.time - time;
+        let center = Vector2.add(this.sourceStateAt(source, time).pos, Vector2.mult(medium, age));
+        return waveSpeed * age >= Vector2.dist(center, observer.pos);
+      };
+
+      for (let i = 0; i < RETARDED_TIME_ITERATIONS; i++) {
+        let middle = (arrived + pending) / 2;
+        if (hasArrived(middle)) {
+          arrived = middle;
+        } else {
+          pending = middle;
+        }
+      }
+      return (arrived + pending) / 2;
+    }
+
+    /**
+     * Grows wavefronts with age, carries their centers along with the medium,
+     * reflects them off reflectors and discards those that are too old or large
+     * @param {Number} dt - Time step (s)
+     */
+    updateWaves(dt) {
+      let medium = this.mediumVelocity();
+
+      for (let i = this.waves.length - 1; i >= 0; i--) {
+        let wave = this.waves[i];
+        let age = this.waveAge(wave);
+
+        // A wave emitted during this step only drifts for its age
+        let drift = Vector2.mult(medium, Math.min(dt, age));
+        wave.radius = age * this.waveSpeed();
+        wave.pos.add(drift);
+        if (wave.mirror) {
+          wave.mirror.a.add(drift);
+          wave.mirror.b.add(drift);
+        }
+
+        // An echo's radius includes the path to the reflector, so only its
+        // reflected part counts toward the size limit
+        let size = wave.radius - (wave.reflectionRadius || 0);
+        if (age > this.maxWaveAge || size > this.maxWaveRadius) {
+          this.waves.splice(i, 1);
+        }
+      }
+
+      this.reflectWaves();
+    }
+
+    /**
+     * Creates an image wavefront when a direct wavefront first touches a
+     * reflector. The image is centered on the mirror image of the wave center
+     * and only exists on the near side of the surface, in the directions the
+     * surface subtends from the image center. Its source is the reflector,
+     * re-emitting at the frequency the reflector received, so a moving
+     * reflector applies the Doppler shift twice. Echoes are not reflected
+     * again.
+     */
+    reflectWaves() {
+      let images = [];
+
+      for (let wave of this.waves) {
+        if (wave.reflectorId !== undefined) continue;
+
+        for (let reflector of this.reflectors) {
+          if (wave.reflectedBy.includes(reflector.id)) continue;
+
+          let [a, b] = this.reflectorEnds(reflector);
+          let hitPoint = closestPointOnSegment(wave.pos, a, b);
+          if (Vector2.dist(wave.pos, hitPoint) > wave.radius) continue;
+
+          wave.reflectedBy.push(reflector.id);
+          images.push({
+            sourceId: wave.sourceId,
+            reflectorId: reflector.id, // Reflector that produced this echo
+            pos: mirrorPoint(wave.pos, a, b),
+            emissionPos: mirrorPoint(wave.emissionPos, a, b), // Image of the emission point
+            radius: wave.radius,
+            reflectionRadius: wave.radius, // Radius at the time of reflection (m)
+            birthTime: wave.birthTime,
+            sourceVel: reflector.vel.copy(),
+            sourceFreq: Math.abs(
+              this.waveModel.observedFrequency(wave, hitPoint, reflector.vel, this)
+            ),
+            phaseAtEmission: wave.phaseAtEmission,
+            originalFreq: wave.sourceFreq, // Frequency the source emitted (Hz)
+            signal: wave.signal,
+            reflectivity: reflector.reflectivity, // Fraction of the amplitude sent back
+            mirror: { a: a, b: b }, // Surface at the time of reflection
+          });
+        }
+      }
+
+      this.waves.push(...images);
+    }
+
+    /**
+     * Amplitude of a wave after travelling some distance, relative to its
+     * amplitude at the reference distance: geometric spreading (none within
+     * the reference distance) times the absorption of the medium
+     * @param {Number} distance - Path length from the source (m)
+     * @returns {Number} - Relative amplitude
+     */
+    amplitudeAt(distance) {
+      let ratio = Math.max(distance, this.referenceDistance) / this.referenceDistance;
+      let spreading = Math.pow(ratio, -SPREADING_EXPONENTS[this.spreading]);
+      let absorption = Math.pow(10, -(this.absorption * distance) / 1000 / 20);
+      return spreading * absorption;
+    }
+
+    /**
+     * @param {Object} wave - Direct or echo wavefront
+     * @returns {Number} - Relative amplitude of the wavefront now, including
+     *   the reflectivity of the reflector that sent back an echo
+     */
+    waveAmplitude(wave) {
+      let reflectivity = wave.reflectivity !== undefined ? wave.reflectivity : 1;
+      return reflectivity * this.amplitudeAt(wave.radius);
+    }
+
+    /**
+     * @param {Number} amplitude - Relative amplitude (see amplitudeAt)
+     * @returns {Number} - Sound level (dB), -Infinity for silence
+     */
+    soundLevel(amplitude) {
+      return this.sourceLevel + 20 * Math.log10(amplitude);
+    }
+
+    /**
+     * @param {Object} wave - Direct or echo wavefront
+     * @param {Vector2} pos - Point (m)
+     * @returns {Boolean} - Whether the wavefront has passed the point. An
+     *   echo only reaches points on the near side of its reflector.
+     */
+    hasArrived(wave, pos) {
+      if (wave.radius < Vector2.dist(wave.pos, pos)) return false;
+      return !wave.mirror || segmentsCross(wave.pos, pos, wave.mirror.a, wave.mirror.b);
+    }
+
+    /**
+     * @param {Object} wave - Wavefront
+     * @returns {Number} - Time since the wave was emitted (s)
+     */
+    waveAge(wave) {
+      return this.time - wave.birthTime;
+    }
+
+    /**
+     * Updates an observer's reading of every source and of every echo, the
+     * superposed signal and the total sound level (the powers of the
+     * separate signals add up)
+     * @param {Object} observer - Observer to update
+     */
+    updateObservation(observer) {
+      let readings = {};
+      let echoes = {};
+      let power = 0;
+      observer.signal = 0;
+      observer.signalCount = 0;
+      observer.hasSignal = false;
+
+      let receive = (reading) => {
+        if (reading.hasSignal) {
+          observer.signal += reading.signal;
+          observer.signalCount++;
+          observer.hasSignal = true;
+          power += reading.amplitude * reading.amplitude;
+        }
+      };
+
+      for (let source of this.sources) {
+        let reading = this.observeSource(
+          observer,
+          source,
+          observer.readings[source.id]
+        );
+        readings[source.id] = reading;
+        receive(reading);
+      }
+
+      for (let reflector of this.reflectors) {
+        let previous = observer.echoes[reflector.id] || {};
+        echoes[reflector.id] = {};
+        for (let source of this.sources) {
+          let reading = this.observeEcho(
+            observer,
+            source,
+            reflector,
+            previous[source.id]
+          );
+          echoes[reflector.id][source.id] = reading;
+          receive(reading);
+        }
+      }
+
+      observer.readings = readings;
+      observer.echoes = echoes;
+      observer.level = this.soundLevel(Math.sqrt(power));
+    }
+
+    /**
+     * Reconstructs the signal from one source at an observer.
+     * Records a sonic boom when the first sound of a supersonic source arrives.
+     * @param {Object} observer - Receiving observer
+     * @param {Object} source - Emitting source
+     * @param {Object} [previous] - Previous reading, whose frequency is kept
+     *   until a wave from the source arrives
+     * @returns {Object} - Reading { frequency, sourceFrequency,
+     *   classicalFrequency, reversed, branches, phase, signal, amplitude,
+     *   level, hasSignal, boomTime }, with sourceFrequency the frequency the
+     *   source emitted the sound heard now. The signal is the sum of the
+     *   branches' waveforms, each scaled by its amplitude; amplitude and
+     *   level (dB) combine the branches' powers.
+     */
+    observeSource(observer, source, previous) {
+      let waves = this.waves.filter(
+        (wave) => wave.sourceId === source.id && wave.reflectorId === undefined
+      );
+      let reading = this.observeWaves(observer, waves, this.frequencyAt(source), previous, source);
+      if (!reading.hasSignal) return reading;
+
+      // The shock front sweeps over the observer when sound from a
+      // supersonic source first reaches it
+      let firstArrival = !previous || !previous.hasSignal;
+      if (firstArrival && reading.branches.some((branch) => branch.supersonic)) {
+        reading.boomTime = this.time;
+        this.booms.push({
+          time: this.time,
+          sourceId: source.id,
+          observerId: observer.id,
+        });
+      }
+
+      return reading;
+    }
+
+    /**
+     * Reconstructs the echo of one source off one reflector at an observer
+     * @param {Object} observer - Receiving observer
+     * @param {Object} source - Emitting source
+     * @param {Object} reflector - Reflector producing the echo
+     * @param {Object} [previous] - Previous reading of this echo
+     * @returns {Object} - Reading, as for observeSource()
+     */
+    observeEcho(observer, source, reflector, previous) {
+      let waves = this.waves
+        .filter(
+          (wave) =>
+            wave.sourceId === source.id && wave.reflectorId === reflector.id
+        )
+        .sort((a, b) => a.birthTime - b.birthTime);
+      return this.observeWaves(observer, waves, this.frequencyAt(source), previous);
+    }
+
+    /**
+     * Finds the branches of the signal carried by a series of wavefronts
+     *
+     * Walking the wavefronts in emission order, every change between
+     * "arrived" and "not yet arrived" marks a branch of the received signal.
+     * Below Mach 1 there is a single forward branch: the most recently arrived
+     * wave is followed by later emissions. Inside a Mach cone there is also a
+     * reversed branch, where later emissions have already arrived and earlier
+     * ones are still on their way, so the signal plays backwards in time.
+     * Each branch lies between an arrived and a pending emission time, which
+     * brackets its retarded time when the source's history is given.
+     * @param {Object} observer - Receiving observer
+     * @param {Object[]} waves - Wavefronts in emission order
+     * @param {Number} frequency - Frequency reported before anything arrives (Hz)
+     * @param {Object} [previous] - Previous reading
+     * @param {Object} [source] - Source that emitted the waves directly, to
+     *   solve for retarded times (echoes are extrapolated from their waves)
+     * @returns {Object} - Reading, as for observeSource()
+     */
+    observeWaves(observer, waves, frequency, previous, source) {
+      let arrived = waves.map((wave) => this.hasArrived(wave, observer.pos));
+      let branch = (k, pending, reversed) => {
+        let emissionTime = source
+          ? this.retardedTime(source, observer, waves[k].birthTime, pending)
+          : null;
+        return this.observeBranch(waves[k], observer, reversed, source, emissionTime);
+      };
+
+      let branches = [];
+      for (let k = 0; k < waves.length; k++) {
+        if (!arrived[k]) continue;
+
+        // Forward branch: the next wave in emission order has not arrived
+        // yet; after the newest wave, the source itself is still emitting
+        if (k === waves.length - 1 || !arrived[k + 1]) {
+          let pending = k === waves.length - 1 ? this.time : waves[k + 1].birthTime;
+          branches.push(branch(k, pending, false));
+        }
+        // Reversed branch: the previous wave in emission order has not arrived yet
+        if (k > 0 && !arrived[k - 1]) {
+          branches.push(branch(k, waves[k - 1].birthTime, true));
+        }
+      }
+
+      let boomTime = previous ? previous.boomTime : null;
+
+      // If no waves have reached the observer yet, the observer hears nothing
+      if (branches.length === 0) {
+        return {
+          frequency: previous ? previous.frequency : frequency,
+          sourceFrequency: previous ? previous.sourceFrequency : frequency,
+          classicalFrequency: previous ? previous.classicalFrequency : null,
+          reversed: false,
+          branches: [],
+          phase: 0,
+          signal: 0,
+          amplitude: 0,
+          level: -Infinity,
+          hasSignal: false,
+          boomTime: boomTime,
+        };
+      }
+
+      // The readout follows the branch that arrived most recently
+      let latest = branches.reduce((a, b) =>
+        b.arrivalTime > a.arrivalTime ? b : a
+      );
+      let signal = 0;
+      let power = 0;
+      for (let branch of branches) {
+        signal += branch.amplitude * signalValue(branch.signal, branch.phase);
+        power += branch.amplitude * branch.amplitude;
+      }
+
+      return {
+        frequency: latest.frequency,
+        sourceFrequency: latest.sourceFrequency,
+        classicalFrequency: latest.classicalFrequency,
+        reversed: latest.reversed,
+        branches: branches,
+        phase: latest.phase,
+        signal: signal,
+        amplitude: Math.sqrt(power),
+        level: this.soundLevel(Math.sqrt(power)),
+        hasSignal: true,
+        boomTime: boomTime,
+      };
+    }
+
+    /**
+     * Phase and frequency of one branch of the received signal.
+     *
+     * With a retarded time, everything follows from the source's state when
+     * it emitted the sound arriving now: the phase is the phase it had then,
+     * and the frequency is the Doppler shift for its velocity then and the
+     * observer's velocity now, which is exactly the rate that phase advances
+     * at the observer. Without one (echoes), the phase the arrived wave
+     * carried is extrapolated at the frequency the observer measures,
+     * backwards on a reversed branch. The amplitude follows from the path
+     * length, from the emission point (or its mirror image) to the observer,
+     * and the waveform is the one the arrived wave was emitted with.
+     * @param {Object} wave - Arrived wavefront at the edge of the branch
+     * @param {Object} observer - Receiving observer
+     * @param {Boolean} reversed - Whether earlier emissions arrive next
+     * @param {Object} [source] - Source of the wave, with its history
+     * @param {Number} [emissionTime] - Retarded time of the branch (s)
+     * @returns {Object} - Branch { frequency, sourceFrequency,
+     *   classicalFrequency, reversed, supersonic, phase, signal, amplitude,
+     *   arrivalTime, emissionTime }
+     */
+    observeBranch(wave, observer, reversed, source, emissionTime) {
+      let waveSpeed = this.waveSpeed();
+      let medium = this.mediumVelocity();
+
+      // The front sweeps outward at the wave speed plus the medium's component
+      let direction = Vector2.sub(observer.pos, wave.pos).normalize();
+      let frontSpeed = waveSpeed + Vector2.dot(medium, direction);
+      let distToObserver = Vector2.dist(wave.pos, observer.pos);
+      let timeSinceArrival = (wave.radius - distToObserver) / frontSpeed;
+      let arrivalTime = this.time - timeSinceArrival;
+
+      // The sound heard now, as a wavefront emitted at the retarded time
+      let heard = wave;
+      let phase;
+      let sourceFrequency = wave.originalFreq;
+      if (source) {
+        let state = this.sourceStateAt(source, emissionTime);
+        heard = {
+          pos: Vector2.add(state.pos, Vector2.mult(medium, this.time - emissionTime)),
+          sourceVel: state.vel,
+          sourceFreq: state.frequency,
+        };
+        phase = state.phase;
+        sourceFrequency = state.frequency;
+      } else {
+        // The frequency is limited so the extrapolated phase stays
+        // meaningful near Mach 1
+        let frequencyLimit = wave.sourceFreq * this.freqMaxFactor;
+        let rate = Math.min(this.observedFrequencyOf(wave, observer), frequencyLimit);
+        phase = wave.phaseAtEmission + (reversed ? -1 : 1) * timeSinceArrival * rate * TWO_PI;
+      }
+
+      let classicalFrequency = this.waveModel.classicalFrequency
+        ? Math.abs(
+            this.waveModel.classicalFrequency(heard, observer.pos, observer.vel, this)
+          )
+        : null;
+
+      let reflectivity = wave.reflectivity !== undefined ? wave.reflectivity : 1;
+      let amplitude = reflectivity * this.amplitudeAt(Vector2.dist(heard.pos, observer.pos));
+
+      return {
+        frequency: this.observedFrequencyOf(heard, observer),
+        sourceFrequency: sourceFrequency,
+        classicalFrequency: classicalFrequency,
+        reversed: reversed,
+        supersonic: Vector2.dist(heard.sourceVel, medium) > waveSpeed,
+        phase: phase,
+        signal: wave.signal,
+        amplitude: amplitude,
+        arrivalTime: arrivalTime,
+        emissionTime: source ? emissionTime : null,
+      };
+    }
+
+    /**
+     * Frequency of a wavefront as measured by a (possibly moving) observer.
+     * For a source approaching faster than sound the Doppler formula turns
+     * negative, meaning the wavefronts arrive in reverse order; the measured
+     * frequency is its magnitude.
+     * @param {Object} wave - Wavefront
+     * @param {Object} observer - Receiving observer
+     * @returns {Number} - Observed frequency (Hz), Infinity exactly at Mach 1
+     */
+    observedFrequencyOf(wave, observer) {
+      let frequency = Math.abs(
+        this.waveModel.observedFrequency(wave, observer.pos, observer.vel, this)
+      );
+      return Math.max(this.freqMin, frequency);
+    }
+
+    /**
+     * Velocity components along the line joining a source and an observer
+     * @param {Object} source - Source
+     * @param {Object} observer - Observer
+     * @returns {Object} - { source, observer }: the source's velocity toward
+     *   the observer and the observer's velocity toward the source (m/s)
+     */
+    radialVelocities(source, observer) {
+      let direction = Vector2.sub(observer.pos, source.pos).normalize();
+      return {
+        source: Vector2.dot(source.vel, direction),
+        observer: -Vector2.dot(observer.vel, direction),
+      };
+    }
+
+    /**
+     * Frequency the Doppler formula gives for the current positions and
+     * velocities, ignoring the time the waves take to travel. It matches the
+     * observed frequency once the motion has been steady for that long.
+     * @param {Object} source - Source
+     * @param {Object} observer - Observer
+     * @returns {Number} - Theoretical frequency (Hz)
+     */
+    theoreticalFrequency(source, observer) {
+      let wave = {
+        pos: source.pos,
+        sourceVel: source.vel,
+        sourceFreq: this.frequencyAt(source),
+      };
+      return this.observedFrequencyOf(wave, observer);
+    }
+
+    /**
+     * @param {Object} source - Source
+     * @param {Number} [time] - Simulation time (s), now by default
+     * @returns {Number} - Frequency the source emits at that time, following
+     *   its sweep (Hz)
+     */
+    frequencyAt(source, time = this.time) {
+      return source.frequency * frequencyFactor(source.signal, time - source.signalStart);
+    }
+
+    /**
+     * Changes the waveform or the sweep of a source. A different type of
+     * sweep starts from its beginning now; wavefronts already emitted keep
+     * the signal they were emitted with.
+     * @param {Object} source - Source
+     * @param {Object} signal - Any of { waveform, harmonics, sweep }
+     */
+    setSignal(source, signal) {
+      let previousType = source.signal.sweep.type;
+      source.signal = normalizeSignal(Object.assign({}, source.signal, signal));
+      if (source.signal.sweep.type !== previousType) {
+        source.signalStart = this.time;
+      }
+    }
+
+    /**
+     * Where a body is at another time if it keeps its current motion: along
+     * its trajectory, otherwise at its current velocity
+     * @param {Object} body - Source, observer or reflector
+     * @param {Number} time - Simulation time (s)
+     * @returns {Vector2} - Position (m)
+     */
+    positionAt(body, time) {
+      if (body.trajectory) {
+        return body.trajectory.position(time - body.trajectoryStart);
+      }
+      return Vector2.add(body.pos, Vector2.mult(body.vel, time - this.time));
+    }
+
+    /**
+     * @param {Object} body - Source, observer or reflector
+     * @param {Number} time - Simulation time (s)
+     * @returns {Vector2} - Velocity at that time for the current motion (m/s)
+     */
+    velocityAt(body, time) {
+      if (body.trajectory) {
+        return body.trajectory.velocity(time - body.trajectoryStart);
+      }
+      return body.vel.copy();
+    }
+
+    /**
+     * Frequency an observer hears at a given time if the source and observer
+     * keep their current motion, including the delay while the sound
+     * travels. The wave heard at time t was emitted at the retarded time te
+     * with |observer(t) - source(te) - w (t - te)| = c (t - te), found by
+     * bisection. For a supersonic source the root found is one of the
+     * branches the observer hears.
+     * @param {Object} source - Source
+     * @param {Object} observer - Observer
+     * @param {Number} time - Simulation time of reception (s)
+     * @returns {Number} - Predicted frequency (Hz)
+     */
+    predictedFrequency(source, observer, time) {
+      let waveSpeed = this.waveSpeed();
+      let medium = this.mediumVelocity();
+      let observerPos = this.positionAt(observer, time);
+
+      // Distance the wave emitted at te still has to cover at time t
+      let waveCenter = (te) =>
+        Vector2.add(this.positionAt(source, te), Vector2.mult(medium, time - te));
+      let gap = (te) =>
+        Vector2.dist(observerPos, waveCenter(te)) - waveSpeed * (time - te);
+
+      // Bracket the root by looking further back until the gap closes
+      let late = time;
+      let lookBack = Math.max(gap(time) / waveSpeed, 1e-6);
+      let early = time - lookBack;
+      for (let i = 0; i < 60 && gap(early) > 0; i++) {
+        late = early;
+        lookBack *= 2;
+        early = time - lookBack;
+      }
+      for (let i = 0; i < 60; i++) {
+        let middle = (early + late) / 2;
+        if (gap(middle) > 0) late = middle;
+        else early = middle;
+      }
+
+      let emissionTime = (early + late) / 2;
+      let wave = {
+        pos: waveCenter(emissionTime),
+        sourceVel: this.velocityAt(source, emissionTime),
+        sourceFreq: this.frequencyAt(source, emissionTime),
+      };
+      return this.observedFrequencyOf(wave, {
+        pos: observerPos,
+        vel: this.velocityAt(observer, time),
+      });
+    }
+
+    /**
+     * Mach number for sound, β = v/c for light
+     * @param {Object} source - Source
+     * @returns {Number} - Source speed relative to the medium over the wave speed
+     */
+    machNumber(source) {
+      return Vector2.dist(source.vel, this.mediumVelocity()) / this.waveSpeed();
+    }
+
+    /**
+     * @param {Object} body - Source or observer
+     * @returns {Number} - Lorentz factor γ of the body (light model)
+     */
+    gamma(body) {
+      return lorentzFactor(body.vel.mag(), this.lightSpeed);
+    }
+
+    /**
+     * Mach cone of a supersonic source: the two lines from the source that
+     * are tangent to all of its wavefronts
+     * @param {Object} source - Source
+     * @returns {Object|null} - { apex, mach, halfAngle, edges, length } with
+     *   edges the two unit directions of the cone, or null below Mach 1
+     */
+    machCone(source) {
+      let mach = this.machNumber(source);
+      if (mach <= 1) return null;
+
+      // Half-angle of the cone, measured from the direction opposite the
+      // motion through the medium
+      let halfAngle = Math.asin(1 / mach);
+      let relativeVel = Vector2.sub(source.vel, this.mediumVelocity());
+      let backward = Math.atan2(-relativeVel.y, -relativeVel.x);
+
+      // The cone reaches back to the tangent point on the largest wavefront
+      // (echoes are centered on mirror images and are not part of it)
+      let length = 0;
+      for (let wave of this.waves) {
+        if (wave.sourceId !== source.id || wave.reflectorId !== undefined) continue;
+        let distance = Vector2.dist(source.pos, wave.pos);
+        if (distance > wave.radius) {
+          length = Math.max(length, Math.sqrt(distance ** 2 - wave.radius ** 2));
+        }
+      }
+
+      return {
+        apex: source.pos.copy(),
+        mach: mach,
+        halfAngle: halfAngle,
+        edges: [backward + halfAngle, backward - halfAngle].map(
+          (angle) => new Vector2(Math.cos(angle), Math.sin(angle))
+        ),
+        length: length,
+      };
+    }
+  }
+
+  exports.SIMULATION_DEFAULTS = SIMULATION_DEFAULTS;
+  exports.createBody = createBody;
+  exports.DopplerSimulation = DopplerSimulation;
+})(typeof module !== "undefined" ? module.exports : this);
@@ -1,6 +1,6 @@
 // Doppler Effect Simulation in P5.js
 // This simulation demonstrates the Doppler effect with:
-// - Moving source or observer (controlled by mouse)
+// - Moving sources and observers (controlled by mouse)
 // - Visualization of circular waves
 // - Graphs showing emitted and observed frequencies/sounds
 // - Physically accurate wave propagation and frequency calculations
@@ -10,16 +10,19 @@
 const CONSTANTS = {
   // Physical constants in SI units
   PHYSICS: {
-    SOUND_SPEED: 343.0, // Speed of sound in air (m/s) at room temperature
-    METERS_TO_PIXELS: 1, // Conversion factor (pixels per meter)
-    PIXELS_TO_METERS: 1, // Inverse conversion factor (meters per pixel) --- SEE ABOVE
+    MEDIUM: "air", // Medium the sound travels through (see media.js)
+    TEMPERATURE: 20, // Temperature of the medium (°C)
+    HUMIDITY: 0, // Relative humidity of air (0 to 1)
+    LIGHT_SPEED: 100.0, // Scaled speed of light (m/s) for the light mode
     REAL_TIME_FACTOR: 0.5, // Slows down real-time for better visualization
     EMITTED_FREQ: 4, // Base frequency of emitted sound (Hz)
     FREQ_MIN: 0.1, // Minimum allowable frequency (Hz)
     FREQ_MAX_FACTOR: 5, // Maximum frequency as factor of emitted
     FREQ_SMOOTHING: 0.5, // Smoothing factor for frequency transitions
     FREQ_CHANGE_THRESHOLD: 0.001, // Threshold for frequency updates
-    VELOCITY_DECAY: 0.5, // Decay factor for velocity when not dragging
+    MAX_SPEED: 150, // Top speed the keyboard and pointer can push an object to (m/s)
+    DRAG_COEFFICIENT: 2, // Drag force per unit of speed (kg/s)
+    PULL_STIFFNESS: 40, // Spring pulling a dragged object to the pointer (N/m)
     MIN_VELOCITY_MAG: 0.01, // Minimum velocity magnitude to display vector (m/s)
     TIME_STEP_MAX: 0.05, // Maximum time step (seconds) to prevent jumps
   },
@@ -30,20 +33,57 @@ const CONSTANTS = {
     STROKE_WEIGHT: 2, // Line thickness for wave circles
     OPACITY_MAX: 150, // Maximum opacity for wave visualization
     OPACITY_MIN: 0, // Minimum opacity for wave visualization
+    LIGHT_COLOR: [200, 160, 0], // RGB color for light wavefronts
+    ECHO_OPACITY_FACTOR: 0.6, // Opacity of echo wavefronts relative to direct ones
+    FADE_OUT: 1, // Time over which a wavefront fades out before it is removed (s)
+  },
+
+  // Supersonic visualization properties
+  SUPERSONIC: {
+    CONE_COLOR: [120, 0, 0], // RGB color for the Mach cone
+    CONE_WEIGHT: 2, // Line thickness for the Mach cone
+    BOOM_COLOR: [255, 120, 0], // RGB color for the sonic boom flash
+    BOOM_FLASH_DURATION: 0.5, // Duration of the sonic boom flash (simulation seconds)
+    BOOM_RING_RADIUS: 60, // Final radius of the flash ring around the observer (pixels)
+    BOOM_BACKGROUND_ALPHA: 60, // Peak opacity of the full-canvas flash
+  },
+
+  // Wind (moving medium) properties
+  WIND: {
+    DEFAULT_SPEED: 30, // Wind speed switched on with the 'W' key (m/s)
+    ROTATE_STEP: 45, // Rotation of the wind direction with Shift+W (degrees)
+    INDICATOR_X: 60, // X position of the wind indicator center (pixels)
+    INDICATOR_BOTTOM: 90, // Distance of the indicator center from the bottom (pixels)
+    INDICATOR_RADIUS: 30, // Radius of the wind indicator dial (pixels)
+    COLOR: [0, 120, 180], // RGB color for the wind indicator
   },
 
   // UI properties (in pixels for display)
   UI: {
     SOURCE_RADIUS: 10, // Radius of the source circle (pixels)
     OBSERVER_RADIUS: 10, // Radius of the observer circle (pixels)
-    VELOCITY_SMOOTHING: 0.01, // Lower value = more smoothing
     VECTOR_SCALE: 0.2, // Scale factor for velocity vectors
     VELOCITY_STROKE_WEIGHT: 2, // Line thickness for velocity vectors
     ARROWHEAD_SIZE: 5, // Size of velocity vector arrowheads
     ARROWHEAD_LENGTH: 10, // Length of arrowhead
     CONNECTING_LINE_WEIGHT: 1, // Weight of line connecting source and observer
-    SOURCE_COLOR: [255, 0, 0], // RGB color for source
-    OBSERVER_COLOR: [0, 128, 0], // RGB color for observer
+    SOURCE_COLORS: [
+      [255, 0, 0],
+      [255, 140, 0],
+      [160, 0, 200],
+      [139, 69, 19],
+    ], // RGB colors for sources (cycled by index)
+    OBSERVER_COLORS: [
+      [0, 128, 0],
+      [0, 150, 150],
+      [100, 160, 0],
+      [0, 80, 160],
+    ], // RGB colors for observers (cycled by index)
+    LABEL_OFFSET: 14, // Offset of object labels from their centers (pixels)
+    REFLECTOR_COLOR: [90, 90, 90], // RGB color for walls and reflectors
+    REFLECTOR_WEIGHT: 6, // Line thickness of walls and reflectors (pixels)
+    REFLECTOR_HIT_DISTANCE: 8, // Grab distance from a reflector's surface (pixels)
+    TOUCH_HIT_PADDING: 20, // Extra grab distance for fingers and pens (pixels)
     CONNECTING_LINE_COLOR: [100, 100, 100], // RGB color for connecting line
     WAVE_COLOR: [0, 0, 255], // RGB color for waves
     BACKGROUND_COLOR: [240, 240, 240], // RGB color for background
@@ -68,6 +108,93 @@ const CONSTANTS = {
     TEXT_RIGHT_MARGIN: 150, // Right margin for text in graphs
   },
 
+  // Observed frequency history chart
+  CHART: {
+    WINDOW: 20, // Simulation time shown (s)
+    FUTURE_FRACTION: 0.25, // Part of the window after the current time
+    THEORY_POINTS: 100, // Points computed for the theoretical curve
+    AXIS_LEFT: 40, // Room for the frequency tick labels (pixels)
+    TICK_LENGTH: 4, // Length of the axis ticks (pixels)
+    TICK_SPACING: 25, // Smallest spacing between frequency ticks (pixels)
+    THEORY_DASH: [6, 4], // Dash pattern of the theoretical curve (pixels)
+    THEORY_WEIGHT: 1, // Weight of the theoretical curve
+  },
+
+  // Spectrum analyzer of the selected observer's signal
+  SPECTRUM: {
+    SAMPLE_RATE: 64, // Resampling rate of the observed signal (Hz)
+    SIZE: 512, // Samples per spectrum (8 s at 64 Hz)
+    UPDATE_INTERVAL: 0.25, // Simulation time between spectrogram columns (s)
+    HISTORY: 120, // Spectrogram columns kept
+    MAX_FREQUENCY: 16, // Highest frequency shown (Hz)
+    MIN_DB: -50, // Level shown as the spectrogram background (dB)
+    PEAK_THRESHOLD: 0.1, // Smallest peak reported, relative to the largest
+    PEAK_COUNT: 4, // Most peaks reported
+    X: 120, // X position of the spectrum panel (pixels)
+    BOTTOM: 100, // Distance of the panels from the bottom (pixels)
+    WIDTH: 260, // Width of each panel (pixels)
+    HEIGHT: 110, // Height of each panel (pixels)
+    GAP: 30, // Space between the spectrum and the spectrogram (pixels)
+    BAR_COLOR: [0, 150, 0], // RGB color for the spectrum
+    PEAK_COLOR: [255, 0, 0], // RGB color for the peak markers
+    HOT_COLOR: [255, 230, 0], // RGB color for the loudest spectrogram level
+    COLD_COLOR: [20, 0, 60], // RGB color for the quietest spectrogram level
+  },
+
+  // Camera (zoom and pan) and measurement grid
+  CAMERA: {
+    SCALE: 1, // Initial scale (meters per pixel)
+    MIN_SCALE: 0.1, // Closest zoom (meters per pixel)
+    MAX_SCALE: 10, // Farthest zoom (meters per pixel)
+    SCALE_STEP: 0.01, // Step of the scale control (meters per pixel)
+    WHEEL_ZOOM: 0.001, // Zoom per pixel of mouse wheel scrolling (exponential)
+    FIT_MARGIN: 0.15, // Margin around the objects when zooming to fit (fraction)
+    GRID_SPACING: 80, // Smallest spacing of grid lines (pixels)
+    GRID_COLOR: [215, 215, 215], // RGB color for grid lines
+    SCALE_BAR_LENGTH: 150, // Longest scale bar (pixels)
+    SCALE_BAR_X: 120, // X position of the scale bar's left end (pixels)
+    SCALE_BAR_BOTTOM: 70, // Distance of the scale bar from the bottom (pixels)
+  },
+
+  // Reference frames the scene can be drawn in
+  FRAME: {
+    NAMES: ["ground", "source", "observer"], // Cycled with the 'G' key
+    READOUT_X: 15, // X position of the frame readout (pixels)
+    READOUT_BOTTOM: 150, // Distance of the readout's last line from the bottom (pixels)
+  },
+
+  // Amplitude of the waves with distance
+  ATTENUATION: {
+    SPREADINGS: ["3d", "2d", "none"], // Cycled with the 'V' key
+    FULL_SCALE_DISTANCE: 200, // Distance at which graphs and wavefronts are at full strength (m)
+  },
+
+  // Screen reader support
+  ACCESSIBILITY: {
+    ANNOUNCE_INTERVAL: 2, // Shortest time between live announcements (real s)
+    FREQUENCY_INTERVAL: 10, // Time between frequency announcements (real s)
+    DESCRIPTION_INTERVAL: 1, // Time between scene description updates (real s)
+  },
+
+  // Control panel ranges (the numeric fields accept any value in the range)
+  CONTROLS: {
+    FREQUENCY: { MIN: 0.1, MAX: 20, STEP: 0.01 }, // Emitted frequency (Hz)
+    WAVE_SPEED: { MIN: 1, MAX: 7000, STEP: 1 }, // Sound or light speed (m/s)
+    TEMPERATURE: { MIN: -50, MAX: 100, STEP: 1 }, // Temperature of the medium (°C)
+    HUMIDITY: { MIN: 0, MAX: 100, STEP: 1 }, // Relative humidity of air (%)
+    ABSORPTION: { MIN: 0, MAX: 100, STEP: 0.5 }, // Absorption in the medium (dB/km)
+    SOURCE_LEVEL: { MIN: 40, MAX: 140, STEP: 1 }, // Sound level at 1 m from a source (dB)
+    TIME_SCALE: { MIN: 0.05, MAX: 2, STEP: 0.05 }, // Simulation seconds per real second
+    WAVE_LIFETIME: { MIN: 1, MAX: 30, STEP: 0.5 }, // Wave lifetime (s)
+    VECTOR_SCALE: { MIN: 0.05, MAX: 2, STEP: 0.05 }, // Velocity vector length (pixels per m/s)
+    MASS: { MIN: 0.1, MAX: 100, STEP: 0.1 }, // Mass of the selected object (kg)
+    MAX_SPEED: { MIN: 1, MAX: 1000, STEP: 1 }, // Top speed under input forces (m/s)
+    DRAG: { MIN: 0, MAX: 20, STEP: 0.1 }, // Drag coefficient (kg/s)
+    SWEEP_RATIO: { MIN: 0.25, MAX: 4, STEP: 0.01 }, // End over start of a chirp, high over low tone of a siren
+    SWEEP_DURATION: { MIN: 0.2, MAX: 20, STEP: 0.1 }, // Length of a chirp or of a siren tone (s)
+    VELOCITY_STEP: 0.1, // Step of the velocity fields (m/s)
+  },
+
   // Text properties
   TEXT: {
     FONT_SIZE_SMALL: 12, // Small font size for graph titles
@@ -78,12 +205,45 @@ const CONSTANTS = {
     INSTRUCTION_X: 15, // X position for instruction text
     INSTRUCTION_Y1: 40, // Y position for first instruction line
     INSTRUCTION_Y2: 60, // Y position for second instruction line
+    MESSAGE_BOTTOM: 40, // Distance of status messages from the bottom (pixels)
+    STATUS_GAP: 30, // Space between the items of the status bar (pixels)
+    MESSAGE_DURATION: 4, // Time a status message stays visible (seconds)
+  },
+
+  // Session recording and replay
+  REPLAY: {
+    SPEEDS: [0.25, 0.5, 1, 2, 4], // Playback speeds selectable with the up/down arrows
+    TIMELINE_LEFT: 120, // X position of the timeline start (pixels)
+    TIMELINE_RIGHT_MARGIN: 20, // Distance of the timeline end from the right edge (pixels)
+    TIMELINE_BOTTOM: 60, // Distance of the timeline from the bottom (pixels)
+    TIMELINE_HEIGHT: 10, // Height of the timeline bar (pixels)
+    TIMELINE_COLOR: [200, 200, 200], // RGB color for the timeline bar
+    PLAYHEAD_COLOR: [0, 0, 0], // RGB color for the playhead
+    RECORD_COLOR: [220, 0, 0], // RGB color for the recording indicator
+  },
+
+  // Data logger
+  LOG: {
+    RATES: [1, 5, 10, 20, 50], // Logging rates selectable with the 'I' key (Hz)
+    FILE_NAME: "doppler-log", // Download name, without the extension
+  },
+
+  // Scenario files and links
+  SHARE: {
+    FILE_NAME: "doppler-scenario.json", // Name of downloaded scenario files
+    HASH_PREFIX: "#scenario=", // URL hash that carries an encoded scenario
+  },
+
+  // Guided lessons
+  LESSON: {
+    STORAGE_KEY: "doppler-lessons", // localStorage entry of the answers and positions
+    FILE_NAME: "doppler-lesson-results", // Download name of the answers, without the extension
   },
 
   // Keyboard properties
   KEYBOARD: {
-    MOVE_STEP: 60.0, // Speed of keyboard movement (m/s)
-    SOUND_SPEED_STEP: 1.0, // Step size for sound speed adjustment (m/s)
+    THRUST: 120, // Force of the arrow keys (N): 60 m/s top speed against the default drag
+    SOUND_SPEED_STEP: 1.0, // Step size for sound (or light) speed adjustment (m/s)
     EMITTED_FREQ_STEP: 0.01, // Step size for frequency adjustment (Hz)
     TOGGLE_PAUSE: 32, // Space bar
     RESET_KEY: 82, // 'R' key
@@ -94,33 +254,96 @@ const CONSTANTS = {
     NUMBER_2: 50, // '2' key
     NUMBER_3: 51, // '3' key
     NUMBER_4: 52, // '4' key
+    NUMBER_5: 53, // '5' key
+    NUMBER_6: 54, // '6' key
+    NUMBER_7: 55, // '7' key
+    NUMBER_8: 56, // '8' key
+    NUMBER_9: 57, // '9' key
+    NUMBER_0: 48, // '0' key
+    LIGHT_TOGGLE: 76, // 'L' key
+    REFLECTOR_SELECT: 77, // 'M' key (mirror; with Shift: add one)
+    SCENARIO_FILE: 70, // 'F' key (save to file; with Shift: open a file)
+    SHARE_LINK: 85, // 'U' key
+    RECORD_TOGGLE: 67, // 'C' key (capture a session)
+    REPLAY_TOGGLE: 80, // 'P' key (play back the last session)
+    LOG_TOGGLE: 75, // 'K' key (start/stop logging; with Shift: clear the log)
+    LOG_RATE: 73, // 'I' key (cycle the logging rate)
+    LOG_EXPORT: 74, // 'J' key (download CSV; with Shift: JSON)
+    SPECTRUM_TOGGLE: 88, // 'X' key
+    WIND_TOGGLE: 87, // 'W' key (with Shift: rotate direction)
+    REMOVE_KEYS: [46, 8], // Delete and Backspace keys
+    AUDIO_TOGGLE: 65, // 'A' key
+    EMITTED_AUDIO: 69, // 'E' key (mute, with Shift: solo)
+    OBSERVED_AUDIO: 68, // 'D' key (mute, with Shift: solo)
+    PITCH_DOWN: 219, // '[' key
+    PITCH_UP: 221, // ']' key
+    VIEW_RESET: 90, // 'Z' key (reset the view; with Shift: fit every object)
+    FRAME_TOGGLE: 71, // 'G' key (ground, source or observer rest frame)
+    MEDIUM_NEXT: 78, // 'N' key (next medium; with Shift: previous)
+    SPREADING_TOGGLE: 86, // 'V' key (3D, 2D or no spreading of the amplitude)
+    SIGNAL_NEXT: 84, // 'T' key (next waveform of the selected source; with Shift: next sweep)
+    LESSON_TOGGLE: 89, // 'Y' key (start or leave a lesson; with Shift: open a lesson file)
+    LESSON_STEP: 81, // 'Q' key (next lesson step; with Shift: previous)
+    LESSON_EXPORT: 66, // 'B' key (download the lesson answers as CSV; with Shift: JSON)
+  },
+
+  // Audio properties
+  AUDIO: {
+    PITCH_MULTIPLIER: 100, // Audible frequency per simulated frequency
+    PITCH_MULTIPLIER_MIN: 25, // Lowest selectable pitch multiplier
+    PITCH_MULTIPLIER_MAX: 800, // Highest selectable pitch multiplier
+    MIN_AUDIBLE_FREQ: 20, // Lowest frequency played (Hz)
+    MAX_AUDIBLE_FREQ: 5000, // Highest frequency played (Hz)
+    RAMP_TIME: 0.05, // Time constant of frequency ramps (s)
+    VOLUME: 0.15, // Gain of each audible signal (0-1)
+    HARMONICS: 16, // Harmonics of the source's waveform played
   },
 };
 
 // State variables
-let waves = []; // Array to store waves with source velocity info
-let sourcePos; // Position of sound source (in meters)
-let observerPos; // Position of observer (in meters)
-let sourceVel; // Velocity of sound source (in m/s)
-let observerVel; // Velocity of observer (in m/s)
-let prevSourcePos; // Previous position of source (in meters)
-let prevObserverPos; // Previous position of observer (in meters)
-let lastWaveTime = 0; // Time since last wave was created (in seconds)
-let observedFreq = CONSTANTS.PHYSICS.EMITTED_FREQ; // Frequency observed by observer (Hz)
-let smoothedObservedFreq = CONSTANTS.PHYSICS.EMITTED_FREQ; // Smoothed version for transitions
-let emittedSoundData = []; // Data for emitted sound graph
-let observedSoundData = []; // Data for observed sound graph
-let draggingSource = false; // Flag for when source is being dragged
-let draggingObserver = false; // Flag for when observer is being dragged
-let emittedPhase = 0; // Phase accumulator for emitted sound
-let observedPhase = 0; // Phase accumulator for observed sound
+let sim; // Headless simulation model (see simulation.js) rendered by this sketch
+let sonification; // Web Audio playback of the emitted and observed signals
+let graphData = new Map(); // Waveform graph history per source and observer
+let frequencyHistory = new Map(); // Observed frequencies per observer id, then source id
+let showSpectrum = false; // Whether the spectrum analyzer is shown
+let signalBuffer; // Resampled signal of the analyzed observer (see spectrum.js)
+let analyzedObserverId = null; // Id of the observer the buffer belongs to
+let spectrumColumns = []; // Spectrogram history, oldest first: magnitudes per bin
+let lastSpectrumTime = null; // Simulation time of the latest spectrogram column (s)
+let currentSpectrum = null; // Latest spectrum with its peaks
+let spectrogramImage; // Spectrogram pixels, redrawn when a column is added
+let controlPanel; // HTML sliders and fields for the parameters (see controls.js)
+let announcer; // ARIA live region messages (see accessibility.js)
+let announced = { shifts: new Map(), selection: null, paused: null, frequencyTime: 0 }; // Last announced state
+let lastDescriptionTime = -Infinity; // Real time of the last scene description update (s)
+let camera = new Camera({
+  scale: CONSTANTS.CAMERA.SCALE,
+  minScale: CONSTANTS.CAMERA.MIN_SCALE,
+  maxScale: CONSTANTS.CAMERA.MAX_SCALE,
+}); // Maps meters to canvas pixels (see camera.js)
+let pointerDrags = new Map(); // Drags by pointer id: { body, x, y } (pixels)
+let panPointer = null; // Pointer panning the view: { pointerId, x, y } (pixels)
+let referenceFrame = "ground"; // Rest frame the scene is drawn in: 'ground', 'source' or 'observer'
+let frameAnchor = null; // Body the view rides with, as of the last frame: { id, pos }
+let scrubPointerId = null; // Pointer dragging the replay timeline
+let keyboardMoving = false; // Flag for when the selected object is driven by arrow keys
 let lastFrameTime = 0; // Time of last frame for delta time calculation (in seconds)
-let simulationTime = 0; // Total simulation time (in seconds)
-let sourceMoving = false; // Flag for source moving by script
-let observerMoving = false; // Flag for observer moving by script
-let selectedObject = "source"; // 'source' or 'observer'
+let selectedObject = "source"; // 'source', 'observer' or 'reflector'
+let selectedSourceIndex = 0; // Index of the selected (or last selected) source
+let selectedObserverIndex = 0; // Index of the selected (or last selected) observer
+let selectedReflectorIndex = 0; // Index of the selected (or last selected) reflector
 let isPaused = false;
 let showHelp = true;
+let timeScale = CONSTANTS.PHYSICS.REAL_TIME_FACTOR; // Simulation seconds per real second
+let vectorScale = CONSTANTS.UI.VECTOR_SCALE; // Drawn length of velocity vectors per m/s
+let statusMessage = null; // Notice shown above the status bar: { text, time }
+let recorder = null; // SessionRecorder while a session is being recorded
+let lastSession = null; // Most recently recorded session
+let player = null; // SessionPlayer while a session is being replayed
+let liveState = null; // Simulation state to return to after a replay
+let dataLogger = new DataLogger(); // Time series of the readings for export
+let lesson = null; // Lesson being taken: { lesson, index, phase, answer, grade }
+let lessonProgress; // Answers and step of every lesson, kept in the browser (see lessons.js)
 
 /**
  * Initializes all colors in the CONSTANTS object as p5.js color objects
@@ -128,16 +351,32 @@ let showHelp = true;
  */
 function initializeColors() {
   // Convert all RGB arrays in CONSTANTS to p5.js color objects
-  CONSTANTS.UI.SOURCE_COLOR = color(CONSTANTS.UI.SOURCE_COLOR[0], CONSTANTS.UI.SOURCE_COLOR[1], CONSTANTS.UI.SOURCE_COLOR[2]);
-  CONSTANTS.UI.OBSERVER_COLOR = color(CONSTANTS.UI.OBSERVER_COLOR[0], CONSTANTS.UI.OBSERVER_COLOR[1], CONSTANTS.UI.OBSERVER_COLOR[2]);
+  CONSTANTS.UI.SOURCE_COLORS = CONSTANTS.UI.SOURCE_COLORS.map((rgb) => color(rgb[0], rgb[1], rgb[2]));
+  CONSTANTS.UI.OBSERVER_COLORS = CONSTANTS.UI.OBSERVER_COLORS.map((rgb) => color(rgb[0], rgb[1], rgb[2]));
+  CONSTANTS.UI.REFLECTOR_COLOR = color(CONSTANTS.UI.REFLECTOR_COLOR[0], CONSTANTS.UI.REFLECTOR_COLOR[1], CONSTANTS.UI.REFLECTOR_COLOR[2]);
   CONSTANTS.UI.CONNECTING_LINE_COLOR = color(CONSTANTS.UI.CONNECTING_LINE_COLOR[0], CONSTANTS.UI.CONNECTING_LINE_COLOR[1], CONSTANTS.UI.CONNECTING_LINE_COLOR[2]);
   CONSTANTS.UI.WAVE_COLOR = color(CONSTANTS.UI.WAVE_COLOR[0], CONSTANTS.UI.WAVE_COLOR[1], CONSTANTS.UI.WAVE_COLOR[2]);
+  CONSTANTS.WAVE.LIGHT_COLOR = color(CONSTANTS.WAVE.LIGHT_COLOR[0], CONSTANTS.WAVE.LIGHT_COLOR[1], CONSTANTS.WAVE.LIGHT_COLOR[2]);
   CONSTANTS.UI.BACKGROUND_COLOR = color(CONSTANTS.UI.BACKGROUND_COLOR[0], CONSTANTS.UI.BACKGROUND_COLOR[1], CONSTANTS.UI.BACKGROUND_COLOR[2]);
   CONSTANTS.UI.SELECTION_COLOR = color(CONSTANTS.UI.SELECTION_COLOR[0], CONSTANTS.UI.SELECTION_COLOR[1], CONSTANTS.UI.SELECTION_COLOR[2]);
   
   CONSTANTS.GRAPH.BACKGROUND_COLOR = color(CONSTANTS.GRAPH.BACKGROUND_COLOR[0], CONSTANTS.GRAPH.BACKGROUND_COLOR[1], CONSTANTS.GRAPH.BACKGROUND_COLOR[2]);
   CONSTANTS.GRAPH.GRID_COLOR = color(CONSTANTS.GRAPH.GRID_COLOR[0], CONSTANTS.GRAPH.GRID_COLOR[1], CONSTANTS.GRAPH.GRID_COLOR[2]);
   
+  CONSTANTS.SUPERSONIC.CONE_COLOR = color(CONSTANTS.SUPERSONIC.CONE_COLOR[0], CONSTANTS.SUPERSONIC.CONE_COLOR[1], CONSTANTS.SUPERSONIC.CONE_COLOR[2]);
+  CONSTANTS.SUPERSONIC.BOOM_COLOR = color(CONSTANTS.SUPERSONIC.BOOM_COLOR[0], CONSTANTS.SUPERSONIC.BOOM_COLOR[1], CONSTANTS.SUPERSONIC.BOOM_COLOR[2]);
+
+  CONSTANTS.WIND.COLOR = color(CONSTANTS.WIND.COLOR[0], CONSTANTS.WIND.COLOR[1], CONSTANTS.WIND.COLOR[2]);
+
+  CONSTANTS.CAMERA.GRID_COLOR = color(CONSTANTS.CAMERA.GRID_COLOR[0], CONSTANTS.CAMERA.GRID_COLOR[1], CONSTANTS.CAMERA.GRID_COLOR[2]);
+
+  CONSTANTS.SPECTRUM.BAR_COLOR = color(CONSTANTS.SPECTRUM.BAR_COLOR[0], CONSTANTS.SPECTRUM.BAR_COLOR[1], CONSTANTS.SPECTRUM.BAR_COLOR[2]);
+  CONSTANTS.SPECTRUM.PEAK_COLOR = color(CONSTANTS.SPECTRUM.PEAK_COLOR[0], CONSTANTS.SPECTRUM.PEAK_COLOR[1], CONSTANTS.SPECTRUM.PEAK_COLOR[2]);
+
+  CONSTANTS.REPLAY.TIMELINE_COLOR = color(CONSTANTS.REPLAY.TIMELINE_COLOR[0], CONSTANTS.REPLAY.TIMELINE_COLOR[1], CONSTANTS.REPLAY.TIMELINE_COLOR[2]);
+  CONSTANTS.REPLAY.PLAYHEAD_COLOR = color(CONSTANTS.REPLAY.PLAYHEAD_COLOR[0], CONSTANTS.REPLAY.PLAYHEAD_COLOR[1], CONSTANTS.REPLAY.PLAYHEAD_COLOR[2]);
+  CONSTANTS.REPLAY.RECORD_COLOR = color(CONSTANTS.REPLAY.RECORD_COLOR[0], CONSTANTS.REPLAY.RECORD_COLOR[1], CONSTANTS.REPLAY.RECORD_COLOR[2]);
+
   CONSTANTS.TEXT.TEXT_COLOR = color(CONSTANTS.TEXT.TEXT_COLOR[0], CONSTANTS.TEXT.TEXT_COLOR[1], CONSTANTS.TEXT.TEXT_COLOR[2]);
   CONSTANTS.TEXT.REDSHIFT_COLOR = color(CONSTANTS.TEXT.REDSHIFT_COLOR[0], CONSTANTS.TEXT.REDSHIFT_COLOR[1], CONSTANTS.TEXT.REDSHIFT_COLOR[2]);
   CONSTANTS.TEXT.BLUESHIFT_COLOR = color(CONSTANTS.TEXT.BLUESHIFT_COLOR[0], CONSTANTS.TEXT.BLUESHIFT_COLOR[1], CONSTANTS.TEXT.BLUESHIFT_COLOR[2]);
@@ -153,42 +392,411 @@ function colorWithAlpha(inputColor, alpha) {
   return color(red(inputColor), green(inputColor), blue(inputColor), alpha);
 }
 
+/**
+ * Display color of a source or observer: its own color if it has one,
+ * otherwise the palette entry for its index
+ * @param {Object} body - Source or observer
+ * @returns {p5.Color} - Color of the body
+ */
+function bodyColor(body) {
+  if (body.color) {
+    return color(body.color[0], body.color[1], body.color[2]);
+  }
+  if (sim.reflectors.includes(body)) {
+    return CONSTANTS.UI.REFLECTOR_COLOR;
+  }
+  let index = sim.sources.indexOf(body);
+  let palette = CONSTANTS.UI.SOURCE_COLORS;
+  if (index === -1) {
+    index = sim.observers.indexOf(body);
+    palette = CONSTANTS.UI.OBSERVER_COLORS;
+  }
+  return palette[index % palette.length];
+}
+
+/**
+ * Short on-screen name of a source or observer, e.g. "S1" or "O2"
+ * @param {Object} body - Source or observer
+ * @returns {String} - Label of the body
+ */
+function bodyLabel(body) {
+  let index = sim.sources.indexOf(body);
+  if (index !== -1) return `S${index + 1}`;
+  index = sim.reflectors.indexOf(body);
+  if (index !== -1) return `R${index + 1}`;
+  return `O${sim.observers.indexOf(body) + 1}`;
+}
+
 function setup() {
-  createCanvas(windowWidth, windowHeight);
+  let canvas = createCanvas(canvasWidth(), windowHeight);
+  setupPointerInput(canvas.elt);
+  setupAccessibility(canvas.elt);
 
   // Initialize all colors
   initializeColors();
 
-  // Initialize positions in meters (convert from pixels)
-  sourcePos = createVector(
-    (width / 4) * CONSTANTS.PHYSICS.PIXELS_TO_METERS,
-    (height / 2) * CONSTANTS.PHYSICS.PIXELS_TO_METERS
-  );
-  observerPos = createVector(
-    ((3 * width) / 4) * CONSTANTS.PHYSICS.PIXELS_TO_METERS,
-    (height / 2) * CONSTANTS.PHYSICS.PIXELS_TO_METERS
+  // Create the simulation model from the physical constants
+  sim = new DopplerSimulation({
+    medium: {
+      name: CONSTANTS.PHYSICS.MEDIUM,
+      temperature: CONSTANTS.PHYSICS.TEMPERATURE,
+      humidity: CONSTANTS.PHYSICS.HUMIDITY,
+    },
+    lightSpeed: CONSTANTS.PHYSICS.LIGHT_SPEED,
+    emittedFrequency: CONSTANTS.PHYSICS.EMITTED_FREQ,
+    freqMin: CONSTANTS.PHYSICS.FREQ_MIN,
+    freqMaxFactor: CONSTANTS.PHYSICS.FREQ_MAX_FACTOR,
+    maxSpeed: CONSTANTS.PHYSICS.MAX_SPEED,
+    dragCoefficient: CONSTANTS.PHYSICS.DRAG_COEFFICIENT,
+    pullStiffness: CONSTANTS.PHYSICS.PULL_STIFFNESS,
+    minVelocityMag: CONSTANTS.PHYSICS.MIN_VELOCITY_MAG,
+    maxWaveAge: CONSTANTS.WAVE.MAX_AGE,
+  });
+  // Open the scenario in the page link, if any, and follow later link changes
+  loadScenario(scenarioFromHash() || DEFAULT_SCENARIO);
+  window.addEventListener("hashchange", () => {
+    let scenario = scenarioFromHash();
+    if (scenario && !lessonLocksScenario()) loadScenario(scenario);
+  });
+
+  // Control panel next to the canvas
+  controlPanel = new ControlPanel(document.getElementById("controls"), controlSpecs());
+
+  // Lessons, with the answers kept between visits
+  lessonProgress = new LessonProgress(browserStorage(), CONSTANTS.LESSON.STORAGE_KEY);
+  renderLessonPanel();
+
+  // Spectrum analyzer of the selected observer's signal
+  signalBuffer = new SignalBuffer({
+    sampleRate: CONSTANTS.SPECTRUM.SAMPLE_RATE,
+    size: CONSTANTS.SPECTRUM.SIZE,
+  });
+  spectrogramImage = createImage(CONSTANTS.SPECTRUM.HISTORY, shownSpectrumBins());
+
+  // Audio starts disabled; the context is created on the first toggle
+  sonification = new Sonification(
+    () => new (window.AudioContext || window.webkitAudioContext)(),
+    {
+      pitchMultiplier: CONSTANTS.AUDIO.PITCH_MULTIPLIER,
+      minAudibleFreq: CONSTANTS.AUDIO.MIN_AUDIBLE_FREQ,
+      maxAudibleFreq: CONSTANTS.AUDIO.MAX_AUDIBLE_FREQ,
+      rampTime: CONSTANTS.AUDIO.RAMP_TIME,
+      volume: CONSTANTS.AUDIO.VOLUME,
+    }
   );
 
-  // Initialize velocities in m/s
-  sourceVel = createVector(0, 0);
-  observerVel = createVector(0, 0);
+  // Initialize last frame time (in seconds)
+  lastFrameTime = millis() / 1000;
+}
 
-  // Store previous positions
-  prevSourcePos = sourcePos.copy();
-  prevObserverPos = observerPos.copy();
+/**
+ * Visible part of the world, used to place scenario objects
+ * @returns {Object} - { left, top, width, height } in meters
+ */
+function viewArea() {
+  return camera.visibleArea(width, height);
+}
 
-  // Initialize sound data arrays
-  for (let i = 0; i < CONSTANTS.GRAPH.HISTORY_LENGTH; i++) {
-    emittedSoundData.push(0);
-    observedSoundData.push(0);
+/**
+ * Waveform history of a source or observer, created on first use
+ * @param {Object} body - Source or observer
+ * @returns {Number[]} - Graph samples in pixels
+ */
+function graphDataFor(body) {
+  if (!graphData.has(body)) {
+    graphData.set(body, new Array(CONSTANTS.GRAPH.HISTORY_LENGTH).fill(0));
   }
+  return graphData.get(body);
+}
 
-  // Initialize last frame time (in seconds)
-  lastFrameTime = millis() / 1000;
+/**
+ * @param {Number} amplitude - Relative amplitude (see sim.amplitudeAt)
+ * @returns {Number} - The amplitude as a fraction of full strength on
+ *   screen, reached at FULL_SCALE_DISTANCE from a source (may exceed 1)
+ */
+function displayedAmplitude(amplitude) {
+  return amplitude / sim.amplitudeAt(CONSTANTS.ATTENUATION.FULL_SCALE_DISTANCE);
+}
+
+/**
+ * @param {Object} observer - Observer
+ * @returns {Number} - Superposed signal at the observer scaled for display,
+ *   so a single signal from FULL_SCALE_DISTANCE swings between -1 and 1
+ */
+function displayedSignal(observer) {
+  return displayedAmplitude(observer.signal);
+}
+
+function pushGraphSample(body, value) {
+  let data = graphDataFor(body);
+  data.push(value);
+  data.shift();
+}
+
+/**
+ * Adds the observed frequencies of the moment to the history chart data,
+ * at most one sample per pixel of the chart. A jump back in time (reset,
+ * replay seek) starts the history again.
+ */
+function pushFrequencyHistory() {
+  let resolution = CONSTANTS.CHART.WINDOW / CONSTANTS.GRAPH.WIDTH;
+  for (let observer of sim.observers) {
+    if (!frequencyHistory.has(observer.id)) {
+      frequencyHistory.set(observer.id, new Map());
+    }
+    let histories = frequencyHistory.get(observer.id);
+
+    for (let source of sim.sources) {
+      let history = histories.get(source.id) || [];
+      let last = history[history.length - 1];
+      if (last && last.time > sim.time) history = [];
+      histories.set(source.id, history);
+
+      let reading = observer.readings[source.id];
+      if (!reading.hasSignal || (last && sim.time - last.time < resolution)) continue;
+
+      history.push({ time: sim.time, frequency: reading.frequency });
+      while (history[0].time < sim.time - CONSTANTS.CHART.WINDOW) {
+        history.shift();
+      }
+    }
+  }
 }
 
 function windowResized() {
-  resizeCanvas(windowWidth, windowHeight); // Resize canvas on window resize
+  resizeCanvas(canvasWidth(), windowHeight); // Resize canvas on window resize
+}
+
+/**
+ * @returns {Number} - Width left for the canvas next to the control panel (pixels)
+ */
+function canvasWidth() {
+  return windowWidth - document.getElementById("sidebar").offsetWidth;
+}
+
+/**
+ * Labels the canvas, creates the live region announcer and the buttons
+ * that make every keyboard shortcut reachable by Tab and screen readers
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ */
+function setupAccessibility(canvas) {
+  canvas.setAttribute("role", "img");
+  canvas.setAttribute("aria-label", "Doppler effect simulation");
+  canvas.setAttribute("aria-describedby", "scene-description");
+
+  announcer = new Announcer(
+    document.getElementById("announcer"),
+    CONSTANTS.ACCESSIBILITY.ANNOUNCE_INTERVAL
+  );
+
+  let container = document.getElementById("actions");
+  for (let group of actionGroups()) {
+    createActionGroup(container, group.title, group.actions);
+  }
+}
+
+/**
+ * Every keyboard shortcut as a labeled button, in groups
+ * @returns {Object[]} - Groups { title, actions } (see createActionGroup)
+ */
+function actionGroups() {
+  let key = (label, code, shortcut, shift = false) => ({
+    label: label,
+    shortcut: shortcut,
+    keys: shortcut,
+    run: () => runKeyAction(code, shift),
+  });
+  let keys = CONSTANTS.KEYBOARD;
+  let presetKeys = presetKeyCodes();
+
+  return [
+    {
+      title: "Simulation",
+      actions: [
+        key("Pause or resume", keys.TOGGLE_PAUSE, "Space"),
+        key("Reset", keys.RESET_KEY, "R"),
+        key("Help text", keys.HELP_TOGGLE, "H"),
+        key("Spectrum analyzer", keys.SPECTRUM_TOGGLE, "X"),
+      ],
+    },
+    {
+      title: "View",
+      actions: [
+        key("Reset view", keys.VIEW_RESET, "Z"),
+        key("Fit all objects", keys.VIEW_RESET, "Shift+Z", true),
+        key("Next reference frame", keys.FRAME_TOGGLE, "G"),
+        ...CONSTANTS.FRAME.NAMES.map((name) => ({
+          label: `${frameTitle(name)} frame`,
+          run: () => setReferenceFrame(name),
+        })),
+      ],
+    },
+    {
+      title: "Objects",
+      actions: [
+        key("Select next source", keys.SOURCE_SELECT, "S"),
+        key("Select next observer", keys.OBSERVER_SELECT, "O"),
+        key("Select next reflector", keys.REFLECTOR_SELECT, "M"),
+        key("Add source", keys.SOURCE_SELECT, "Shift+S", true),
+        key("Add observer", keys.OBSERVER_SELECT, "Shift+O", true),
+        key("Add reflector", keys.REFLECTOR_SELECT, "Shift+M", true),
+        key("Remove selected", keys.REMOVE_KEYS[0], "Delete"),
+      ],
+    },
+    {
+      title: "Medium",
+      actions: [
+        key("Wind on or off", keys.WIND_TOGGLE, "W"),
+        key("Rotate wind", keys.WIND_TOGGLE, "Shift+W", true),
+        key("Sound or light", keys.LIGHT_TOGGLE, "L"),
+        key("Next medium", keys.MEDIUM_NEXT, "N"),
+        key("Previous medium", keys.MEDIUM_NEXT, "Shift+N", true),
+        key("Spreading", keys.SPREADING_TOGGLE, "V"),
+        ...Object.keys(MEDIA).map((name) => ({
+          label: MEDIA[name].name,
+          run: () => executeCommand({ type: "setMedium", value: { name: name } }),
+        })),
+      ],
+    },
+    {
+      title: "Source Signal",
+      actions: [
+        key("Next waveform", keys.SIGNAL_NEXT, "T"),
+        key("Next sweep", keys.SIGNAL_NEXT, "Shift+T", true),
+        ...Object.keys(WAVEFORMS).map((name) => ({
+          label: WAVEFORMS[name].name,
+          run: () => setSignal(selectedSource(), { waveform: name }),
+        })),
+        ...Object.keys(SWEEPS).map((name) => ({
+          label: SWEEPS[name].name,
+          run: () => setSignal(selectedSource(), { sweep: { type: name } }),
+        })),
+      ],
+    },
+    {
+      title: "Preset Scenarios",
+      actions: PRESET_SCENARIOS.map((scenario, index) => {
+        let shift = index >= presetKeys.length;
+        let code = presetKeys[index % presetKeys.length];
+        let shortcut = (shift ? "Shift+" : "") + String.fromCharCode(code);
+        return key(scenario.name, code, shortcut, shift);
+      }),
+    },
+    {
+      title: "Recording and Data",
+      actions: [
+        key("Record session", keys.RECORD_TOGGLE, "C"),
+        key("Replay session", keys.REPLAY_TOGGLE, "P"),
+        key("Start or stop logging", keys.LOG_TOGGLE, "K"),
+        key("Clear log", keys.LOG_TOGGLE, "Shift+K", true),
+        key("Logging rate", keys.LOG_RATE, "I"),
+        key("Download log as CSV", keys.LOG_EXPORT, "J"),
+        key("Download log as JSON", keys.LOG_EXPORT, "Shift+J", true),
+      ],
+    },
+    {
+      title: "Scenario Files",
+      actions: [
+        key("Save scenario", keys.SCENARIO_FILE, "F"),
+        key("Open scenario", keys.SCENARIO_FILE, "Shift+F", true),
+        key("Copy scenario link", keys.SHARE_LINK, "U"),
+      ],
+    },
+    {
+      title: "Lessons",
+      actions: [
+        key("Start or leave lesson", keys.LESSON_TOGGLE, "Y"),
+        key("Open lesson file", keys.LESSON_TOGGLE, "Shift+Y", true),
+        key("Next step", keys.LESSON_STEP, "Q"),
+        key("Previous step", keys.LESSON_STEP, "Shift+Q", true),
+        key("Download answers as CSV", keys.LESSON_EXPORT, "B"),
+        key("Download answers as JSON", keys.LESSON_EXPORT, "Shift+B", true),
+      ],
+    },
+    {
+      title: "Audio",
+      actions: [
+        key("Audio on or off", keys.AUDIO_TOGGLE, "A"),
+        key("Mute emitted", keys.EMITTED_AUDIO, "E"),
+        key("Solo emitted", keys.EMITTED_AUDIO, "Shift+E", true),
+        key("Mute observed", keys.OBSERVED_AUDIO, "D"),
+        key("Solo observed", keys.OBSERVED_AUDIO, "Shift+D", true),
+        key("Lower pitch", keys.PITCH_DOWN, "["),
+        key("Higher pitch", keys.PITCH_UP, "]"),
+      ],
+    },
+  ];
+}
+
+/**
+ * Announces what changed (blueshift and redshift, selection, pause) and,
+ * now and then, the frequencies the selected observer hears, and refreshes
+ * the scene description
+ */
+function updateAccessibility() {
+  let now = millis() / 1000;
+
+  for (let observer of sim.observers) {
+    for (let source of sim.sources) {
+      let key = `${observer.id}:${source.id}`;
+      let reading = observer.readings[source.id];
+      let state = shiftState(reading);
+      let previous = announced.shifts.get(key);
+      if (previous !== undefined && state !== previous && state !== "none") {
+        announcer.say(
+          `${bodyLabel(observer)} hears ${bodyLabel(source)} ${describeShift(state)}, ${reading.frequency.toFixed(2)} Hz.`
+        );
+      }
+      announced.shifts.set(key, state);
+    }
+  }
+
+  let selection = `Selected ${bodyLabel(selectedBody())}.`;
+  if (selection !== announced.selection) {
+    if (announced.selection !== null) announcer.say(selection);
+    announced.selection = selection;
+  }
+
+  if (isPaused !== announced.paused) {
+    if (announced.paused !== null) announcer.say(isPaused ? "Paused." : "Running.");
+    announced.paused = isPaused;
+  }
+
+  if (!isPaused && now - announced.frequencyTime >= CONSTANTS.ACCESSIBILITY.FREQUENCY_INTERVAL) {
+    let observer = selectedObserver();
+    let heard = sim.sources
+      .filter((source) => observer.readings[source.id].hasSignal)
+      .map((source) => `${bodyLabel(source)} at ${observer.readings[source.id].frequency.toFixed(2)} Hz`);
+    if (heard.length > 0) {
+      announcer.say(`${bodyLabel(observer)} hears ${heard.join(", ")}.`);
+    }
+    announced.frequencyTime = now;
+  }
+  announcer.update(now);
+
+  if (now - lastDescriptionTime >= CONSTANTS.ACCESSIBILITY.DESCRIPTION_INTERVAL) {
+    renderSceneDescription();
+    lastDescriptionTime = now;
+  }
+}
+
+/**
+ * Writes the structured scene description (see describeScene) as headed lists
+ */
+function renderSceneDescription() {
+  let elements = [];
+  for (let section of describeScene(sim)) {
+    let heading = document.createElement("h3");
+    heading.textContent = section.title;
+    let list = document.createElement("ul");
+    for (let item of section.items) {
+      let entry = document.createElement("li");
+      entry.textContent = item;
+      list.appendChild(entry);
+    }
+    elements.push(heading, list);
+  }
+  document.getElementById("scene-text").replaceChildren(...elements);
 }
 
 function draw() {
@@ -196,395 +804,847 @@ function draw() {
   windowResized()
   
   background(CONSTANTS.UI.BACKGROUND_COLOR);
+  drawGrid();
 
   // Calculate delta time for smooth, frame-rate independent animations (in seconds)
   let currentTime = millis() / 1000;
-  let dt = (currentTime - lastFrameTime) * CONSTANTS.PHYSICS.REAL_TIME_FACTOR;
+  let dt = (currentTime - lastFrameTime) * timeScale;
   lastFrameTime = currentTime;
 
   // Clamp dt to reasonable values to prevent jumps
   dt = constrain(dt, 0, CONSTANTS.PHYSICS.TIME_STEP_MAX);
 
-  if (!isPaused) {
-    // Update simulation time
-    simulationTime += dt;
-
+  if (player) {
+    // Replaying: the recorded session drives the simulation, sampled at
+    // every step as it was live (replayed commands may remove the selection)
+    if (!isPaused) {
+      player.advance(dt, () => {
+        clampSelection();
+        sampleStep();
+      });
+    }
+    clampSelection();
+  } else if (!isPaused) {
     // Handle keyboard navigation
     handleKeyboardNavigation(dt);
 
-    // Define target positions (in meters)
-    let targetSourcePos = sourcePos.copy();
-    let targetObserverPos = observerPos.copy();
-
-    // Check for mouse interactions
-    if (mouseIsPressed) {
-      // Convert mouse position to meters
-      let mouseXMeters = mouseX * CONSTANTS.PHYSICS.PIXELS_TO_METERS;
-      let mouseYMeters = mouseY * CONSTANTS.PHYSICS.PIXELS_TO_METERS;
-
-      // Calculate distances to source and observer (in meters)
-      let distToSource = dist(
-        mouseXMeters,
-        mouseYMeters,
-        sourcePos.x,
-        sourcePos.y
-      );
-
-      let distToObserver = dist(
-        mouseXMeters,
-        mouseYMeters,
-        observerPos.x,
-        observerPos.y
-      );
+    // Remove waves once they have grown past the visible area (kept fixed
+    // while recording, so the replay sees the same setting)
+    if (!recorder) {
+      sim.maxWaveRadius = waveCullRadius();
+    }
 
-      // Source radius in meters
-      let sourceRadiusMeters =
-        CONSTANTS.UI.SOURCE_RADIUS * CONSTANTS.PHYSICS.PIXELS_TO_METERS;
-      let observerRadiusMeters =
-        CONSTANTS.UI.OBSERVER_RADIUS * CONSTANTS.PHYSICS.PIXELS_TO_METERS;
-
-      // Determine which object to move based on initial click
-      if (!draggingSource && !draggingObserver) {
-        if (distToSource < sourceRadiusMeters) {
-          draggingSource = true;
-        } else if (distToObserver < observerRadiusMeters) {
-          draggingObserver = true;
-        }
+    // Advance the physics in fixed steps, so the result does not depend on
+    // the frame rate, with the drags (mouse, fingers or pens) applied and the
+    // readings sampled at every step. While recording, the recorder takes
+    // the steps so the replay is identical. A lesson question pauses the
+    // simulation in the step it is graded at, skipping the rest of the frame.
+    sim.advance(dt, (stepSize) => {
+      if (isPaused) return;
+      handlePointerDragging();
+      if (recorder) {
+        recorder.step();
+      } else {
+        sim.step(stepSize);
       }
+      sampleStep();
+      checkLessonQuestion();
+    });
+  }
 
-      // Set target positions based on mouse (in meters)
-      if (draggingSource) {
-        targetSourcePos.set(mouseXMeters, mouseYMeters);
-      } else if (draggingObserver) {
-        targetObserverPos.set(mouseXMeters, mouseYMeters);
-      }
-    } else {
-      // Reset dragging flags when mouse is released
-      draggingSource = false;
-      draggingObserver = false;
-    }
-
-    // Handle source movement (in meters)
-    if (draggingSource) {
-      // Store previous position for velocity calculation
-      prevSourcePos = sourcePos.copy();
-
-      // Move towards target with smoothing
-      sourcePos.x +=
-        (targetSourcePos.x - sourcePos.x) * CONSTANTS.UI.VELOCITY_SMOOTHING;
-      sourcePos.y +=
-        (targetSourcePos.y - sourcePos.y) * CONSTANTS.UI.VELOCITY_SMOOTHING;
-
-      // Calculate smoothed velocity (in m/s)
-      sourceVel = p5.Vector.sub(sourcePos, prevSourcePos);
-      sourceVel.div(dt); // Scale by dt to get true velocity
-
-      // Set moving flag to false since we're now dragging
-      sourceMoving = false;
-    } else if (sourceMoving) {
-      // Update position based on current velocity (in meters)
-      prevSourcePos = sourcePos.copy();
-      sourcePos.add(p5.Vector.mult(sourceVel, dt));
-
-      // Check if velocity is too small and stop movement if needed
-      if (sourceVel.mag() < CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
-        sourceMoving = false;
-      }
-    } else {
-      // Gradually reduce velocity when not dragging or moving
-      sourceVel.mult(CONSTANTS.PHYSICS.VELOCITY_DECAY);
-    }
-
-    // Handle observer movement (in meters)
-    if (draggingObserver) {
-      // Store previous position for velocity calculation
-      prevObserverPos = observerPos.copy();
-
-      // Move towards target with smoothing
-      observerPos.x +=
-        (targetObserverPos.x - observerPos.x) * CONSTANTS.UI.VELOCITY_SMOOTHING;
-      observerPos.y +=
-        (targetObserverPos.y - observerPos.y) * CONSTANTS.UI.VELOCITY_SMOOTHING;
-
-      // Calculate smoothed velocity (in m/s)
-      observerVel = p5.Vector.sub(observerPos, prevObserverPos);
-      observerVel.div(dt); // Scale by dt to get true velocity
-
-      // Set moving flag to false since we're now dragging
-      observerMoving = false;
-    } else if (observerMoving) {
-      // Update position based on current velocity (in meters)
-      prevObserverPos = observerPos.copy();
-      observerPos.add(p5.Vector.mult(observerVel, dt));
-
-      // Check if velocity is too small and stop movement if needed
-      if (observerVel.mag() < CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
-        observerMoving = false;
-      }
-    } else {
-      // Gradually reduce velocity when not dragging or moving
-      observerVel.mult(CONSTANTS.PHYSICS.VELOCITY_DECAY);
-    }
-
-    // Generate new wave at intervals based on emitted frequency
-    let waveInterval = 1.0 / CONSTANTS.PHYSICS.EMITTED_FREQ; // in seconds
-    if (simulationTime - lastWaveTime > waveInterval) {
-      waves.push({
-        pos: sourcePos.copy(), // Position in meters
-        radius: 0, // Radius in meters
-        birthTime: simulationTime, // Birth time in seconds
-        sourceVel: sourceVel.copy(), // Source velocity in m/s
-        sourceFreq: CONSTANTS.PHYSICS.EMITTED_FREQ, // Emitted frequency in Hz
-        phaseAtEmission: emittedPhase, // Phase at emission time
-      });
-      lastWaveTime = simulationTime;
-    }
+  // Keep the reference frame's body in place on the screen
+  followReferenceFrame();
 
-    // Calculate Doppler effect
-    calculateDopplerEffect(dt);
-  }
+  // Play the selected source as heard by the selected observer (silent while paused)
+  let source = selectedSource();
+  let reading = selectedObserver().readings[source.id];
+  let harmonics = harmonicAmplitudes(source.signal, CONSTANTS.AUDIO.HARMONICS);
+  sonification.update({
+    emitted: { frequency: sim.frequencyAt(source), active: !isPaused, harmonics: harmonics },
+    observed: {
+      frequency: reading.frequency,
+      active: !isPaused && reading.hasSignal,
+      harmonics: harmonics,
+    },
+  });
+
+  // Always display waves
+  displayWaves();
+
+  // Draw the Mach cones of supersonic sources
+  drawMachCones();
 
-  // Always update and display waves
-  updateAndDisplayWaves();
+  // Draw sources and observers
+  drawSourcesAndObservers();
 
-  // Draw source and observer
-  drawSourceAndObserver();
+  // Flash observers that were just swept by a shock front
+  drawSonicBooms();
 
   // Draw graphs
   drawGraphs();
 
+  // Draw the wind indicator (light has no medium)
+  if (sim.waveModel.name === "sound") {
+    drawWindIndicator();
+  }
+
+  // Draw the scale bar
+  drawScaleBar();
+
+  // Explain the shift as seen from the chosen reference frame
+  drawFrameReadout();
+
+  // Draw the spectrum analyzer
+  if (showSpectrum) {
+    drawSpectrumPanels();
+  }
+
   // Display instructions
   displayInstructions();
 
   // Display simulation status
   displaySimulationStatus();
-}
 
-function updateAndDisplayWaves() {
-  // Update wave radii and draw them
-  for (let i = waves.length - 1; i >= 0; i--) {
-    let wave = waves[i];
+  // Draw the replay timeline or the recording indicator
+  drawSessionStatus();
 
-    // Calculate time since wave creation (in seconds)
-    let age = simulationTime - wave.birthTime;
+  // Show the current values in the control panel
+  controlPanel.update();
 
-    // Update radius based on age and sound speed (in meters)
-    wave.radius = age * CONSTANTS.PHYSICS.SOUND_SPEED;
+  // Keep the text alternatives for screen readers up to date
+  updateAccessibility();
+}
 
-    // Calculate opacity based on age (fade out with age)
-    let opacity =
-      CONSTANTS.WAVE.OPACITY_MAX -
-      (age * CONSTANTS.WAVE.OPACITY_MAX) / CONSTANTS.WAVE.MAX_AGE;
-    opacity = constrain(
-      opacity,
-      CONSTANTS.WAVE.OPACITY_MIN,
-      CONSTANTS.WAVE.OPACITY_MAX
-    );
+/**
+ * Feeds the selected observer's signal to the spectrum analyzer and adds a
+ * spectrogram column every update interval. Selecting another observer, or
+ * a jump back in time, starts the analysis again.
+ */
+function pushSpectrumSample() {
+  let observer = selectedObserver();
+  let restarted = lastSpectrumTime !== null && sim.time < lastSpectrumTime;
+  if (observer.id !== analyzedObserverId || restarted) {
+    analyzedObserverId = observer.id;
+    signalBuffer.clear();
+    spectrumColumns = [];
+    lastSpectrumTime = null;
+    currentSpectrum = null;
+  }
+  signalBuffer.push(sim.time, displayedSignal(observer));
 
-    // Draw the wave as a circle (convert from meters to pixels for display)
-    let radiusPixels = wave.radius * CONSTANTS.PHYSICS.METERS_TO_PIXELS;
-    let posXPixels = wave.pos.x * CONSTANTS.PHYSICS.METERS_TO_PIXELS;
-    let posYPixels = wave.pos.y * CONSTANTS.PHYSICS.METERS_TO_PIXELS;
+  if (lastSpectrumTime !== null && sim.time - lastSpectrumTime < CONSTANTS.SPECTRUM.UPDATE_INTERVAL) {
+    return;
+  }
+  lastSpectrumTime = sim.time;
+
+  let spectrum = signalBuffer.spectrum();
+  currentSpectrum = {
+    spectrum: spectrum,
+    peaks: findPeaks(spectrum, {
+      threshold: CONSTANTS.SPECTRUM.PEAK_THRESHOLD,
+      count: CONSTANTS.SPECTRUM.PEAK_COUNT,
+    }),
+  };
+  spectrumColumns.push(spectrum.magnitudes);
+  if (spectrumColumns.length > CONSTANTS.SPECTRUM.HISTORY) {
+    spectrumColumns.shift();
+  }
+  updateSpectrogramImage();
+}
 
-    noFill();
-    // Apply opacity to wave color using our utility function
-    stroke(colorWithAlpha(CONSTANTS.UI.WAVE_COLOR, opacity));
-    strokeWeight(CONSTANTS.WAVE.STROKE_WEIGHT);
-    circle(posXPixels, posYPixels, radiusPixels * 2);
+/**
+ * Number of spectrum bins up to the highest frequency shown
+ * @returns {Number} - Bin count
+ */
+function shownSpectrumBins() {
+  return (
+    floor((CONSTANTS.SPECTRUM.MAX_FREQUENCY * CONSTANTS.SPECTRUM.SIZE) / CONSTANTS.SPECTRUM.SAMPLE_RATE) + 1
+  );
+}
 
-    // Remove waves that are too old or too large
-    let maxRadius = max(width, height) * CONSTANTS.PHYSICS.PIXELS_TO_METERS;
-    if (age > CONSTANTS.WAVE.MAX_AGE || wave.radius > maxRadius) {
-      waves.splice(i, 1);
+/**
+ * Redraws the spectrogram pixels: one column per spectrum, newest on the
+ * right, low frequencies at the bottom, level in dB from cold to hot
+ */
+function updateSpectrogramImage() {
+  let bins = shownSpectrumBins();
+  let columns = CONSTANTS.SPECTRUM.HISTORY;
+  let cold = CONSTANTS.SPECTRUM.COLD_COLOR;
+  let hot = CONSTANTS.SPECTRUM.HOT_COLOR;
+  let offset = columns - spectrumColumns.length;
+
+  spectrogramImage.loadPixels();
+  for (let column = 0; column < columns; column++) {
+    let magnitudes = spectrumColumns[column - offset];
+    for (let bin = 0; bin < bins; bin++) {
+      let level = 0;
+      if (magnitudes) {
+        let db = 20 * Math.log10(max(magnitudes[bin], 1e-9));
+        level = constrain(1 - db / CONSTANTS.SPECTRUM.MIN_DB, 0, 1);
+      }
+      let index = 4 * ((bins - 1 - bin) * columns + column);
+      for (let channel = 0; channel < 3; channel++) {
+        spectrogramImage.pixels[index + channel] = lerp(cold[channel], hot[channel], level);
+      }
+      spectrogramImage.pixels[index + 3] = 255;
     }
   }
+  spectrogramImage.updatePixels();
 }
 
-function calculateDopplerEffect(dt) {
-  // Accumulate emitted phase (this is always at the base frequency)
-  emittedPhase += CONSTANTS.PHYSICS.EMITTED_FREQ * dt * TWO_PI;
-
-  // Update emitted waveform data
-  emittedSoundData.push(sin(emittedPhase) * CONSTANTS.GRAPH.AMPLITUDE);
-  emittedSoundData.shift();
+/**
+ * Draws the spectrum of the selected observer's signal with its peaks, and
+ * the scrolling spectrogram next to it
+ */
+function drawSpectrumPanels() {
+  let x = CONSTANTS.SPECTRUM.X;
+  let w = CONSTANTS.SPECTRUM.WIDTH;
+  let h = CONSTANTS.SPECTRUM.HEIGHT;
+  let y = height - CONSTANTS.SPECTRUM.BOTTOM - h;
+  let maxFrequency = CONSTANTS.SPECTRUM.MAX_FREQUENCY;
+  let toX = (frequency) => x + (frequency / maxFrequency) * w;
 
-  // Find the wave currently affecting the observer
-  let wavesAtObserver = [];
+  fill(CONSTANTS.GRAPH.BACKGROUND_COLOR);
+  stroke(CONSTANTS.GRAPH.GRID_COLOR);
+  strokeWeight(CONSTANTS.GRAPH.BORDER_WEIGHT);
+  rect(x, y, w, h);
 
-  for (let wave of waves) {
-    // Distance in meters
-    let distToObserver = p5.Vector.dist(wave.pos, observerPos);
+  // Frequency axis
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  let step = niceTickStep(maxFrequency, 8);
+  for (let frequency = 0; frequency <= maxFrequency; frequency += step) {
+    stroke(CONSTANTS.GRAPH.GRID_COLOR);
+    line(toX(frequency), y, toX(frequency), y + h + CONSTANTS.CHART.TICK_LENGTH);
+    noStroke();
+    fill(CONSTANTS.TEXT.TEXT_COLOR);
+    textAlign(CENTER, TOP);
+    text(frequency, toX(frequency), y + h + CONSTANTS.CHART.TICK_LENGTH + 1);
+  }
 
-    // Check if this wave has reached the observer
-    if (wave.radius >= distToObserver) {
-      // Calculate the time when this wave reached the observer (in seconds)
-      let travelTime = distToObserver / CONSTANTS.PHYSICS.SOUND_SPEED;
-      let arrivalTime = wave.birthTime + travelTime;
+  let title = `${bodyLabel(selectedObserver())} Spectrum (Hz)`;
+  if (currentSpectrum) {
+    let { frequencies, magnitudes } = currentSpectrum.spectrum;
+    let scale = max(1, ...currentSpectrum.peaks.map((peak) => peak.magnitude));
 
-      wavesAtObserver.push({
-        wave: wave,
-        arrivalTime: arrivalTime,
-      });
+    stroke(CONSTANTS.SPECTRUM.BAR_COLOR);
+    strokeWeight(CONSTANTS.GRAPH.WAVE_WEIGHT);
+    noFill();
+    beginShape();
+    for (let bin = 0; bin < shownSpectrumBins(); bin++) {
+      vertex(toX(frequencies[bin]), y + h - (magnitudes[bin] / scale) * h);
+    }
+    endShape();
+
+    // Mark the peaks and list them, largest first
+    stroke(CONSTANTS.SPECTRUM.PEAK_COLOR);
+    strokeWeight(1);
+    for (let peak of currentSpectrum.peaks) {
+      if (peak.frequency <= maxFrequency) {
+        line(toX(peak.frequency), y, toX(peak.frequency), y + h);
+      }
+    }
+    if (currentSpectrum.peaks.length > 0) {
+      title += ` | Peaks: ${currentSpectrum.peaks.map((peak) => peak.frequency.toFixed(2)).join(", ")}`;
     }
   }
 
-  // If no waves have reached the observer yet, set amplitude to zero
-  if (wavesAtObserver.length === 0) {
-    observedSoundData.push(0);
-    observedSoundData.shift();
-    return;
-  }
-
-  // Sort by arrival time (most recent first)
-  wavesAtObserver.sort((a, b) => b.arrivalTime - a.arrivalTime);
-
-  // Use the most recently arrived wave
-  let currentWave = wavesAtObserver[0].wave;
-  let arrivalTime = wavesAtObserver[0].arrivalTime;
-
-  // Calculate how much time has passed since this wave arrived (in seconds)
-  let timeSinceArrival = simulationTime - arrivalTime;
-
-  // Set the observed phase based on the original wave's phase at emission
-  // plus the phase accumulated since the wave arrived at the observer
-  let phaseAtArrival = currentWave.phaseAtEmission;
-
-  // Calculate the Doppler shifted frequency
-  let dopplerFrequency = calculateApparentDopplerEffect(currentWave);
+  noStroke();
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  textAlign(LEFT, BASELINE);
+  text(title, x, y - 5);
 
-  // Store the smoothed frequency
-  smoothedObservedFreq = calculateObserverDopplerEffect(currentWave);
+  // Spectrogram: time runs left to right over the last HISTORY columns
+  let spectrogramX = x + w + CONSTANTS.SPECTRUM.GAP;
+  image(spectrogramImage, spectrogramX, y, w, h);
+  noFill();
+  stroke(CONSTANTS.GRAPH.GRID_COLOR);
+  rect(spectrogramX, y, w, h);
 
-  // Calculate additional phase based on observed frequency
-  let additionalPhase = timeSinceArrival * dopplerFrequency * TWO_PI;
-  observedPhase = phaseAtArrival + additionalPhase;
+  noStroke();
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  textAlign(LEFT, BASELINE);
+  text(
+    `Spectrogram (0-${maxFrequency} Hz, last ${(CONSTANTS.SPECTRUM.HISTORY * CONSTANTS.SPECTRUM.UPDATE_INTERVAL).toFixed(0)} s)`,
+    spectrogramX,
+    y - 5
+  );
+}
 
-  // Update observed waveform data with actual wave amplitude
-  observedSoundData.push(sin(observedPhase) * CONSTANTS.GRAPH.AMPLITUDE);
-  observedSoundData.shift();
+/**
+ * Samples the simulation after a step for the data log and the graphs
+ */
+function sampleStep() {
+  dataLogger.sample(sim);
+  pushFrequencyHistory();
+  pushSpectrumSample();
+
+  // Update waveform data (observed signals are superpositions, so they are
+  // scaled down by the number of direct and echoed signals to stay within
+  // the graph)
+  for (let source of sim.sources) {
+    pushGraphSample(source, source.emittedSignal * CONSTANTS.GRAPH.AMPLITUDE);
+  }
+  for (let observer of sim.observers) {
+    let value = displayedSignal(observer) / max(1, observer.signalCount);
+    pushGraphSample(observer, constrain(value, -1, 1) * CONSTANTS.GRAPH.AMPLITUDE);
+  }
 }
 
-function calculateObserverDopplerEffect(currentWave) {
-  // Calculate unit vector from source to observer (dimensionless)
-  let directionVector = p5.Vector.sub(observerPos, currentWave.pos).normalize();
+/**
+ * Applies a user command to the simulation (see session.js), recording it
+ * when a session is being recorded, unless the lesson step locks it
+ * @param {Object} command - Command
+ */
+function executeCommand(command) {
+  if (lessonLocksCommand(command)) {
+    showLockedMessage();
+  } else if (recorder) {
+    recorder.apply(command);
+  } else {
+    applyCommand(sim, command);
+  }
+}
 
-  // Calculate dot product of source velocity and direction vector (in m/s)
-  let sourceVelocityComponent = p5.Vector.dot(
-    currentWave.sourceVel,
-    directionVector
-  );
+/**
+ * Listens to pointer events on the canvas, so that the mouse, every finger
+ * and every pen drags its own object
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ */
+function setupPointerInput(canvas) {
+  let canvasPoint = (event) => {
+    let bounds = canvas.getBoundingClientRect();
+    return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+  };
+
+  canvas.addEventListener("pointerdown", (event) => {
+    // Give the keyboard back to the simulation
+    if (document.activeElement && document.activeElement !== document.body) {
+      document.activeElement.blur();
+    }
 
-  // Calculate dot product of observer velocity and direction vector (in m/s)
-  let observerVelocityComponent = p5.Vector.dot(observerVel, directionVector);
+    let point = canvasPoint(event);
+    if (player && onTimeline(point)) {
+      scrubPointerId = event.pointerId;
+      canvas.setPointerCapture(event.pointerId);
+      seekTimeline(point.x);
+      return;
+    }
 
-  // Calculate observed frequency using the Doppler formula (in Hz)
-  // f' = f * (v - vo)/(v - vs)
-  // Where f is emitted frequency, v is speed of sound,
-  // vo is observer velocity component, vs is source velocity component
-  let observedFreq =
-    (currentWave.sourceFreq *
-      (CONSTANTS.PHYSICS.SOUND_SPEED - observerVelocityComponent)) /
-    (CONSTANTS.PHYSICS.SOUND_SPEED - sourceVelocityComponent);
+    let padding = event.pointerType === "mouse" ? 0 : CONSTANTS.UI.TOUCH_HIT_PADDING;
+    let body = player ? null : bodyAt(point, padding);
+    if (body) {
+      pointerDrags.set(event.pointerId, { body: body, x: point.x, y: point.y });
+      canvas.setPointerCapture(event.pointerId);
+    } else if (!panPointer) {
+      // Dragging the background pans the view
+      panPointer = { pointerId: event.pointerId, x: point.x, y: point.y };
+      canvas.setPointerCapture(event.pointerId);
+    }
+  });
 
-  // Constrain to reasonable limits
-  observedFreq = constrain(
-    observedFreq,
-    CONSTANTS.PHYSICS.FREQ_MIN,
-    currentWave.sourceFreq * CONSTANTS.PHYSICS.FREQ_MAX_FACTOR
+  canvas.addEventListener("pointermove", (event) => {
+    let point = canvasPoint(event);
+    if (event.pointerId === scrubPointerId) {
+      seekTimeline(point.x);
+    }
+    if (panPointer && event.pointerId === panPointer.pointerId) {
+      camera.pan(point.x - panPointer.x, point.y - panPointer.y);
+      panPointer.x = point.x;
+      panPointer.y = point.y;
+    }
+    let drag = pointerDrags.get(event.pointerId);
+    if (drag) {
+      drag.x = point.x;
+      drag.y = point.y;
+    }
+  });
+
+  let endPointer = (event) => {
+    if (event.pointerId === scrubPointerId) scrubPointerId = null;
+    if (panPointer && event.pointerId === panPointer.pointerId) panPointer = null;
+    let drag = pointerDrags.get(event.pointerId);
+    if (!drag) return;
+
+    pointerDrags.delete(event.pointerId);
+    let body = bodyRef(sim, drag.body);
+    if (body && !player) {
+      executeCommand({ type: "release", body: body });
+    }
+  };
+  canvas.addEventListener("pointerup", endPointer);
+  canvas.addEventListener("pointercancel", endPointer);
+
+  // The mouse wheel zooms around the pointer
+  canvas.addEventListener(
+    "wheel",
+    (event) => {
+      event.preventDefault();
+      camera.zoomAt(Math.exp(event.deltaY * CONSTANTS.CAMERA.WHEEL_ZOOM), canvasPoint(event));
+    },
+    { passive: false }
   );
-
-  return observedFreq;
 }
 
-function calculateApparentDopplerEffect(currentWave) {
-  // Calculate unit vector from source to observer (dimensionless)
-  let directionVector = p5.Vector.sub(observerPos, currentWave.pos).normalize();
-
-  // Calculate dot product of source velocity and direction vector (in m/s)
-  let sourceVelocityComponent = p5.Vector.dot(
-    currentWave.sourceVel,
-    directionVector
-  );
-
-  observedFreq =
-    (currentWave.sourceFreq * CONSTANTS.PHYSICS.SOUND_SPEED) /
-    (CONSTANTS.PHYSICS.SOUND_SPEED - sourceVelocityComponent);
-
-  // Constrain to reasonable limits
-  observedFreq = constrain(
-    observedFreq,
-    CONSTANTS.PHYSICS.FREQ_MIN,
-    currentWave.sourceFreq * CONSTANTS.PHYSICS.FREQ_MAX_FACTOR
-  );
+/**
+ * Finds the object under a pointer: the nearest source, observer or
+ * reflector within grabbing distance that no other pointer is dragging
+ * @param {Object} point - Pointer position { x, y } (pixels)
+ * @param {Number} padding - Extra grabbing distance (pixels)
+ * @returns {Object|null} - The object, or null
+ */
+function bodyAt(point, padding) {
+  let pos = camera.toWorld(point);
+  let dragged = new Set([...pointerDrags.values()].map((drag) => drag.body));
+  let candidates = [
+    ...sim.sources.map((body) => [body, Vector2.dist(pos, body.pos), CONSTANTS.UI.SOURCE_RADIUS]),
+    ...sim.observers.map((body) => [body, Vector2.dist(pos, body.pos), CONSTANTS.UI.OBSERVER_RADIUS]),
+    ...sim.reflectors.map((body) => [
+      body,
+      sim.reflectorDistance(body, pos),
+      CONSTANTS.UI.REFLECTOR_HIT_DISTANCE,
+    ]),
+  ];
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (let [body, distance, reach] of candidates) {
+    let reachMeters = camera.toMeters(reach + padding);
+    if (!dragged.has(body) && distance < reachMeters && distance < bestDistance) {
+      best = body;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
 
-  return observedFreq;
+/**
+ * Points every dragged object's pull at its pointer. A command is only
+ * issued when the pointer has moved in the world.
+ */
+function handlePointerDragging() {
+  for (let [pointerId, drag] of pointerDrags) {
+    let body = bodyRef(sim, drag.body);
+    if (!body) {
+      // The object was removed while it was being dragged
+      pointerDrags.delete(pointerId);
+      continue;
+    }
+    let target = camera.toWorld(drag);
+    let pulled = drag.body.target;
+    if (drag.body.dragging && pulled && pulled.x === target.x && pulled.y === target.y) {
+      continue;
+    }
+    executeCommand({ type: "drag", body: body, target: [target.x, target.y] });
+  }
 }
 
-function drawSourceAndObserver() {
-  // Convert meters to pixels for display
-  let sourcePosX = sourcePos.x * CONSTANTS.PHYSICS.METERS_TO_PIXELS;
-  let sourcePosY = sourcePos.y * CONSTANTS.PHYSICS.METERS_TO_PIXELS;
-  let observerPosX = observerPos.x * CONSTANTS.PHYSICS.METERS_TO_PIXELS;
-  let observerPosY = observerPos.y * CONSTANTS.PHYSICS.METERS_TO_PIXELS;
+function displayWaves() {
+  // With several sources, waves take the color of the source that emitted them
+  let sourceColors = new Map();
+  if (sim.sources.length > 1) {
+    for (let source of sim.sources) {
+      sourceColors.set(source.id, bodyColor(source));
+    }
+  }
 
-  // Draw source
-  fill(CONSTANTS.UI.SOURCE_COLOR);
-  noStroke();
-  ellipse(
-    sourcePosX,
-    sourcePosY,
-    CONSTANTS.UI.SOURCE_RADIUS * 2,
-    CONSTANTS.UI.SOURCE_RADIUS * 2
-  );
+  let waveColor =
+    sim.waveModel.name === "light"
+      ? CONSTANTS.WAVE.LIGHT_COLOR
+      : CONSTANTS.UI.WAVE_COLOR;
 
-  // Draw velocity vector for source
-  if (sourceVel.mag() > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
-    drawVelocityVector(
-      createVector(sourcePosX, sourcePosY),
-      sourceVel,
-      CONSTANTS.UI.SOURCE_COLOR
+  for (let wave of sim.waves) {
+    // Calculate time since wave creation (in seconds)
+    let age = sim.waveAge(wave);
+
+    // Opacity follows the amplitude the wave has left, like the observed
+    // signal, and drops to zero just before the wave is removed
+    let strength = min(1, displayedAmplitude(sim.waveAmplitude(wave)));
+    let fade = constrain((sim.maxWaveAge - age) / CONSTANTS.WAVE.FADE_OUT, 0, 1);
+    let opacity = constrain(
+      CONSTANTS.WAVE.OPACITY_MAX * strength * fade,
+      CONSTANTS.WAVE.OPACITY_MIN,
+      CONSTANTS.WAVE.OPACITY_MAX
     );
-  }
 
-  // Draw observer
-  fill(CONSTANTS.UI.OBSERVER_COLOR);
-  noStroke();
-  ellipse(
-    observerPosX,
-    observerPosY,
-    CONSTANTS.UI.OBSERVER_RADIUS * 2,
-    CONSTANTS.UI.OBSERVER_RADIUS * 2
-  );
+    // Draw the wave as a circle (convert from meters to pixels for display)
+    let radiusPixels = camera.toPixels(wave.radius);
+    let center = camera.toScreen(wave.pos);
 
-  // Draw velocity vector for observer
-  if (observerVel.mag() > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
-    drawVelocityVector(
-      createVector(observerPosX, observerPosY),
-      observerVel,
-      CONSTANTS.UI.OBSERVER_COLOR
+    noFill();
+    // Apply opacity to wave color using our utility function
+    if (wave.mirror) {
+      opacity *= CONSTANTS.WAVE.ECHO_OPACITY_FACTOR;
+    }
+    stroke(
+      colorWithAlpha(
+        sourceColors.get(wave.sourceId) || waveColor,
+        opacity
+      )
     );
+    strokeWeight(CONSTANTS.WAVE.STROKE_WEIGHT);
+
+    if (wave.mirror) {
+      drawEchoArc(wave, center.x, center.y, radiusPixels);
+    } else {
+      circle(center.x, center.y, radiusPixels * 2);
+    }
   }
+}
 
-  // Draw line connecting source and observer
-  stroke(CONSTANTS.UI.CONNECTING_LINE_COLOR);
-  strokeWeight(CONSTANTS.UI.CONNECTING_LINE_WEIGHT);
-  line(sourcePosX, sourcePosY, observerPosX, observerPosY);
+/**
+ * Draws the part of an echo wavefront that exists: the arc between the
+ * directions from its image center to the two ends of the reflector
+ * @param {Object} wave - Echo wavefront with its mirror ends
+ * @param {Number} x - Image center X (pixels)
+ * @param {Number} y - Image center Y (pixels)
+ * @param {Number} radius - Radius (pixels)
+ */
+function drawEchoArc(wave, x, y, radius) {
+  let start = atan2(wave.mirror.a.y - wave.pos.y, wave.mirror.a.x - wave.pos.x);
+  let stop = atan2(wave.mirror.b.y - wave.pos.y, wave.mirror.b.x - wave.pos.x);
+
+  // The reflector subtends less than half a turn, so take the shorter way round
+  let sweep = (stop - start + TWO_PI) % TWO_PI;
+  if (sweep > PI) {
+    start = stop;
+    sweep = TWO_PI - sweep;
+  }
+  arc(x, y, radius * 2, radius * 2, start, start + sweep);
+}
+
+function drawMachCones() {
+  stroke(CONSTANTS.SUPERSONIC.CONE_COLOR);
+  strokeWeight(CONSTANTS.SUPERSONIC.CONE_WEIGHT);
+
+  for (let source of sim.sources) {
+    let cone = sim.machCone(source);
+    if (!cone) continue;
+
+    // Convert meters to pixels for display
+    let apex = camera.toScreen(cone.apex);
+    let lengthPixels = camera.toPixels(cone.length);
+
+    for (let edge of cone.edges) {
+      line(
+        apex.x,
+        apex.y,
+        apex.x + edge.x * lengthPixels,
+        apex.y + edge.y * lengthPixels
+      );
+    }
+  }
+}
+
+/**
+ * Radius past which wavefronts are removed: large enough for a wave from
+ * anywhere in the visible area, or from any object, to cover the visible
+ * area and reach every object
+ * @returns {Number} - Radius (m)
+ */
+function waveCullRadius() {
+  let area = viewArea();
+  let left = area.left;
+  let top = area.top;
+  let right = area.left + area.width;
+  let bottom = area.top + area.height;
+  for (let body of [...sim.sources, ...sim.observers, ...sim.reflectors]) {
+    left = min(left, body.pos.x);
+    top = min(top, body.pos.y);
+    right = max(right, body.pos.x);
+    bottom = max(bottom, body.pos.y);
+  }
+  return dist(left, top, right, bottom);
+}
+
+/**
+ * Draws grid lines at round distances in meters, spaced at least
+ * CONSTANTS.CAMERA.GRID_SPACING pixels apart
+ */
+function drawGrid() {
+  let area = viewArea();
+  let spacing = gridSpacing();
+
+  stroke(CONSTANTS.CAMERA.GRID_COLOR);
+  strokeWeight(1);
+  for (let x = ceil(area.left / spacing) * spacing; x <= area.left + area.width; x += spacing) {
+    let screenX = camera.toScreen({ x: x, y: 0 }).x;
+    line(screenX, 0, screenX, height);
+  }
+  for (let y = ceil(area.top / spacing) * spacing; y <= area.top + area.height; y += spacing) {
+    let screenY = camera.toScreen({ x: 0, y: y }).y;
+    line(0, screenY, width, screenY);
+  }
+}
+
+/**
+ * @returns {Number} - Distance between grid lines at the current zoom (m)
+ */
+function gridSpacing() {
+  return niceTickStep(camera.toMeters(width), width / CONSTANTS.CAMERA.GRID_SPACING);
+}
+
+/**
+ * Draws a scale bar of a round length, with the grid spacing
+ */
+function drawScaleBar() {
+  // Longest length of 1, 2 or 5 times a power of ten that fits
+  let longest = camera.toMeters(CONSTANTS.CAMERA.SCALE_BAR_LENGTH);
+  let power = pow(10, floor(Math.log10(longest)));
+  let meters = [5, 2, 1].map((factor) => factor * power).find((length) => length <= longest);
+  let length = camera.toPixels(meters);
+  let x = CONSTANTS.CAMERA.SCALE_BAR_X;
+  let y = height - CONSTANTS.CAMERA.SCALE_BAR_BOTTOM;
+
+  stroke(CONSTANTS.TEXT.TEXT_COLOR);
+  strokeWeight(2);
+  line(x, y, x + length, y);
+  line(x, y - 5, x, y + 5);
+  line(x + length, y - 5, x + length, y + 5);
+
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  noStroke();
+  textAlign(LEFT);
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  text(`${formatMeters(meters)} (grid ${formatMeters(gridSpacing())})`, x, y - 8);
+}
+
+/**
+ * @param {Number} meters - Length (m)
+ * @returns {String} - e.g. "50 m", "0.5 m" or "2 km"
+ */
+function formatMeters(meters) {
+  if (meters >= 1000) return `${meters / 1000} km`;
+  return `${Number(meters.toPrecision(3))} m`;
+}
+
+/**
+ * Draws the wind dial; outside the ground frame it shows the medium's
+ * velocity relative to the frame instead
+ */
+function drawWindIndicator() {
+  let centerX = CONSTANTS.WIND.INDICATOR_X;
+  let centerY = height - CONSTANTS.WIND.INDICATOR_BOTTOM;
+  let radius = CONSTANTS.WIND.INDICATOR_RADIUS;
+  let flow = Vector2.sub(sim.wind, frameVelocity());
+  let windSpeed = flow.mag();
+  let name = referenceFrame === "ground" ? "Wind" : "Medium";
+
+  // Dial
+  noFill();
+  stroke(CONSTANTS.WIND.COLOR);
+  strokeWeight(1);
+  circle(centerX, centerY, radius * 2);
+
+  // Arrow pointing downwind across the dial
+  if (windSpeed > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
+    let direction = flow.copy().normalize();
+    let tail = createVector(
+      centerX - direction.x * radius * 0.8,
+      centerY - direction.y * radius * 0.8
+    );
+    fill(CONSTANTS.WIND.COLOR);
+    drawVelocityVector(
+      tail,
+      direction.mult((1.6 * radius) / vectorScale),
+      CONSTANTS.WIND.COLOR
+    );
+  }
+
+  // Label
+  fill(CONSTANTS.WIND.COLOR);
+  noStroke();
+  textAlign(CENTER);
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  text(
+    windSpeed > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG
+      ? `${name}: ${windSpeed.toFixed(1)} m/s`
+      : `${name}: calm`,
+    centerX,
+    centerY + radius + CONSTANTS.TEXT.FONT_SIZE_SMALL + 4
+  );
+}
+
+function drawSonicBooms() {
+  let flash = 0;
+
+  for (let observer of sim.observers) {
+    for (let source of sim.sources) {
+      let boomTime = observer.readings[source.id].boomTime;
+      if (boomTime === null) continue;
+
+      let progress =
+        (sim.time - boomTime) / CONSTANTS.SUPERSONIC.BOOM_FLASH_DURATION;
+      if (progress < 0 || progress > 1) continue;
+      flash = max(flash, 1 - progress);
+
+      // Expanding ring and label around the observer
+      let { x: posX, y: posY } = camera.toScreen(observer.pos);
+      noFill();
+      stroke(colorWithAlpha(CONSTANTS.SUPERSONIC.BOOM_COLOR, 255 * (1 - progress)));
+      strokeWeight(4);
+      circle(posX, posY, 2 * CONSTANTS.SUPERSONIC.BOOM_RING_RADIUS * progress);
+
+      fill(CONSTANTS.SUPERSONIC.BOOM_COLOR);
+      noStroke();
+      textAlign(CENTER);
+      textSize(CONSTANTS.TEXT.FONT_SIZE_NORMAL);
+      text("SONIC BOOM", posX, posY - CONSTANTS.SUPERSONIC.BOOM_RING_RADIUS);
+    }
+  }
+
+  // Tint the whole canvas while any flash is active
+  if (flash > 0) {
+    noStroke();
+    fill(
+      colorWithAlpha(
+        CONSTANTS.SUPERSONIC.BOOM_COLOR,
+        CONSTANTS.SUPERSONIC.BOOM_BACKGROUND_ALPHA * flash
+      )
+    );
+    rect(0, 0, width, height);
+  }
+}
+
+function drawSourcesAndObservers() {
+  // Draw lines connecting every source to every observer
+  stroke(CONSTANTS.UI.CONNECTING_LINE_COLOR);
+  strokeWeight(CONSTANTS.UI.CONNECTING_LINE_WEIGHT);
+  for (let source of sim.sources) {
+    for (let observer of sim.observers) {
+      let a = camera.toScreen(source.pos);
+      let b = camera.toScreen(observer.pos);
+      line(a.x, a.y, b.x, b.y);
+    }
+  }
+
+  // Labels are only needed to tell several objects of one kind apart
+  let showLabels = sim.sources.length > 1 || sim.observers.length > 1;
+
+  for (let source of sim.sources) {
+    drawBody(source, CONSTANTS.UI.SOURCE_RADIUS, showLabels);
+  }
+  for (let observer of sim.observers) {
+    drawBody(observer, CONSTANTS.UI.OBSERVER_RADIUS, showLabels);
+  }
+  for (let reflector of sim.reflectors) {
+    drawReflector(reflector, sim.reflectors.length > 1);
+  }
 
   // Highlight the currently selected object
+  let selected = selectedBody();
+  if (selectedObject === "reflector") {
+    highlightReflector(selected);
+    return;
+  }
+  let radius =
+    selectedObject === "observer"
+      ? CONSTANTS.UI.OBSERVER_RADIUS
+      : CONSTANTS.UI.SOURCE_RADIUS;
   strokeWeight(2);
   stroke(CONSTANTS.UI.SELECTION_COLOR);
   noFill();
-  if (selectedObject === "source") {
-    circle(sourcePosX, sourcePosY, CONSTANTS.UI.SOURCE_RADIUS * 2 + 10);
-  } else {
-    circle(observerPosX, observerPosY, CONSTANTS.UI.OBSERVER_RADIUS * 2 + 10);
+  let center = camera.toScreen(selected.pos);
+  circle(center.x, center.y, radius * 2 + 10);
+}
+
+/**
+ * Outlines the selected reflector along its whole length, with the same gap
+ * as the circle around a selected source or observer
+ * @param {Object} reflector - Selected reflector
+ */
+function highlightReflector(reflector) {
+  let gap = 5; // Pixels between the outline and the reflector
+  let [a, b] = sim.reflectorEnds(reflector).map((end) => {
+    let point = camera.toScreen(end);
+    return new Vector2(point.x, point.y);
+  });
+  let along = new Vector2(Math.cos(reflector.angle), Math.sin(reflector.angle)).mult(gap);
+  let across = new Vector2(-along.y, along.x)
+    .normalize()
+    .mult(CONSTANTS.UI.REFLECTOR_WEIGHT / 2 + gap);
+  let corners = [
+    Vector2.sub(a, along).add(across),
+    Vector2.add(b, along).add(across),
+    Vector2.add(b, along).sub(across),
+    Vector2.sub(a, along).sub(across),
+  ];
+
+  strokeWeight(2);
+  stroke(CONSTANTS.UI.SELECTION_COLOR);
+  noFill();
+  quad(...corners.flatMap((corner) => [corner.x, corner.y]));
+}
+
+/**
+ * Draws a source or observer with its velocity vector and optional label
+ * @param {Object} body - Source or observer
+ * @param {Number} radius - Radius of the circle (pixels)
+ * @param {Boolean} showLabel - Whether to draw the short name next to it
+ */
+function drawBody(body, radius, showLabel) {
+  // Convert meters to pixels for display
+  let { x: posX, y: posY } = camera.toScreen(body.pos);
+  let col = bodyColor(body);
+
+  fill(col);
+  noStroke();
+  ellipse(posX, posY, radius * 2, radius * 2);
+
+  // Draw velocity vector (relative to the reference frame)
+  let vel = Vector2.sub(body.vel, frameVelocity());
+  if (vel.mag() > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
+    drawVelocityVector(createVector(posX, posY), vel, col);
+  }
+
+  if (showLabel) {
+    fill(CONSTANTS.TEXT.TEXT_COLOR);
+    noStroke();
+    textAlign(LEFT);
+    textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+    text(
+      bodyLabel(body),
+      posX + CONSTANTS.UI.LABEL_OFFSET,
+      posY - CONSTANTS.UI.LABEL_OFFSET
+    );
+  }
+}
+
+/**
+ * Draws a wall or reflector as a thick line, with its velocity vector
+ * @param {Object} reflector - Reflector to draw
+ * @param {Boolean} showLabel - Whether to label it (e.g. "R2")
+ */
+function drawReflector(reflector, showLabel) {
+  let [a, b] = sim.reflectorEnds(reflector).map((end) => camera.toScreen(end));
+  let { x: posX, y: posY } = camera.toScreen(reflector.pos);
+  let col = bodyColor(reflector);
+
+  stroke(col);
+  strokeWeight(CONSTANTS.UI.REFLECTOR_WEIGHT);
+  line(a.x, a.y, b.x, b.y);
+
+  let vel = Vector2.sub(reflector.vel, frameVelocity());
+  if (vel.mag() > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
+    drawVelocityVector(createVector(posX, posY), vel, col);
+  }
+
+  if (showLabel) {
+    fill(CONSTANTS.TEXT.TEXT_COLOR);
+    noStroke();
+    textAlign(LEFT);
+    textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+    text(
+      bodyLabel(reflector),
+      posX + CONSTANTS.UI.LABEL_OFFSET,
+      posY - CONSTANTS.UI.LABEL_OFFSET
+    );
   }
 }
 
 function drawVelocityVector(pixelPos, velocityVector, col) {
   // Display velocity vector (scale for visibility)
   // Note: velocityVector is in m/s, we need to scale it to pixels
-  let scaledVel = velocityVector.copy().mult(CONSTANTS.UI.VECTOR_SCALE);
+  let scaledVel = velocityVector.copy().mult(vectorScale);
 
   stroke(col);
   strokeWeight(CONSTANTS.UI.VELOCITY_STROKE_WEIGHT);
@@ -611,68 +1671,408 @@ function drawVelocityVector(pixelPos, velocityVector, col) {
 }
 
 function drawGraphs() {
-  // Set up graph area
-  let graphY1 = 30;
-  let graphY2 =
-    graphY1 +
+  // Set up graph area, shrinking the graphs when there are too many to fit
+  let graphTop = 30;
+  let graphX = width - CONSTANTS.GRAPH.WIDTH - CONSTANTS.GRAPH.MARGIN;
+  let slotHeight =
     CONSTANTS.GRAPH.HEIGHT +
     CONSTANTS.GRAPH.SPACING_FACTOR * CONSTANTS.GRAPH.SPACING;
-  let graphX = width - CONSTANTS.GRAPH.WIDTH - CONSTANTS.GRAPH.MARGIN;
+  let graphCount = sim.sources.length + sim.observers.length + 1;
+  let graphScale = min(
+    1,
+    (height - graphTop - CONSTANTS.GRAPH.MARGIN) / (graphCount * slotHeight)
+  );
+  let graphHeight = CONSTANTS.GRAPH.HEIGHT * graphScale;
+  let graphY = graphTop;
+
+  // Names are only needed to tell several objects of one kind apart
+  let nameSources = sim.sources.length > 1;
+  let nameObservers = sim.observers.length > 1;
+
+  // Draw one emitted sound graph per source
+  for (let source of sim.sources) {
+    drawGraph(
+      graphX,
+      graphY,
+      CONSTANTS.GRAPH.WIDTH,
+      graphHeight,
+      graphDataFor(source),
+      `Emitted Sound (${signalTitle(source.signal)})`,
+      bodyColor(source)
+    );
+
+    fill(CONSTANTS.TEXT.TEXT_COLOR);
+    noStroke();
+    textAlign(LEFT);
+    textSize(CONSTANTS.TEXT.FONT_SIZE_NORMAL);
+    text(
+      `${nameSources ? bodyLabel(source) + " " : ""}Emitted Freq.: ${sim.frequencyAt(source).toFixed(2)} Hz`,
+      graphX,
+      graphY - 10
+    );
+
+    // Display the Mach number of moving sources (β and γ for light)
+    let mach = sim.machNumber(source);
+    if (source.vel.mag() > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
+      let speedLabel =
+        sim.waveModel.name === "light"
+          ? `\u03b2 ${mach.toFixed(2)}, \u03b3 ${sim.gamma(source).toFixed(3)}`
+          : `Mach ${mach.toFixed(2)}${mach > 1 ? " (supersonic)" : ""}`;
+      fill(mach > 1 ? CONSTANTS.TEXT.REDSHIFT_COLOR : CONSTANTS.TEXT.TEXT_COLOR);
+      text(
+        speedLabel,
+        graphX + CONSTANTS.GRAPH.WIDTH - CONSTANTS.GRAPH.TEXT_RIGHT_MARGIN,
+        graphY - 10
+      );
+    }
+
+    graphY += slotHeight * graphScale;
+  }
+
+  // Draw one observed sound graph per observer
+  for (let observer of sim.observers) {
+    drawGraph(
+      graphX,
+      graphY,
+      CONSTANTS.GRAPH.WIDTH,
+      graphHeight,
+      graphDataFor(observer),
+      "Observed Sound",
+      bodyColor(observer)
+    );
+
+    drawObservedReadout(
+      observer,
+      nameObservers ? bodyLabel(observer) + " " : "",
+      graphX,
+      graphY - 10
+    );
+
+    drawEchoReadout(
+      observer,
+      graphX + CONSTANTS.GRAPH.WIDTH - CONSTANTS.GRAPH.TEXT_PADDING_X,
+      graphY + CONSTANTS.GRAPH.TEXT_PADDING_Y
+    );
+
+    if (sim.waveModel.name === "light") {
+      drawRelativisticReadout(
+        observer,
+        graphX + CONSTANTS.GRAPH.TEXT_PADDING_X,
+        graphY + graphHeight - CONSTANTS.GRAPH.TEXT_PADDING_X
+      );
+    } else {
+      drawLevelReadout(
+        observer,
+        graphX + CONSTANTS.GRAPH.TEXT_PADDING_X,
+        graphY + graphHeight - CONSTANTS.GRAPH.TEXT_PADDING_X
+      );
+    }
+
+    graphY += slotHeight * graphScale;
+  }
 
-  // Draw emitted sound graph
-  drawGraph(
-    graphX,
-    graphY1,
-    CONSTANTS.GRAPH.WIDTH,
-    CONSTANTS.GRAPH.HEIGHT,
-    emittedSoundData,
-    "Emitted Sound",
-    CONSTANTS.UI.SOURCE_COLOR
-  );
-
-  // Draw observed sound graph
-  drawGraph(
-    graphX,
-    graphY2,
-    CONSTANTS.GRAPH.WIDTH,
-    CONSTANTS.GRAPH.HEIGHT,
-    observedSoundData,
-    "Observed Sound",
-    CONSTANTS.UI.OBSERVER_COLOR
-  );
-
-  // Display frequency values
+  // Draw the frequency history of the selected observer
+  drawFrequencyChart(graphX, graphY, CONSTANTS.GRAPH.WIDTH, graphHeight, selectedObserver());
+}
+
+/**
+ * Tick spacing of 1, 2 or 5 times a power of ten
+ * @param {Number} range - Range covered by the axis
+ * @param {Number} maxTicks - Largest number of ticks that fit
+ * @returns {Number} - Distance between ticks
+ */
+function niceTickStep(range, maxTicks) {
+  let rough = range / max(1, maxTicks);
+  let power = pow(10, floor(Math.log10(rough)));
+  for (let factor of [1, 2, 5, 10]) {
+    if (factor * power >= rough) return factor * power;
+  }
+  return 10 * power;
+}
+
+/**
+ * Draws the observed frequency against simulation time for one observer,
+ * one curve per source, with the theoretical f(t) for the current motion
+ * (including the travel time of the sound) as a dashed curve. The window
+ * reaches a little into the future, so the coming part of the theoretical
+ * curve is already visible.
+ * @param {Number} x - Left edge (pixels)
+ * @param {Number} y - Top edge (pixels)
+ * @param {Number} w - Width (pixels)
+ * @param {Number} h - Height (pixels)
+ * @param {Object} observer - Observer whose history is shown
+ */
+function drawFrequencyChart(x, y, w, h, observer) {
+  let plotX = x + CONSTANTS.CHART.AXIS_LEFT;
+  let plotW = w - CONSTANTS.CHART.AXIS_LEFT;
+  let endTime = sim.time + CONSTANTS.CHART.WINDOW * CONSTANTS.CHART.FUTURE_FRACTION;
+  let startTime = endTime - CONSTANTS.CHART.WINDOW;
+
+  // Theoretical curve for every source over the whole window
+  let histories = frequencyHistory.get(observer.id) || new Map();
+  let curves = sim.sources.map((source) => {
+    let theory = [];
+    for (let i = 0; i <= CONSTANTS.CHART.THEORY_POINTS; i++) {
+      let time = startTime + (i * CONSTANTS.CHART.WINDOW) / CONSTANTS.CHART.THEORY_POINTS;
+      theory.push({ time: time, frequency: sim.predictedFrequency(source, observer, time) });
+    }
+    return { source: source, theory: theory, history: histories.get(source.id) || [] };
+  });
+
+  // Frequency range covering every curve, capped so that the spike of a
+  // source passing at Mach 1 does not flatten the rest
+  let frequencies = [];
+  for (let curve of curves) {
+    let cap = sim.frequencyAt(curve.source) * sim.freqMaxFactor;
+    for (let point of curve.theory.concat(curve.history)) {
+      frequencies.push(min(point.frequency, cap));
+    }
+  }
+  let low = min(...frequencies);
+  let high = max(...frequencies);
+  if (high - low < 0.5) {
+    low -= 0.25;
+    high += 0.25;
+  }
+  let step = niceTickStep(high - low, floor(h / CONSTANTS.CHART.TICK_SPACING));
+  low = floor(low / step) * step;
+  high = ceil(high / step) * step;
+
+  let toX = (time) => plotX + ((time - startTime) / CONSTANTS.CHART.WINDOW) * plotW;
+  let toY = (frequency) => y + h - ((min(frequency, high) - low) / (high - low)) * h;
+
+  // Background and axes
+  fill(CONSTANTS.GRAPH.BACKGROUND_COLOR);
+  stroke(CONSTANTS.GRAPH.GRID_COLOR);
+  strokeWeight(CONSTANTS.GRAPH.BORDER_WEIGHT);
+  rect(plotX, y, plotW, h);
+
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  for (let frequency = low; frequency <= high + step / 2; frequency += step) {
+    let tickY = toY(frequency);
+    stroke(CONSTANTS.GRAPH.GRID_COLOR);
+    line(plotX - CONSTANTS.CHART.TICK_LENGTH, tickY, plotX + plotW, tickY);
+    noStroke();
+    fill(CONSTANTS.TEXT.TEXT_COLOR);
+    textAlign(RIGHT, CENTER);
+    text(frequency.toFixed(step < 1 ? 1 : 0), plotX - CONSTANTS.CHART.TICK_LENGTH - 2, tickY);
+  }
+  let timeStep = niceTickStep(CONSTANTS.CHART.WINDOW, 5);
+  for (let time = ceil(startTime / timeStep) * timeStep; time <= endTime; time += timeStep) {
+    let tickX = toX(time);
+    stroke(CONSTANTS.GRAPH.GRID_COLOR);
+    line(tickX, y, tickX, y + h + CONSTANTS.CHART.TICK_LENGTH);
+    noStroke();
+    fill(CONSTANTS.TEXT.TEXT_COLOR);
+    textAlign(CENTER, TOP);
+    text(time.toFixed(0), tickX, y + h + CONSTANTS.CHART.TICK_LENGTH + 1);
+  }
+
+  // Current time
+  stroke(CONSTANTS.TEXT.TEXT_COLOR);
+  line(toX(sim.time), y, toX(sim.time), y + h);
+
+  // Theoretical (dashed) and measured (solid) curves
+  noFill();
+  for (let curve of curves) {
+    stroke(bodyColor(curve.source));
+    strokeWeight(CONSTANTS.CHART.THEORY_WEIGHT);
+    drawingContext.setLineDash(CONSTANTS.CHART.THEORY_DASH);
+    beginShape();
+    for (let point of curve.theory) {
+      vertex(toX(point.time), toY(point.frequency));
+    }
+    endShape();
+    drawingContext.setLineDash([]);
+
+    strokeWeight(CONSTANTS.GRAPH.WAVE_WEIGHT);
+    beginShape();
+    for (let point of curve.history) {
+      if (point.time >= startTime) vertex(toX(point.time), toY(point.frequency));
+    }
+    endShape();
+  }
+
+  // Title and axis labels
+  noStroke();
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  textAlign(LEFT, BASELINE);
+  text(
+    `${bodyLabel(observer)} Observed Freq. (Hz) vs. Time (s), dashed: theory`,
+    x,
+    y - 5
+  );
+}
+
+/**
+ * Displays the frequency an observer measures from each source
+ * @param {Object} observer - Observer whose readings are shown
+ * @param {String} prefix - Text placed before the readout (e.g. "O2 ")
+ * @param {Number} x - Left edge of the readout (pixels)
+ * @param {Number} y - Baseline of the readout (pixels)
+ */
+function drawObservedReadout(observer, prefix, x, y) {
   fill(CONSTANTS.TEXT.TEXT_COLOR);
   noStroke();
   textAlign(LEFT);
   textSize(CONSTANTS.TEXT.FONT_SIZE_NORMAL);
-  text(
-    `Emitted Freq.: ${CONSTANTS.PHYSICS.EMITTED_FREQ.toFixed(2)} Hz`,
-    graphX,
-    graphY1 - 10
-  );
-  text(
-    `Observed Freq.: ${smoothedObservedFreq.toFixed(2)} Hz`,
-    graphX,
-    graphY2 - 10
-  );
 
-  // Display if sound is blueshifted or redshifted
-  if (smoothedObservedFreq > CONSTANTS.PHYSICS.EMITTED_FREQ) {
-    fill(CONSTANTS.TEXT.BLUESHIFT_COLOR);
-    text(
-      "Blueshifted (approaching)",
-      graphX + CONSTANTS.GRAPH.WIDTH - CONSTANTS.GRAPH.TEXT_RIGHT_MARGIN,
-      graphY2 - 10
-    );
-  } else if (smoothedObservedFreq < CONSTANTS.PHYSICS.EMITTED_FREQ) {
-    fill(CONSTANTS.TEXT.REDSHIFT_COLOR);
-    text(
-      "Redshifted (receding)",
-      graphX + CONSTANTS.GRAPH.WIDTH - CONSTANTS.GRAPH.TEXT_RIGHT_MARGIN,
-      graphY2 - 10
+  if (sim.sources.length === 1) {
+    let source = sim.sources[0];
+    let reading = observer.readings[source.id];
+    let observedFreq = reading.frequency;
+    text(`${prefix}Observed Freq.: ${formatReading(reading)}`, x, y);
+
+    // Display if sound is blueshifted or redshifted
+    let shiftX = x + CONSTANTS.GRAPH.WIDTH - CONSTANTS.GRAPH.TEXT_RIGHT_MARGIN;
+    if (reading.branches.length > 1) {
+      fill(CONSTANTS.TEXT.BLUESHIFT_COLOR);
+      text("Inside Mach cone", shiftX, y);
+    } else if (reading.reversed) {
+      fill(CONSTANTS.TEXT.BLUESHIFT_COLOR);
+      text("Reversed (supersonic)", shiftX, y);
+    } else if (observedFreq > reading.sourceFrequency) {
+      fill(CONSTANTS.TEXT.BLUESHIFT_COLOR);
+      text("Blueshifted (approaching)", shiftX, y);
+    } else if (observedFreq < reading.sourceFrequency) {
+      fill(CONSTANTS.TEXT.REDSHIFT_COLOR);
+      text("Redshifted (receding)", shiftX, y);
+    }
+    return;
+  }
+
+  // With several sources, list one frequency per source colored by its shift
+  let label = `${prefix}Observed:`;
+  text(label, x, y);
+  x += textWidth(label) + 6;
+
+  for (let source of sim.sources) {
+    let reading = observer.readings[source.id];
+    if (reading.frequency > reading.sourceFrequency) {
+      fill(CONSTANTS.TEXT.BLUESHIFT_COLOR);
+    } else if (reading.frequency < reading.sourceFrequency) {
+      fill(CONSTANTS.TEXT.REDSHIFT_COLOR);
+    } else {
+      fill(CONSTANTS.TEXT.TEXT_COLOR);
+    }
+
+    let readout = `${bodyLabel(source)} ${formatReading(reading)}`;
+    text(readout, x, y);
+    x += textWidth(readout) + 10;
+  }
+}
+
+/**
+ * Shows the sound level at an observer, inside the bottom of its graph
+ * @param {Object} observer - Observer
+ * @param {Number} x - Left edge of the readout (pixels)
+ * @param {Number} y - Baseline of the readout (pixels)
+ */
+function drawLevelReadout(observer, x, y) {
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  noStroke();
+  textAlign(LEFT);
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  text(`Level: ${formatLevel(observer)} (${spreadingName()})`, x, y);
+}
+
+/**
+ * @param {Object} observer - Observer
+ * @returns {String} - Total sound level at the observer, e.g. "64.4 dB"
+ */
+function formatLevel(observer) {
+  return observer.hasSignal ? `${observer.level.toFixed(1)} dB` : "silent";
+}
+
+/**
+ * @returns {String} - Current geometric spreading, in words
+ */
+function spreadingName() {
+  return {
+    "3d": "3D spreading",
+    "2d": "2D spreading",
+    none: "no spreading",
+  }[sim.spreading];
+}
+
+/**
+ * Lists the frequency of every echo an observer receives, right-aligned at
+ * the top of its graph. With a moving reflector the echo carries the Doppler
+ * shift twice: once on the way to the reflector and once on the way back.
+ * @param {Object} observer - Observer whose echoes are shown
+ * @param {Number} x - Right edge of the readout (pixels)
+ * @param {Number} y - Baseline of the readout (pixels)
+ */
+function drawEchoReadout(observer, x, y) {
+  let parts = [];
+  for (let reflector of sim.reflectors) {
+    for (let source of sim.sources) {
+      let reading = observer.echoes[reflector.id][source.id];
+      if (!reading.hasSignal) continue;
+
+      let name = bodyLabel(reflector) + (sim.sources.length > 1 ? ` ${bodyLabel(source)}` : "");
+      parts.push(`${name} ${formatReading(reading)}`);
+    }
+  }
+  if (parts.length === 0) return;
+
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  noStroke();
+  textAlign(RIGHT);
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  text(`Echo ${parts.join(" | ")}`, x, y);
+  textAlign(LEFT);
+}
+
+/**
+ * Compares the relativistic reading of the first source with the classical
+ * formula, inside the bottom of an observer's graph. When the motion is
+ * perpendicular to the line of sight the classical shift vanishes and the
+ * difference is the transverse Doppler effect (time dilation).
+ * @param {Object} observer - Observer whose reading is compared
+ * @param {Number} x - Left edge of the readout (pixels)
+ * @param {Number} y - Baseline of the readout (pixels)
+ */
+function drawRelativisticReadout(observer, x, y) {
+  let reading = observer.readings[sim.sources[0].id];
+  if (!reading.hasSignal || reading.classicalFrequency === null) return;
+
+  let difference = reading.frequency - reading.classicalFrequency;
+  let percent = (difference / reading.classicalFrequency) * 100;
+  let parts = [];
+  if (observer.vel.mag() > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
+    parts.push(
+      `\u03b2 ${(observer.vel.mag() / sim.lightSpeed).toFixed(2)}, \u03b3 ${sim.gamma(observer).toFixed(3)}`
     );
   }
+  parts.push(
+    `Classical ${reading.classicalFrequency.toFixed(2)} Hz`,
+    `\u0394 ${difference >= 0 ? "+" : ""}${difference.toFixed(2)} Hz (${percent.toFixed(1)}%)`
+  );
+
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  noStroke();
+  textAlign(LEFT);
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  text(parts.join(" | "), x, y);
+}
+
+/**
+ * Formats an observer's reading of one source. Inside a Mach cone both
+ * arriving signals are listed; "rev." marks the one heard in reverse order.
+ * @param {Object} reading - Reading from DopplerSimulation.observeSource()
+ * @returns {String} - e.g. "4.06 Hz" or "13.19 Hz rev. + 6.94 Hz"
+ */
+function formatReading(reading) {
+  let branches = reading.branches.length > 0 ? reading.branches : [reading];
+  return branches
+    .map(
+      (branch) =>
+        (isFinite(branch.frequency) ? branch.frequency.toFixed(2) : "\u221e") +
+        " Hz" +
+        (branch.reversed ? " rev." : "")
+    )
+    .join(" + ");
 }
 
 function displayInstructions() {
@@ -688,7 +2088,7 @@ function displayInstructions() {
 
   // Basic instructions
   text(
-    "Click and drag source (red) or observer (green) to move them",
+    "Click and drag sources (red) or observers (green) to move them",
     CONSTANTS.TEXT.INSTRUCTION_X,
     instructY
   );
@@ -699,275 +2099,1803 @@ function displayInstructions() {
   instructY += lineHeight;
 
   text(
-    "S: Select source | O: Select observer | Arrow keys: Move selected object",
+    "S/O/M: Select source/observer/reflector (again: next one) | Shift+S/O/M: Add one | Delete: Remove selected",
     CONSTANTS.TEXT.INSTRUCTION_X + 10,
     instructY
   );
   instructY += lineHeight;
 
   text(
-    "Space: Pause/Resume | R: Reset | H: Toggle help",
+    "Arrow keys: Move selected object",
     CONSTANTS.TEXT.INSTRUCTION_X + 10,
     instructY
   );
   instructY += lineHeight;
 
   text(
-    "+/-: Adjust emitted frequency | ,/.: Adjust sound speed",
+    "Space: Pause/Resume | R: Reset | H: Toggle help",
     CONSTANTS.TEXT.INSTRUCTION_X + 10,
     instructY
   );
   instructY += lineHeight;
 
   text(
-    "1-4: Load preset scenarios (1: approaching source, 2: approaching observer, etc.)",
+    "+/-: Adjust selected source frequency | T: Next waveform (Shift: next sweep) | ,/.: Adjust sound (or light) speed | W: Toggle wind (Shift: rotate) | L: Sound/light | N: Next medium (Shift: previous) | V: Spreading",
     CONSTANTS.TEXT.INSTRUCTION_X + 10,
     instructY
   );
   instructY += lineHeight;
-}
-
-function displaySimulationStatus() {
-  fill(CONSTANTS.TEXT.TEXT_COLOR);
-  noStroke();
-  textAlign(LEFT);
-  textSize(CONSTANTS.TEXT.FONT_SIZE_NORMAL);
 
-  // Display pause status
-  if (isPaused) {
-    fill(color(255, 0, 0)); // Red for pause
-    text("PAUSED", 15, height - 15);
-  }
+  text(
+    "A: Toggle audio | E/D: Mute emitted/observed sound (Shift: solo) | [/]: Pitch scale",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
+  );
+  instructY += lineHeight;
 
-  // Display selected object
-  fill(CONSTANTS.UI.SELECTION_COLOR);
   text(
-    "Selected: " + (selectedObject === "source" ? "Source" : "Observer"),
-    120,
-    height - 15
+    "1-9, 0: Load preset scenarios (1: approaching source, 2: approaching observer, ..., 5: two ambulances, 6: several listeners, 7: supersonic jet, 8: wind only, 9: transverse Doppler, 0: echoes)",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
   );
+  instructY += lineHeight;
 
-  // Display current parameters
-  fill(CONSTANTS.TEXT.TEXT_COLOR);
   text(
-    `Sound Speed: ${CONSTANTS.PHYSICS.SOUND_SPEED.toFixed(2)} m/s`,
-    300,
-    height - 15
+    "Shift+1-4: Scripted trajectories and signals (1: source circling observer, 2: braking train, 3: race track, 4: two-tone siren)",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
   );
+  instructY += lineHeight;
+
   text(
-    `Wave Interval: ${(1000 / CONSTANTS.PHYSICS.EMITTED_FREQ).toFixed(0)}ms`,
-    500,
-    height - 15
+    "F: Save scenario to a file | Shift+F: Open a scenario file | U: Copy a link to this scenario",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
   );
-}
+  instructY += lineHeight;
 
-function keyPressed() {
-  // Toggle pause with spacebar
-  if (keyCode === CONSTANTS.KEYBOARD.TOGGLE_PAUSE) {
-    isPaused = !isPaused;
+  text(
+    "C: Start/stop recording a session | P: Replay the last session (timeline, frame steps, speeds)",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
+  );
+  instructY += lineHeight;
+
+  text(
+    "K: Start/stop logging (Shift: clear) | I: Logging rate | J: Download log as CSV (Shift: JSON)",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
+  );
+  instructY += lineHeight;
+
+  text(
+    "Y: Start/leave a lesson (Shift: open a lesson file) | Q: Next lesson step (Shift: previous) | B: Download lesson answers as CSV (Shift: JSON)",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
+  );
+  instructY += lineHeight;
+
+  text(
+    "X: Spectrum analyzer and spectrogram of the selected observer's signal",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
+  );
+  instructY += lineHeight;
+
+  text(
+    "Mouse wheel: Zoom | Drag the background: Pan | Z: Reset view (Shift: fit all objects) | G: Reference frame",
+    CONSTANTS.TEXT.INSTRUCTION_X + 10,
+    instructY
+  );
+  instructY += lineHeight;
+}
+
+function displaySimulationStatus() {
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  noStroke();
+  textAlign(LEFT);
+  textSize(CONSTANTS.TEXT.FONT_SIZE_NORMAL);
+
+  // Display pause status
+  if (isPaused) {
+    fill(color(255, 0, 0)); // Red for pause
+    text("PAUSED", 15, height - 15);
+  }
+
+  // Display selected object
+  fill(CONSTANTS.UI.SELECTION_COLOR);
+  let selectedName = {
+    source: `Source ${selectedSourceIndex + 1}`,
+    observer: `Observer ${selectedObserverIndex + 1}`,
+    reflector: `Reflector ${selectedReflectorIndex + 1}`,
+  }[selectedObject];
+  text("Selected: " + selectedName, 120, height - 15);
+
+  // Display current parameters, one after the other
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  let x = 300;
+  for (let item of [
+    waveSpeedStatusText(),
+    `Wave Interval: ${(1000 / sim.frequencyAt(selectedSource())).toFixed(0)}ms`,
+    audioStatusText(),
+  ]) {
+    text(item, x, height - 15);
+    x += textWidth(item) + CONSTANTS.TEXT.STATUS_GAP;
+  }
+
+  // Display the data log state
+  if (dataLogger.running || dataLogger.rows.length > 0) {
+    textAlign(RIGHT);
+    text(
+      `${dataLogger.running ? "Logging" : "Log"}: ${dataLogger.rows.length} rows @ ${dataLogger.rate} Hz`,
+      width - 15,
+      height - 15
+    );
+    textAlign(LEFT);
+  }
+
+  // Display the latest notice (file loaded, link copied, errors)
+  if (
+    statusMessage &&
+    millis() / 1000 - statusMessage.time < CONSTANTS.TEXT.MESSAGE_DURATION
+  ) {
+    fill(CONSTANTS.TEXT.TEXT_COLOR);
+    text(statusMessage.text, 15, height - CONSTANTS.TEXT.MESSAGE_BOTTOM);
+  }
+}
+
+/**
+ * Shows a short notice above the status bar
+ * @param {String} message - Text to show
+ */
+function showMessage(message) {
+  statusMessage = { text: message, time: millis() / 1000 };
+  if (announcer) announcer.say(message);
+}
+
+/**
+ * @returns {String} - Wave speed for the status bar; for sound, with the
+ *   medium and its conditions, marked when the speed was set by hand
+ */
+function waveSpeedStatusText() {
+  if (sim.waveModel.name === "light") {
+    return `Light Speed: ${sim.lightSpeed.toFixed(2)} m/s (scaled)`;
+  }
+  let custom = Math.abs(sim.soundSpeed - speedOfSound(sim.medium)) > 0.005 ? ", set by hand" : "";
+  return `Sound Speed: ${sim.soundSpeed.toFixed(2)} m/s (${describeMedium(sim.medium)}${custom})`;
+}
+
+/**
+ * Describes the audio state for the status bar
+ * @returns {String} - e.g. "Audio: On (x100, observed muted)"
+ */
+function audioStatusText() {
+  if (!sonification.enabled) {
+    return "Audio: Off (A)";
+  }
+
+  let notes = [`x${sonification.pitchMultiplier}`];
+  for (let name of ["emitted", "observed"]) {
+    let channel = sonification.channels[name];
+    if (channel.solo) {
+      notes.push(`${name} solo`);
+    } else if (channel.muted) {
+      notes.push(`${name} muted`);
+    }
+  }
+  return `Audio: On (${notes.join(", ")})`;
+}
+
+function keyPressed() {
+  // Keys typed into a field, or activating a focused button, belong to the page
+  if (focusWantsKey(keyCode)) {
+    return true;
+  }
+  return runKeyAction(keyCode, keyIsDown(SHIFT));
+}
+
+/**
+ * Runs the action of a keyboard shortcut. The buttons of the action panel
+ * call this too, so both always do the same.
+ * @param {Number} code - Key code
+ * @param {Boolean} shift - Whether Shift is held
+ * @returns {Boolean} - False when the key was handled
+ */
+function runKeyAction(code, shift) {
+  // Start or stop recording with 'C' key
+  if (code === CONSTANTS.KEYBOARD.RECORD_TOGGLE) {
+    if (recorder) {
+      stopRecording();
+    } else if (!player) {
+      startRecording();
+    }
     return false;
   }
 
-  // Reset simulation with 'R' key
-  if (keyCode === CONSTANTS.KEYBOARD.RESET_KEY) {
-    resetSimulation();
-    return false;
+  // Replay the last session with 'P' key, press again to return
+  if (code === CONSTANTS.KEYBOARD.REPLAY_TOGGLE) {
+    if (player) {
+      exitReplay();
+    } else if (lessonQuestionOpen()) {
+      showLockedMessage();
+    } else {
+      startReplay();
+    }
+    return false;
+  }
+
+  // While replaying, the arrows step and change speed, and only keys that
+  // do not change the simulation work
+  if (player && handleReplayKey(code)) {
+    return false;
+  }
+
+  // Toggle pause with spacebar (a lesson question waits for the answer)
+  if (code === CONSTANTS.KEYBOARD.TOGGLE_PAUSE) {
+    if (lesson && lesson.phase === "question") {
+      showMessage("Answer the question first");
+    } else {
+      isPaused = !isPaused;
+    }
+    return false;
+  }
+
+  // Reset simulation with 'R' key (in a lesson: restart the step)
+  if (code === CONSTANTS.KEYBOARD.RESET_KEY) {
+    if (lesson) {
+      startLessonStep(lesson.index);
+    } else {
+      resetSimulation();
+    }
+    return false;
+  }
+
+  // Select (or cycle through) sources with 'S' key, add one with Shift+S
+  if (code === CONSTANTS.KEYBOARD.SOURCE_SELECT) {
+    if (shift) {
+      addBody("source");
+    } else {
+      selectObject("source");
+    }
+    return false;
+  }
+
+  // Select (or cycle through) observers with 'O' key, add one with Shift+O
+  if (code === CONSTANTS.KEYBOARD.OBSERVER_SELECT) {
+    if (shift) {
+      addBody("observer");
+    } else {
+      selectObject("observer");
+    }
+    return false;
+  }
+
+  // Select (or cycle through) reflectors with 'M' key, add one with Shift+M
+  if (code === CONSTANTS.KEYBOARD.REFLECTOR_SELECT) {
+    if (shift) {
+      addBody("reflector");
+    } else {
+      selectObject("reflector");
+    }
+    return false;
+  }
+
+  // Toggle the wind with 'W' key, rotate its direction with Shift+W
+  if (code === CONSTANTS.KEYBOARD.WIND_TOGGLE) {
+    if (shift) {
+      rotateWind(CONSTANTS.WIND.ROTATE_STEP);
+    } else {
+      toggleWind();
+    }
+    return false;
+  }
+
+  // Switch between sound and light with 'L' key
+  if (code === CONSTANTS.KEYBOARD.LIGHT_TOGGLE) {
+    executeCommand({
+      type: "setWaveModel",
+      value: sim.waveModel.name === "light" ? "sound" : "light",
+    });
+    return false;
+  }
+
+  // Switch to the next medium with 'N' key, the previous one with Shift+N
+  if (code === CONSTANTS.KEYBOARD.MEDIUM_NEXT) {
+    cycleMedium(shift ? -1 : 1);
+    return false;
+  }
+
+  // Change the selected source's waveform with 'T' key, its sweep with Shift+T
+  if (code === CONSTANTS.KEYBOARD.SIGNAL_NEXT) {
+    cycleSignal(shift ? "sweep" : "waveform");
+    return false;
+  }
+
+  // Switch between 3D, 2D and no spreading of the amplitude with 'V' key
+  if (code === CONSTANTS.KEYBOARD.SPREADING_TOGGLE) {
+    cycleSpreading();
+    return false;
+  }
+
+  // Save the scenario to a file with 'F' key, open one with Shift+F
+  if (code === CONSTANTS.KEYBOARD.SCENARIO_FILE) {
+    if (shift) {
+      if (!lessonLocksScenario()) openScenarioFile();
+    } else {
+      saveScenarioFile();
+    }
+    return false;
+  }
+
+  // Put the scenario in the page link with 'U' key
+  if (code === CONSTANTS.KEYBOARD.SHARE_LINK) {
+    shareScenarioLink();
+    return false;
+  }
+
+  // Start or leave a lesson with 'Y' key, open a lesson file with Shift+Y
+  if (code === CONSTANTS.KEYBOARD.LESSON_TOGGLE) {
+    if (lesson) {
+      exitLesson();
+    } else if (shift) {
+      openLessonFile();
+    } else {
+      startLesson(BUILT_IN_LESSONS[0]);
+    }
+    return false;
+  }
+
+  // Go to the next lesson step with 'Q' key, the previous one with Shift+Q
+  if (code === CONSTANTS.KEYBOARD.LESSON_STEP) {
+    if (!lesson) {
+      showMessage("No lesson started (Y: start one)");
+    } else if (shift) {
+      startLessonStep(lesson.index - 1);
+    } else {
+      nextLessonStep();
+    }
+    return false;
+  }
+
+  // Download the lesson answers as CSV with 'B' key, as JSON with Shift+B
+  if (code === CONSTANTS.KEYBOARD.LESSON_EXPORT) {
+    exportLessonResults(shift ? "json" : "csv");
+    return false;
+  }
+
+  // Start or stop logging with 'K' key, clear the log with Shift+K
+  if (code === CONSTANTS.KEYBOARD.LOG_TOGGLE) {
+    if (shift) {
+      dataLogger.clear();
+      showMessage("Log cleared");
+    } else if (dataLogger.running) {
+      dataLogger.stop();
+      showMessage(`Logging stopped (${dataLogger.rows.length} rows)`);
+    } else {
+      dataLogger.start();
+      showMessage(`Logging at ${dataLogger.rate} Hz`);
+    }
+    return false;
+  }
+
+  // Cycle the logging rate with 'I' key
+  if (code === CONSTANTS.KEYBOARD.LOG_RATE) {
+    let rates = CONSTANTS.LOG.RATES;
+    dataLogger.setRate(rates[(rates.indexOf(dataLogger.rate) + 1) % rates.length]);
+    showMessage(`Logging rate: ${dataLogger.rate} Hz`);
+    return false;
+  }
+
+  // Download the log as CSV with 'J' key, as JSON with Shift+J
+  if (code === CONSTANTS.KEYBOARD.LOG_EXPORT) {
+    exportLog(shift ? "json" : "csv");
+    return false;
+  }
+
+  // Show or hide the spectrum analyzer with 'X' key
+  if (code === CONSTANTS.KEYBOARD.SPECTRUM_TOGGLE) {
+    showSpectrum = !showSpectrum;
+    return false;
+  }
+
+  // Cycle the reference frame with 'G' key
+  if (code === CONSTANTS.KEYBOARD.FRAME_TOGGLE) {
+    let names = CONSTANTS.FRAME.NAMES;
+    setReferenceFrame(names[(names.indexOf(referenceFrame) + 1) % names.length]);
+    return false;
+  }
+
+  // Reset the view with 'Z' key, zoom to fit every object with Shift+Z
+  if (code === CONSTANTS.KEYBOARD.VIEW_RESET) {
+    if (shift) {
+      fitView();
+    } else {
+      resetView();
+    }
+    return false;
+  }
+
+  // Remove the selected object with Delete or Backspace
+  if (CONSTANTS.KEYBOARD.REMOVE_KEYS.includes(code)) {
+    removeSelectedBody();
+    return false;
+  }
+
+  // Toggle help display with 'H' key
+  if (code === CONSTANTS.KEYBOARD.HELP_TOGGLE) {
+    showHelp = !showHelp;
+    return false;
+  }
+
+  // Toggle audio with 'A' key
+  if (code === CONSTANTS.KEYBOARD.AUDIO_TOGGLE) {
+    sonification.toggle();
+    return false;
+  }
+
+  // Mute (or with Shift, solo) the emitted and observed sounds
+  if (code === CONSTANTS.KEYBOARD.EMITTED_AUDIO) {
+    toggleAudioChannel("emitted", shift);
+    return false;
+  }
+
+  if (code === CONSTANTS.KEYBOARD.OBSERVED_AUDIO) {
+    toggleAudioChannel("observed", shift);
+    return false;
+  }
+
+  // Halve or double the pitch multiplier with '[' and ']'
+  if (code === CONSTANTS.KEYBOARD.PITCH_DOWN) {
+    setPitchMultiplier(sonification.pitchMultiplier / 2);
+    return false;
+  }
+
+  if (code === CONSTANTS.KEYBOARD.PITCH_UP) {
+    setPitchMultiplier(sonification.pitchMultiplier * 2);
+    return false;
+  }
+
+  // Preset scenarios (1: approaching source, 2: approaching observer,
+  // 3: receding, 4: perpendicular, 5: two ambulances, 6: several listeners,
+  // 7: supersonic jet flyover, 8: wind only, 9: transverse Doppler, 0: echoes;
+  // with Shift, 1: source circling observer, 2: braking train, 3: race track,
+  // 4: two-tone siren)
+  let presetKeys = presetKeyCodes();
+  let presetIndex = presetKeys.indexOf(code);
+  if (presetIndex !== -1 && shift) {
+    presetIndex += presetKeys.length;
+  }
+  if (presetIndex !== -1 && presetIndex < PRESET_SCENARIOS.length) {
+    if (!lessonLocksScenario()) loadPresetScenario(presetIndex);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * @param {String} name - Reference frame: 'ground', 'source' or 'observer'
+ * @returns {String} - Name for buttons and messages
+ */
+function frameTitle(name) {
+  return { ground: "Ground", source: "Source", observer: "Observer" }[name];
+}
+
+/**
+ * Draws the scene in the rest frame of the ground, of the selected source or
+ * of the selected observer
+ * @param {String} name - 'ground', 'source' or 'observer'
+ */
+function setReferenceFrame(name) {
+  referenceFrame = name;
+  frameAnchor = null;
+  let body = frameBody();
+  showMessage(body ? `Reference frame: riding with ${bodyLabel(body)}` : "Reference frame: ground");
+}
+
+/**
+ * @returns {Object|null} - The body whose rest frame is drawn, or null for
+ *   the ground frame
+ */
+function frameBody() {
+  if (referenceFrame === "source") return selectedSource();
+  if (referenceFrame === "observer") return selectedObserver();
+  return null;
+}
+
+/**
+ * @returns {Vector2} - Velocity of the reference frame over the ground (m/s)
+ */
+function frameVelocity() {
+  let body = frameBody();
+  return body ? body.vel.copy() : new Vector2(0, 0);
+}
+
+/**
+ * Moves the camera with the reference frame's body, so the body stays put
+ * on the screen while the ground, the grid and the wavefronts move past.
+ * While the body is dragged the camera stays still, or it would run away
+ * from the pointer.
+ */
+function followReferenceFrame() {
+  let body = frameBody();
+  if (!body) {
+    frameAnchor = null;
+    return;
+  }
+  let dragged = [...pointerDrags.values()].some((drag) => drag.body.id === body.id);
+  if (frameAnchor && frameAnchor.id === body.id && !dragged) {
+    camera.origin.add(Vector2.sub(body.pos, frameAnchor.pos));
+  }
+  frameAnchor = { id: body.id, pos: body.pos.copy() };
+}
+
+/**
+ * Explains the shift between the selected source and observer from the
+ * chosen reference frame: the source's motion sets the spacing of the
+ * wavefronts, the observer's motion the speed they arrive at, and only
+ * motion relative to the medium counts, so the two cases differ
+ */
+function drawFrameReadout() {
+  let body = frameBody();
+  if (!body) return;
+
+  let source = selectedSource();
+  let observer = selectedObserver();
+  let flow = Vector2.sub(sim.wind, body.vel);
+  let lines = [`Frame: riding with ${bodyLabel(body)}`];
+
+  if (sim.waveModel.name === "light") {
+    lines.push(
+      "Light needs no medium: c is the same in every frame,",
+      "so only the relative velocity of source and observer counts",
+      `f' = ${sim.theoreticalFrequency(source, observer).toFixed(2)} Hz in every frame`
+    );
+  } else {
+    // Velocity components along the line from the source to the observer,
+    // relative to the medium
+    let direction = Vector2.sub(observer.pos, source.pos).normalize();
+    let c = sim.soundSpeed;
+    let vs = Vector2.dot(Vector2.sub(source.vel, sim.wind), direction);
+    let vo = Vector2.dot(Vector2.sub(observer.vel, sim.wind), direction);
+    let f = sim.frequencyAt(source);
+    let s = bodyLabel(source);
+    let o = bodyLabel(observer);
+
+    lines.push(`Medium flows past at ${flow.mag().toFixed(1)} m/s`);
+    if (c - vs <= 0) {
+      lines.push(`${s} outruns its own waves toward ${o} (supersonic)`);
+    } else {
+      let wavelength = (c - vs) / f;
+      lines.push(
+        `${s}'s motion: waves leave toward ${o} at c - vs = ${(c - vs).toFixed(1)} m/s,`,
+        `  so they are λ = ${wavelength.toFixed(2)} m apart (${(c / f).toFixed(2)} m at rest)`,
+        `${o}'s motion: waves reach ${o} at c - vo = ${(c - vo).toFixed(1)} m/s`,
+        `f' = (c - vo) / λ = ${((c - vo) / wavelength).toFixed(2)} Hz`
+      );
+    }
+  }
+
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  noStroke();
+  textAlign(LEFT);
+  textSize(CONSTANTS.TEXT.FONT_SIZE_SMALL);
+  let lineHeight = CONSTANTS.TEXT.FONT_SIZE_SMALL * 1.4;
+  let y = height - CONSTANTS.FRAME.READOUT_BOTTOM - (lines.length - 1) * lineHeight;
+  for (let entry of lines) {
+    text(entry, CONSTANTS.FRAME.READOUT_X, y);
+    y += lineHeight;
+  }
+}
+
+/**
+ * Returns to the initial scale with the world origin at the top-left corner
+ */
+function resetView() {
+  camera.scale = CONSTANTS.CAMERA.SCALE;
+  camera.origin.set(0, 0);
+}
+
+/**
+ * Zooms and pans so that every source, observer and reflector is in view
+ */
+function fitView() {
+  let points = [...sim.sources, ...sim.observers].map((body) => body.pos);
+  for (let reflector of sim.reflectors) {
+    points.push(...sim.reflectorEnds(reflector));
+  }
+  let xs = points.map((point) => point.x);
+  let ys = points.map((point) => point.y);
+  let left = min(...xs);
+  let top = min(...ys);
+  let w = max(...xs) - left;
+  let h = max(...ys) - top;
+
+  // Leave a margin, and some room when everything is in one spot
+  let margin = CONSTANTS.CAMERA.FIT_MARGIN * max(w, h, camera.toMeters(min(width, height)) / 2);
+  camera.fit(
+    { left: left - margin, top: top - margin, width: w + 2 * margin, height: h + 2 * margin },
+    width,
+    height
+  );
+}
+
+/**
+ * @returns {Number[]} - Key codes of the presets, in order (with Shift
+ *   they select the presets after the tenth)
+ */
+function presetKeyCodes() {
+  return [
+    CONSTANTS.KEYBOARD.NUMBER_1,
+    CONSTANTS.KEYBOARD.NUMBER_2,
+    CONSTANTS.KEYBOARD.NUMBER_3,
+    CONSTANTS.KEYBOARD.NUMBER_4,
+    CONSTANTS.KEYBOARD.NUMBER_5,
+    CONSTANTS.KEYBOARD.NUMBER_6,
+    CONSTANTS.KEYBOARD.NUMBER_7,
+    CONSTANTS.KEYBOARD.NUMBER_8,
+    CONSTANTS.KEYBOARD.NUMBER_9,
+    CONSTANTS.KEYBOARD.NUMBER_0,
+  ];
+}
+
+/**
+ * @param {Number} [code] - Key code; without one only fields count
+ * @returns {Boolean} - Whether a focused page element should get the key
+ *   instead of the simulation: any key typed into a field, and Enter or
+ *   Space on a button
+ */
+function focusWantsKey(code) {
+  let element = document.activeElement;
+  if (!element) return false;
+  if (["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName)) return true;
+  return (
+    element.tagName === "BUTTON" &&
+    (code === ENTER || code === CONSTANTS.KEYBOARD.TOGGLE_PAUSE)
+  );
+}
+
+/**
+ * Mutes an audio channel, or solos it when Shift is held
+ * @param {String} name - 'emitted' or 'observed'
+ * @param {Boolean} shift - Whether Shift is held
+ */
+function toggleAudioChannel(name, shift) {
+  if (shift) {
+    sonification.toggleSolo(name);
+  } else {
+    sonification.toggleMute(name);
+  }
+}
+
+function setPitchMultiplier(multiplier) {
+  sonification.pitchMultiplier = constrain(
+    multiplier,
+    CONSTANTS.AUDIO.PITCH_MULTIPLIER_MIN,
+    CONSTANTS.AUDIO.PITCH_MULTIPLIER_MAX
+  );
+}
+
+function toggleWind() {
+  if (sim.wind.mag() > CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
+    executeCommand({ type: "setWind", value: [0, 0] });
+  } else {
+    executeCommand({ type: "setWind", value: [CONSTANTS.WIND.DEFAULT_SPEED, 0] });
+  }
+}
+
+/**
+ * Rotates the wind direction, switching the wind on if it is calm
+ * @param {Number} degrees - Clockwise rotation on screen (degrees)
+ */
+function rotateWind(degrees) {
+  if (sim.wind.mag() <= CONSTANTS.PHYSICS.MIN_VELOCITY_MAG) {
+    toggleWind();
+  }
+  let angle = sim.wind.heading() + (degrees * PI) / 180;
+  let speed = sim.wind.mag();
+  executeCommand({
+    type: "setWind",
+    value: [speed * cos(angle), speed * sin(angle)],
+  });
+}
+
+/**
+ * Switches to the next or previous medium of MEDIA, keeping the conditions
+ * @param {Number} direction - 1 for the next medium, -1 for the previous
+ */
+function cycleMedium(direction) {
+  let names = Object.keys(MEDIA);
+  let index = names.indexOf(sim.medium.name);
+  let name = names[(index + direction + names.length) % names.length];
+  executeCommand({ type: "setMedium", value: { name: name } });
+  showMessage(`Medium: ${describeMedium(sim.medium)}, sound at ${sim.soundSpeed.toFixed(1)} m/s`);
+}
+
+/**
+ * @param {Object} signal - Source signal (see signals.js)
+ * @returns {String} - Short name of the signal for graph titles, e.g.
+ *   "Square, linear chirp"
+ */
+function signalTitle(signal) {
+  let title = WAVEFORMS[signal.waveform].name;
+  if (signal.sweep.type !== "steady") {
+    title += `, ${SWEEPS[signal.sweep.type].name.toLowerCase()}`;
+  }
+  return title;
+}
+
+/**
+ * Gives the selected source the next waveform or the next sweep
+ * @param {String} part - "waveform" or "sweep"
+ */
+function cycleSignal(part) {
+  let source = selectedSource();
+  let names = Object.keys(part === "waveform" ? WAVEFORMS : SWEEPS);
+  let current = part === "waveform" ? source.signal.waveform : source.signal.sweep.type;
+  let name = names[(names.indexOf(current) + 1) % names.length];
+  setSignal(source, part === "waveform" ? { waveform: name } : { sweep: { type: name } });
+}
+
+/**
+ * @param {Object} source - Source
+ * @param {Object} signal - Any of { waveform, harmonics, sweep }
+ */
+function setSignal(source, signal) {
+  executeCommand({ type: "setSignal", body: bodyRef(sim, source), value: signal });
+  showMessage(`${bodyLabel(source)} signal: ${describeSignal(source.signal)}`);
+}
+
+/**
+ * Switches to the next geometric spreading in CONSTANTS.ATTENUATION.SPREADINGS
+ */
+function cycleSpreading() {
+  let names = CONSTANTS.ATTENUATION.SPREADINGS;
+  let name = names[(names.indexOf(sim.spreading) + 1) % names.length];
+  executeCommand({ type: "setParameter", name: "spreading", value: name });
+  showMessage(`Amplitude: ${spreadingName()}`);
+}
+
+function resetSimulation() {
+  // Reset positions, velocities, waves and time
+  loadScenario(DEFAULT_SCENARIO);
+
+  // Reset other states
+  isPaused = false;
+}
+
+/**
+ * Resets the simulation and applies one of the PRESET_SCENARIOS
+ * @param {Number} index - Index into PRESET_SCENARIOS
+ */
+function loadPresetScenario(index) {
+  loadScenario(PRESET_SCENARIOS[index]);
+  isPaused = false;
+}
+
+/**
+ * Resets the simulation to a preset or a scenario file, including the time
+ * scale and display options a file carries
+ * @param {Object} scenario - Scenario (see scenarios.js)
+ */
+function loadScenario(scenario) {
+  // A new scenario ends any recording (keeping it) or replay
+  if (recorder) stopRecording();
+  player = null;
+  liveState = null;
+
+  applyScenario(sim, scenario, viewArea());
+  if (scenario.timeScale !== undefined) timeScale = scenario.timeScale;
+  if (scenario.display) {
+    if (scenario.display.showHelp !== undefined) showHelp = scenario.display.showHelp;
+    if (scenario.display.vectorScale !== undefined) vectorScale = scenario.display.vectorScale;
+    if (scenario.display.camera) camera.restore(scenario.display.camera);
+  }
+  graphData.clear();
+  pointerDrags.clear();
+  frameAnchor = null;
+  keyboardMoving = false;
+  selectedSourceIndex = 0;
+  selectedObserverIndex = 0;
+  selectedReflectorIndex = 0;
+  if (selectedObject === "reflector" && sim.reflectors.length === 0) {
+    selectedObject = "source";
+  }
+}
+
+/**
+ * @returns {Object} - The current state as a scenario file
+ */
+function currentScenario() {
+  return captureScenario(sim, {
+    timeScale: timeScale,
+    display: { showHelp: showHelp, vectorScale: vectorScale, camera: camera.toJSON() },
+  });
+}
+
+/**
+ * Downloads the current state as a scenario file
+ */
+function saveScenarioFile() {
+  saveJSON(currentScenario(), CONSTANTS.SHARE.FILE_NAME);
+}
+
+/**
+ * Downloads the data log
+ * @param {String} format - 'csv' or 'json'
+ */
+function exportLog(format) {
+  if (dataLogger.rows.length === 0) {
+    showMessage("The log is empty (K: start logging)");
+    return;
+  }
+  if (format === "json") {
+    saveJSON(dataLogger.toJSON(), CONSTANTS.LOG.FILE_NAME + ".json");
+  } else {
+    saveStrings(dataLogger.toCSV().split("\n"), CONSTANTS.LOG.FILE_NAME, "csv");
+  }
+}
+
+/**
+ * Asks for a scenario file and loads it
+ */
+function openScenarioFile() {
+  let input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.addEventListener("change", () => {
+    let file = input.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        loadScenario(parseScenario(text));
+        isPaused = false;
+        showMessage(`Loaded ${file.name}`);
+      } catch (error) {
+        showMessage(`Could not load ${file.name}: ${error.message}`);
+      }
+    });
+  });
+  input.click();
+}
+
+/**
+ * Puts the current state in the page link and copies the link
+ */
+function shareScenarioLink() {
+  let hash = CONSTANTS.SHARE.HASH_PREFIX + encodeScenario(currentScenario());
+  history.replaceState(null, "", hash);
+
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(window.location.href).then(
+      () => showMessage("Link to this scenario copied to the clipboard"),
+      () => showMessage("Link to this scenario is in the address bar")
+    );
+  } else {
+    showMessage("Link to this scenario is in the address bar");
   }
+}
 
-  // Select source with 'S' key
-  if (keyCode === CONSTANTS.KEYBOARD.SOURCE_SELECT) {
-    selectedObject = "source";
-    return false;
+/**
+ * @returns {Object} - Scenario encoded in the page link, or null
+ */
+function scenarioFromHash() {
+  let hash = window.location.hash;
+  if (!hash.startsWith(CONSTANTS.SHARE.HASH_PREFIX)) return null;
+
+  try {
+    return decodeScenario(hash.slice(CONSTANTS.SHARE.HASH_PREFIX.length));
+  } catch (error) {
+    showMessage(`Could not load the scenario in the link: ${error.message}`);
+    return null;
   }
+}
 
-  // Select observer with 'O' key
-  if (keyCode === CONSTANTS.KEYBOARD.OBSERVER_SELECT) {
-    selectedObject = "observer";
-    return false;
+/**
+ * @returns {Storage} - The browser's localStorage, or null where it is not
+ *   allowed (some browsers refuse it to pages opened from files)
+ */
+function browserStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
   }
+}
 
-  // Toggle help display with 'H' key
-  if (keyCode === CONSTANTS.KEYBOARD.HELP_TOGGLE) {
-    showHelp = !showHelp;
-    return false;
+/**
+ * Starts a lesson at the step the student left it at
+ * @param {Object} data - Lesson (see lessons.js)
+ */
+function startLesson(data) {
+  if (player) exitReplay();
+  lesson = { lesson: data, index: 0, phase: "reading", answer: null, grade: null };
+  let index = min(lessonProgress.currentStep(data.id), data.steps.length - 1);
+  startLessonStep(index);
+  showMessage(`Lesson: ${data.title || data.id} (Q: next step, Y: leave)`);
+}
+
+/**
+ * Leaves the lesson, unlocking every control
+ */
+function exitLesson() {
+  lesson = null;
+  isPaused = false;
+  renderLessonPanel();
+  showMessage("Left the lesson");
+}
+
+/**
+ * Shows a lesson step: loads its scenario and, when it asks a question,
+ * pauses until the student answers
+ * @param {Number} index - Step index (kept within the lesson)
+ */
+function startLessonStep(index) {
+  let steps = lesson.lesson.steps;
+  lesson.index = constrain(index, 0, steps.length - 1);
+  lessonProgress.setStep(lesson.lesson.id, lesson.index);
+
+  let step = steps[lesson.index];
+  let scenario = stepScenario(step);
+  if (scenario) loadScenario(scenario);
+  lesson.phase = step.question ? "question" : "reading";
+  lesson.answer = null;
+  lesson.grade = null;
+  isPaused = Boolean(step.question);
+  renderLessonPanel();
+}
+
+/**
+ * Moves on to the next step, or sums up the lesson after the last one
+ */
+function nextLessonStep() {
+  if (lesson.index < lesson.lesson.steps.length - 1) {
+    startLessonStep(lesson.index + 1);
+    return;
   }
+  let score = lessonProgress.score(lesson.lesson);
+  showMessage(`Lesson complete: ${score.correct} of ${score.questions} questions right`);
+}
 
-  // Preset scenarios
-  if (keyCode === CONSTANTS.KEYBOARD.NUMBER_1) {
-    // Scenario 1: Source moving toward observer
-    setupScenario1();
-    return false;
+/**
+ * @returns {Object} - Step of the lesson being taken
+ */
+function currentLessonStep() {
+  return lesson.lesson.steps[lesson.index];
+}
+
+/**
+ * @returns {Boolean} - Whether a question waits for an answer or for the
+ *   simulation to reach the time it is graded at
+ */
+function lessonQuestionOpen() {
+  return lesson !== null && (lesson.phase === "question" || lesson.phase === "running");
+}
+
+/**
+ * @param {Object} command - Command (see session.js)
+ * @returns {Boolean} - Whether the lesson step locks the command; while an
+ *   answer is being checked every command is locked, releasing a drag aside
+ */
+function lessonLocksCommand(command) {
+  if (!lesson || command.type === "release") return false;
+  return lesson.phase === "running" || isLocked(command, currentLessonStep().lock || []);
+}
+
+/**
+ * Checks whether the lesson step keeps its scenario, saying so if it does
+ * @returns {Boolean} - Whether presets, scenario files and links are locked
+ */
+function lessonLocksScenario() {
+  let locks = lesson ? currentLessonStep().lock || [] : [];
+  let locked = lessonQuestionOpen() || locks.includes("scenario");
+  if (locked) showLockedMessage();
+  return locked;
+}
+
+/**
+ * Says a control is locked, once while the notice is shown (drags ask at
+ * every step)
+ */
+function showLockedMessage() {
+  let text =
+    lesson.phase === "running"
+      ? "Locked until the answer is checked (Y: leave the lesson)"
+      : "Locked in this lesson step (Y: leave the lesson)";
+  let shown =
+    statusMessage &&
+    statusMessage.text === text &&
+    millis() / 1000 - statusMessage.time < CONSTANTS.TEXT.MESSAGE_DURATION;
+  if (!shown) showMessage(text);
+}
+
+/**
+ * Takes the student's answer and runs the simulation to the time it is
+ * graded at
+ * @param {Number|String} answer - Frequency (Hz), or a shift from SHIFT_ANSWERS
+ */
+function submitLessonAnswer(answer) {
+  if (!lesson || lesson.phase !== "question") return;
+  if (typeof answer === "number" && !(answer > 0)) {
+    showMessage("Enter the frequency in Hz");
+    return;
   }
+  lesson.answer = answer;
+  lesson.phase = "running";
+  isPaused = false;
+  renderLessonPanel();
+}
 
-  if (keyCode === CONSTANTS.KEYBOARD.NUMBER_2) {
-    // Scenario 2: Observer moving toward source
-    setupScenario2();
-    return false;
+/**
+ * Grades the answer once the simulation reaches the question's time, saves
+ * the result and pauses to show it
+ */
+function checkLessonQuestion() {
+  if (!lesson || lesson.phase !== "running") return;
+  let step = currentLessonStep();
+  let question = stepQuestion(step);
+  if (sim.time < question.at) return;
+
+  lesson.grade = gradeAnswer(question, lesson.answer, sim);
+  lesson.phase = "graded";
+  lessonProgress.record(lesson.lesson.id, lesson.index, step, lesson.grade);
+  isPaused = true;
+  renderLessonPanel();
+  showMessage(lessonResultText(question, lesson.grade));
+}
+
+/**
+ * @param {Object} question - Question from stepQuestion()
+ * @param {Object} grade - Graded answer { answer, expected, correct }
+ * @returns {String} - e.g. "Right: O1 heard S1 at 4.53 Hz, you answered 4.50 Hz"
+ */
+function lessonResultText(question, grade) {
+  let verdict = grade.correct ? "Right" : "Not quite";
+  let pair = `O${question.observer} heard S${question.source}`;
+  if (question.type === "shift") {
+    return `${verdict}: ${pair} ${describeShift(grade.expected)}, you answered ${grade.answer}`;
   }
+  let heard = grade.expected === null ? "nothing yet" : `at ${grade.expected.toFixed(2)} Hz`;
+  return `${verdict}: ${pair} ${heard}, you answered ${grade.answer.toFixed(2)} Hz`;
+}
 
-  if (keyCode === CONSTANTS.KEYBOARD.NUMBER_3) {
-    // Scenario 3: Source and observer moving away
-    setupScenario3();
-    return false;
+/**
+ * Asks for a lesson file and starts it
+ */
+function openLessonFile() {
+  let input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.addEventListener("change", () => {
+    let file = input.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        startLesson(parseLesson(text));
+      } catch (error) {
+        showMessage(`Could not open ${file.name}: ${error.message}`);
+      }
+    });
+  });
+  input.click();
+}
+
+/**
+ * Downloads the answers of every lesson
+ * @param {String} format - 'csv' or 'json'
+ */
+function exportLessonResults(format) {
+  if (lessonProgress.rows().length === 0) {
+    showMessage("No lesson answers yet (Y: start a lesson)");
+    return;
+  }
+  if (format === "json") {
+    saveJSON(lessonProgress.toJSON(), CONSTANTS.LESSON.FILE_NAME + ".json");
+  } else {
+    saveStrings(lessonProgress.toCSV().split("\n"), CONSTANTS.LESSON.FILE_NAME, "csv");
   }
+}
 
-  if (keyCode === CONSTANTS.KEYBOARD.NUMBER_4) {
-    // Scenario 4: Source and observer moving perpendicular
-    setupScenario4();
-    return false;
+/**
+ * Writes the lesson panel: the lessons to choose from or, during a lesson,
+ * the step's text, its question and the graded answer
+ */
+function renderLessonPanel() {
+  let container = document.getElementById("lesson-content");
+  let paragraph = (text, className) => {
+    let element = document.createElement("p");
+    element.textContent = text;
+    if (className) element.className = className;
+    return element;
+  };
+  container.replaceChildren();
+
+  if (!lesson) {
+    container.appendChild(paragraph("Step-by-step lessons that ask you to predict the shift."));
+    createActionGroup(container, "Built-in lessons", [
+      ...BUILT_IN_LESSONS.map((data) => {
+        let score = lessonProgress.score(data);
+        return {
+          label: `${data.title} (${score.correct} of ${score.questions} right)`,
+          run: () => startLesson(data),
+        };
+      }),
+      { label: "Open lesson file", run: openLessonFile },
+    ]);
+    return;
   }
 
-  return true;
+  let steps = lesson.lesson.steps;
+  let step = currentLessonStep();
+  let heading = document.createElement("h3");
+  let title = lesson.lesson.title || lesson.lesson.id;
+  heading.textContent = `${title}, step ${lesson.index + 1} of ${steps.length}`;
+  container.appendChild(heading);
+  if (step.title) container.appendChild(paragraph(step.title, "lesson-title"));
+  if (step.text) container.appendChild(paragraph(step.text));
+
+  let question = stepQuestion(step);
+  if (question) {
+    container.appendChild(paragraph(questionPrompt(question), "lesson-question"));
+    if (lesson.phase === "question") {
+      renderLessonAnswer(container, question);
+    } else if (lesson.phase === "running") {
+      container.appendChild(paragraph(`Running to t = ${question.at} s...`));
+    } else {
+      let verdict = lesson.grade.correct ? "right" : "wrong";
+      container.appendChild(
+        paragraph(lessonResultText(question, lesson.grade), `lesson-result ${verdict}`)
+      );
+    }
+    let previous = lessonProgress.answer(lesson.lesson.id, lesson.index);
+    if (previous && lesson.phase === "question") {
+      container.appendChild(
+        paragraph(
+          `Last time: ${previous.correct ? "right" : "not quite"} after ${previous.attempts} ` +
+            `attempt${previous.attempts === 1 ? "" : "s"}`
+        )
+      );
+    }
+  }
+
+  let keys = CONSTANTS.KEYBOARD;
+  createActionGroup(container, "Step", [
+    { label: "Previous", shortcut: "Shift+Q", run: () => runKeyAction(keys.LESSON_STEP, true) },
+    { label: "Next", shortcut: "Q", run: () => runKeyAction(keys.LESSON_STEP, false) },
+    {
+      label: question ? "Try again" : "Restart step",
+      shortcut: "R",
+      run: () => runKeyAction(keys.RESET_KEY, false),
+    },
+    {
+      label: "Start over",
+      run: () => {
+        lessonProgress.clear(lesson.lesson.id);
+        startLessonStep(0);
+      },
+    },
+    { label: "Leave lesson", shortcut: "Y", run: () => runKeyAction(keys.LESSON_TOGGLE, false) },
+    { label: "Download answers", shortcut: "B", run: () => runKeyAction(keys.LESSON_EXPORT, false) },
+  ]);
 }
 
-function resetSimulation() {
-  // Reset positions in meters
-  sourcePos = createVector(
-    (width / 4) * CONSTANTS.PHYSICS.PIXELS_TO_METERS,
-    (height / 2) * CONSTANTS.PHYSICS.PIXELS_TO_METERS
-  );
-  observerPos = createVector(
-    ((3 * width) / 4) * CONSTANTS.PHYSICS.PIXELS_TO_METERS,
-    (height / 2) * CONSTANTS.PHYSICS.PIXELS_TO_METERS
-  );
+/**
+ * Adds the answer fields of a question: a frequency field, or a button per
+ * direction of the shift
+ * @param {HTMLElement} container - Lesson panel
+ * @param {Object} question - Question from stepQuestion()
+ */
+function renderLessonAnswer(container, question) {
+  if (question.type === "shift") {
+    createActionGroup(
+      container,
+      "Your answer",
+      SHIFT_ANSWERS.map((answer) => ({
+        label: answer[0].toUpperCase() + answer.slice(1),
+        run: () => submitLessonAnswer(answer),
+      }))
+    );
+    return;
+  }
 
-  // Reset velocities (m/s)
-  sourceVel = createVector(0, 0);
-  observerVel = createVector(0, 0);
+  let row = document.createElement("div");
+  row.className = "lesson-answer";
+  let label = document.createElement("label");
+  label.textContent = "Frequency (Hz)";
+  let field = document.createElement("input");
+  field.type = "number";
+  field.min = "0";
+  field.step = "any";
+  field.id = "lesson-frequency";
+  label.htmlFor = field.id;
+  let button = document.createElement("button");
+  button.type = "button";
+  button.textContent = "Check";
+  let submit = () => submitLessonAnswer(Number(field.value));
+  button.addEventListener("click", submit);
+  field.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") submit();
+  });
+  row.append(label, field, button);
+  container.appendChild(row);
+}
 
-  // Reset movement flags
-  sourceMoving = false;
-  observerMoving = false;
+function selectedSource() {
+  return sim.sources[selectedSourceIndex];
+}
 
-  // Reset waves
-  waves = [];
+function selectedObserver() {
+  return sim.observers[selectedObserverIndex];
+}
 
-  // Reset frequencies
-  smoothedObservedFreq = CONSTANTS.PHYSICS.EMITTED_FREQ;
+function selectedReflector() {
+  return sim.reflectors[selectedReflectorIndex];
+}
 
-  // Reset simulation time
-  simulationTime = 0;
-  lastWaveTime = 0;
+/**
+ * @returns {Object} - The source, observer or reflector controlled by the keyboard
+ */
+function selectedBody() {
+  if (selectedObject === "reflector") return selectedReflector();
+  return selectedObject === "source" ? selectedSource() : selectedObserver();
+}
 
-  // Reset other states
-  isPaused = false;
+/**
+ * Changes which object the keyboard controls. Selecting the kind that is
+ * already selected moves on to the next object of that kind.
+ * @param {String} kind - 'source', 'observer' or 'reflector'
+ */
+function selectObject(kind) {
+  if (kind === "reflector" && sim.reflectors.length === 0) return;
+  stopKeyboardMotion();
+
+  if (kind === selectedObject) {
+    if (kind === "source") {
+      selectedSourceIndex = (selectedSourceIndex + 1) % sim.sources.length;
+    } else if (kind === "observer") {
+      selectedObserverIndex = (selectedObserverIndex + 1) % sim.observers.length;
+    } else {
+      selectedReflectorIndex = (selectedReflectorIndex + 1) % sim.reflectors.length;
+    }
+  }
+  selectedObject = kind;
 }
 
-function setupScenario1() {
-  // Source moving toward observer (in m/s)
-  resetSimulation();
-  sourceVel = createVector(5, 0); // Move right (toward observer) at 5 m/s
-  observerVel = createVector(0, 0); // Stationary
-  sourceMoving = true;
-  observerMoving = false;
+/**
+ * Keeps the selection on existing objects after objects were removed (or
+ * a replay changed them). Without reflectors the source is selected.
+ */
+function clampSelection() {
+  selectedSourceIndex = min(selectedSourceIndex, sim.sources.length - 1);
+  selectedObserverIndex = min(selectedObserverIndex, sim.observers.length - 1);
+  selectedReflectorIndex = max(0, min(selectedReflectorIndex, sim.reflectors.length - 1));
+  if (selectedObject === "reflector" && sim.reflectors.length === 0) {
+    selectedObject = "source";
+  }
 }
 
-function setupScenario2() {
-  // Observer moving toward source (in m/s)
-  resetSimulation();
-  sourceVel = createVector(0, 0); // Stationary
-  observerVel = createVector(-5, 0); // Move left (toward source) at 5 m/s
-  sourceMoving = false;
-  observerMoving = true;
+/**
+ * Takes the arrow keys' thrust off the selected object, which then coasts
+ */
+function stopKeyboardMotion() {
+  if (keyboardMoving) {
+    executeCommand({ type: "setThrust", body: bodyRef(sim, selectedBody()), force: [0, 0] });
+    keyboardMoving = false;
+  }
 }
 
-function setupScenario3() {
-  // Source and observer moving away (in m/s)
-  resetSimulation();
-  sourceVel = createVector(-5, 0); // Move left at 5 m/s
-  observerVel = createVector(5, 0); // Move right at 5 m/s
-  sourceMoving = true;
-  observerMoving = true;
+/**
+ * Adds a source, observer or reflector under the mouse (or at the center of
+ * the view when the mouse is outside the canvas) and selects it
+ * @param {String} kind - 'source', 'observer' or 'reflector'
+ */
+function addBody(kind) {
+  stopKeyboardMotion();
+
+  let inside = mouseX >= 0 && mouseX < width && mouseY >= 0 && mouseY < height;
+  let pos = camera.toWorld(inside ? { x: mouseX, y: mouseY } : { x: width / 2, y: height / 2 });
+  executeCommand({ type: "addBody", kind: kind, pos: [pos.x, pos.y] });
+
+  if (kind === "source") {
+    selectedSourceIndex = sim.sources.length - 1;
+  } else if (kind === "observer") {
+    selectedObserverIndex = sim.observers.length - 1;
+  } else {
+    selectedReflectorIndex = sim.reflectors.length - 1;
+  }
+  selectedObject = kind;
 }
 
-function setupScenario4() {
-  // Source and observer moving perpendicular (in m/s)
-  resetSimulation();
-  sourceVel = createVector(0, 3); // Move down at 3 m/s
-  observerVel = createVector(0, -3); // Move up at 3 m/s
-  sourceMoving = true;
-  observerMoving = true;
+/**
+ * Removes the selected object, keeping at least one source and one observer.
+ * Removing the last reflector selects the source again.
+ */
+function removeSelectedBody() {
+  let body = selectedBody();
+  let kinds = { source: sim.sources, observer: sim.observers, reflector: sim.reflectors };
+  let minimum = selectedObject === "reflector" ? 0 : 1;
+  if (kinds[selectedObject].length <= minimum) return;
+
+  keyboardMoving = false;
+  executeCommand({ type: "removeBody", body: bodyRef(sim, body) });
+  clampSelection();
+
+  graphData.delete(body);
 }
 
 function handleKeyboardNavigation(dt) {
-  // Only process navigation if not paused
-  if (isPaused) return;
-
-  let targetPos, targetVel;
+  // Only process navigation if not paused, and leave the keys to a control
+  // panel field that is being edited
+  if (isPaused || focusWantsKey()) return;
 
   // Determine which object to control
-  if (selectedObject === "source") {
-    targetPos = sourcePos;
-    targetVel = sourceVel;
-  } else {
-    targetPos = observerPos;
-    targetVel = observerVel;
-  }
+  let body = selectedBody();
 
-  // Move the selected object with arrow keys (in m/s)
+  // Push the selected object with the arrow keys
+  let direction = new Vector2(0, 0);
   if (keyIsDown(LEFT_ARROW)) {
-    targetPos.x -= CONSTANTS.KEYBOARD.MOVE_STEP * dt;
-    targetVel.x = -CONSTANTS.KEYBOARD.MOVE_STEP; // Set velocity for visual feedback
-    if (selectedObject === "source") {
-      sourceMoving = true;
-    } else {
-      observerMoving = true;
-    }
+    direction.x = -1;
   } else if (keyIsDown(RIGHT_ARROW)) {
-    targetPos.x += CONSTANTS.KEYBOARD.MOVE_STEP * dt;
-    targetVel.x = CONSTANTS.KEYBOARD.MOVE_STEP;
-    if (selectedObject === "source") {
-      sourceMoving = true;
-    } else {
-      observerMoving = true;
-    }
-  } else {
-    targetVel.x = 0;
+    direction.x = 1;
   }
-
   if (keyIsDown(UP_ARROW)) {
-    targetPos.y -= CONSTANTS.KEYBOARD.MOVE_STEP * dt;
-    targetVel.y = -CONSTANTS.KEYBOARD.MOVE_STEP;
-    if (selectedObject === "source") {
-      sourceMoving = true;
-    } else {
-      observerMoving = true;
-    }
+    direction.y = -1;
   } else if (keyIsDown(DOWN_ARROW)) {
-    targetPos.y += CONSTANTS.KEYBOARD.MOVE_STEP * dt;
-    targetVel.y = CONSTANTS.KEYBOARD.MOVE_STEP;
-    if (selectedObject === "source") {
-      sourceMoving = true;
-    } else {
-      observerMoving = true;
+    direction.y = 1;
+  }
+
+  if (direction.x !== 0 || direction.y !== 0) {
+    let force = direction.normalize().mult(CONSTANTS.KEYBOARD.THRUST);
+    if (force.x !== body.thrust.x || force.y !== body.thrust.y) {
+      executeCommand({
+        type: "setThrust",
+        body: bodyRef(sim, body),
+        force: [force.x, force.y],
+      });
     }
-  } else {
-    targetVel.y = 0;
+    keyboardMoving = true;
+  } else if (keyboardMoving) {
+    // Coast once the arrow keys are released
+    stopKeyboardMotion();
   }
 
-  // Adjust emitted frequency with '+' and '-' keys (in Hz)
+  // Adjust the selected source's frequency with '+' and '-' keys (in Hz)
+  let source = selectedSource();
+  let frequency = source.frequency;
   if (keyIsDown(187)) {
     // '+' key
-    CONSTANTS.PHYSICS.EMITTED_FREQ += CONSTANTS.KEYBOARD.EMITTED_FREQ_STEP;
+    frequency += CONSTANTS.KEYBOARD.EMITTED_FREQ_STEP;
   } else if (keyIsDown(189)) {
     // '-' key
-    CONSTANTS.PHYSICS.EMITTED_FREQ = max(
+    frequency = max(
       CONSTANTS.KEYBOARD.EMITTED_FREQ_STEP,
-      CONSTANTS.PHYSICS.EMITTED_FREQ - CONSTANTS.KEYBOARD.EMITTED_FREQ_STEP
+      frequency - CONSTANTS.KEYBOARD.EMITTED_FREQ_STEP
     );
   }
+  if (frequency !== source.frequency) {
+    executeCommand({
+      type: "setFrequency",
+      body: bodyRef(sim, source),
+      value: frequency,
+    });
+  }
 
-  // Adjust sound speed with '.' and ',' keys (in m/s)
+  // Adjust the wave speed (sound or light) with '.' and ',' keys (in m/s)
+  let speedName = waveSpeedName();
+  let speed = sim[speedName];
   if (keyIsDown(190)) {
     // '.' key
-    CONSTANTS.PHYSICS.SOUND_SPEED += CONSTANTS.KEYBOARD.SOUND_SPEED_STEP;
+    speed += CONSTANTS.KEYBOARD.SOUND_SPEED_STEP;
   } else if (keyIsDown(188)) {
     // ',' key
-    CONSTANTS.PHYSICS.SOUND_SPEED = max(
+    speed = max(
       CONSTANTS.KEYBOARD.SOUND_SPEED_STEP,
-      CONSTANTS.PHYSICS.SOUND_SPEED - CONSTANTS.KEYBOARD.SOUND_SPEED_STEP
+      speed - CONSTANTS.KEYBOARD.SOUND_SPEED_STEP
+    );
+  }
+  if (speed !== sim[speedName]) {
+    executeCommand({ type: "setParameter", name: speedName, value: speed });
+  }
+}
+
+/**
+ * @returns {String} - Simulation property holding the current wave speed
+ */
+function waveSpeedName() {
+  return sim.waveModel.name === "light" ? "lightSpeed" : "soundSpeed";
+}
+
+/**
+ * @param {String} property - "temperatures" or "humid" (see media.js)
+ * @returns {Boolean} - Whether the speed of sound in the current medium
+ *   depends on that condition
+ */
+function mediumDepends(property) {
+  return Boolean(MEDIA[sim.medium.name][property]);
+}
+
+/**
+ * @returns {Object} - Panel labels { ratio, duration } for the sweep of the
+ *   selected source
+ */
+function sweepLabels() {
+  let type = selectedSource().signal.sweep.type;
+  if (type === "siren") return { ratio: "Siren Ratio (high/low)", duration: "Tone Length" };
+  if (type === "steady") return { ratio: "Sweep Ratio", duration: "Sweep Length" };
+  return { ratio: "Chirp Ratio (end/start)", duration: "Chirp Length" };
+}
+
+/**
+ * @param {String} key - "ratio" or "duration"
+ * @returns {Number} - Setting of the selected source's sweep (1 and 0 for a
+ *   steady signal)
+ */
+function sweepSetting(key) {
+  let sweep = selectedSource().signal.sweep;
+  if (sweep[key] !== undefined) return sweep[key];
+  return key === "ratio" ? 1 : 0;
+}
+
+/**
+ * @param {String} key - "ratio" or "duration"
+ * @param {Number} value - New setting of the selected source's sweep
+ */
+function setSweepSetting(key, value) {
+  let source = selectedSource();
+  let sweep = Object.assign({}, source.signal.sweep, { [key]: value });
+  executeCommand({ type: "setSignal", body: bodyRef(sim, source), value: { sweep: sweep } });
+}
+
+/**
+ * Controls of the HTML panel. Changes to the simulation go through
+ * executeCommand(), like the keyboard, so they are recorded in sessions;
+ * during a replay only the display settings can be changed.
+ * @returns {Object[]} - Control specs (see controls.js)
+ */
+function controlSpecs() {
+  let live = () => !player;
+  let range = (name) => ({
+    min: CONSTANTS.CONTROLS[name].MIN,
+    max: CONSTANTS.CONTROLS[name].MAX,
+    step: CONSTANTS.CONTROLS[name].STEP,
+  });
+  let velocityControl = (body) => ({
+    label: () => `${bodyLabel(body())} Velocity`,
+    unit: "m/s",
+    step: CONSTANTS.CONTROLS.VELOCITY_STEP,
+    components: ["vx", "vy"],
+    get: () => [body().vel.x, body().vel.y],
+    set: (vel) =>
+      executeCommand({
+        type: "setMotion",
+        body: bodyRef(sim, body()),
+        vel: vel,
+        moving: vel[0] !== 0 || vel[1] !== 0,
+      }),
+    enabled: live,
+  });
+
+  return [
+    {
+      label: () => `${bodyLabel(selectedSource())} Emitted Frequency`,
+      unit: "Hz",
+      ...range("FREQUENCY"),
+      get: () => selectedSource().frequency,
+      set: (value) =>
+        executeCommand({
+          type: "setFrequency",
+          body: bodyRef(sim, selectedSource()),
+          value: value,
+        }),
+      enabled: live,
+    },
+    {
+      label: () => `${bodyLabel(selectedSource())} ${sweepLabels().ratio}`,
+      ...range("SWEEP_RATIO"),
+      get: () => sweepSetting("ratio"),
+      set: (value) => setSweepSetting("ratio", value),
+      enabled: () => live() && selectedSource().signal.sweep.type !== "steady",
+    },
+    {
+      label: () => `${bodyLabel(selectedSource())} ${sweepLabels().duration}`,
+      unit: "s",
+      ...range("SWEEP_DURATION"),
+      get: () => sweepSetting("duration"),
+      set: (value) => setSweepSetting("duration", value),
+      enabled: () => live() && selectedSource().signal.sweep.type !== "steady",
+    },
+    {
+      label: () =>
+        sim.waveModel.name === "light" ? "Speed of Light (scaled)" : "Speed of Sound",
+      unit: "m/s",
+      ...range("WAVE_SPEED"),
+      get: () => sim[waveSpeedName()],
+      set: (value) =>
+        executeCommand({ type: "setParameter", name: waveSpeedName(), value: value }),
+      enabled: live,
+    },
+    {
+      label: () => `${MEDIA[sim.medium.name].name} Temperature`,
+      unit: "°C",
+      ...range("TEMPERATURE"),
+      get: () => sim.medium.temperature,
+      set: (value) => executeCommand({ type: "setMedium", value: { temperature: value } }),
+      enabled: () => live() && sim.waveModel.name === "sound" && mediumDepends("temperatures"),
+    },
+    {
+      label: "Relative Humidity",
+      unit: "%",
+      ...range("HUMIDITY"),
+      get: () => sim.medium.humidity * 100,
+      set: (value) => executeCommand({ type: "setMedium", value: { humidity: value / 100 } }),
+      enabled: () => live() && sim.waveModel.name === "sound" && mediumDepends("humid"),
+    },
+    {
+      label: "Absorption",
+      unit: "dB/km",
+      ...range("ABSORPTION"),
+      get: () => sim.absorption,
+      set: (value) => executeCommand({ type: "setParameter", name: "absorption", value: value }),
+      enabled: live,
+    },
+    {
+      label: "Source Level (at 1 m)",
+      unit: "dB",
+      ...range("SOURCE_LEVEL"),
+      get: () => sim.sourceLevel,
+      set: (value) => executeCommand({ type: "setParameter", name: "sourceLevel", value: value }),
+      enabled: live,
+    },
+    {
+      label: "Time Scale (simulation s per real s)",
+      ...range("TIME_SCALE"),
+      get: () => timeScale,
+      set: (value) => (timeScale = value),
+    },
+    {
+      label: "Wave Lifetime",
+      unit: "s",
+      ...range("WAVE_LIFETIME"),
+      get: () => sim.maxWaveAge,
+      set: (value) =>
+        executeCommand({ type: "setParameter", name: "maxWaveAge", value: value }),
+      enabled: live,
+    },
+    {
+      label: "Map Scale",
+      unit: "m per px",
+      min: CONSTANTS.CAMERA.MIN_SCALE,
+      max: CONSTANTS.CAMERA.MAX_SCALE,
+      step: CONSTANTS.CAMERA.SCALE_STEP,
+      get: () => camera.scale,
+      set: (value) => camera.setScale(value, { x: width / 2, y: height / 2 }),
+    },
+    {
+      label: "Velocity Vector Scale",
+      unit: "px per m/s",
+      ...range("VECTOR_SCALE"),
+      get: () => vectorScale,
+      set: (value) => (vectorScale = value),
+    },
+    velocityControl(selectedSource),
+    velocityControl(selectedObserver),
+    {
+      label: () => `${bodyLabel(selectedBody())} Mass`,
+      unit: "kg",
+      ...range("MASS"),
+      get: () => selectedBody().mass,
+      set: (value) =>
+        executeCommand({ type: "setMass", body: bodyRef(sim, selectedBody()), value: value }),
+      enabled: live,
+    },
+    {
+      label: "Max Speed (keyboard and pointer)",
+      unit: "m/s",
+      ...range("MAX_SPEED"),
+      get: () => sim.maxSpeed,
+      set: (value) =>
+        executeCommand({ type: "setParameter", name: "maxSpeed", value: value }),
+      enabled: live,
+    },
+    {
+      label: "Drag",
+      unit: "kg/s",
+      ...range("DRAG"),
+      get: () => sim.dragCoefficient,
+      set: (value) =>
+        executeCommand({ type: "setParameter", name: "dragCoefficient", value: value }),
+      enabled: live,
+    },
+  ];
+}
+
+/**
+ * Ends every pointer drag, releasing the dragged objects
+ */
+function releasePointerDrags() {
+  if (pointerDrags.size > 0) {
+    executeCommand({ type: "release" });
+    pointerDrags.clear();
+  }
+}
+
+/**
+ * Starts recording a session from the current state
+ */
+function startRecording() {
+  recorder = new SessionRecorder(sim, { stepSize: sim.stepSize });
+  showMessage("Recording (C: stop)");
+}
+
+/**
+ * Stops recording and keeps the session for replay
+ */
+function stopRecording() {
+  lastSession = recorder.finish();
+  recorder = null;
+  showMessage(
+    `Recorded ${(lastSession.frames * lastSession.stepSize).toFixed(2)} s (P: replay)`
+  );
+}
+
+/**
+ * Replays the last recorded session from its start, keeping the live state
+ * to return to afterwards
+ */
+function startReplay() {
+  if (recorder) stopRecording();
+  if (!lastSession) {
+    showMessage("Nothing recorded yet (C: record)");
+    return;
+  }
+
+  stopKeyboardMotion();
+  releasePointerDrags();
+  liveState = sim.snapshot();
+  player = new SessionPlayer(sim, lastSession);
+  isPaused = false;
+  graphData.clear();
+  clampSelection();
+}
+
+/**
+ * Leaves the replay and returns to the live simulation
+ */
+function exitReplay() {
+  player = null;
+  sim.restore(liveState);
+  liveState = null;
+  graphData.clear();
+  clampSelection();
+}
+
+/**
+ * Handles a key press during a replay
+ * @param {Number} code - Key code
+ * @returns {Boolean} - True when the key was handled or is not allowed
+ */
+function handleReplayKey(code) {
+  // Step one frame back or forward with the left and right arrows
+  if (code === LEFT_ARROW || code === RIGHT_ARROW) {
+    isPaused = true;
+    player.seek(player.frame + (code === LEFT_ARROW ? -1 : 1));
+    graphData.clear();
+    return true;
+  }
+
+  // Change the playback speed with the up and down arrows
+  if (code === UP_ARROW || code === DOWN_ARROW) {
+    let speeds = CONSTANTS.REPLAY.SPEEDS;
+    let index = speeds.indexOf(player.speed) + (code === UP_ARROW ? 1 : -1);
+    player.speed = speeds[constrain(index, 0, speeds.length - 1)];
+    return true;
+  }
+
+  // Pause, help, audio and view keys work as usual
+  let allowed = [
+    CONSTANTS.KEYBOARD.TOGGLE_PAUSE,
+    CONSTANTS.KEYBOARD.HELP_TOGGLE,
+    CONSTANTS.KEYBOARD.AUDIO_TOGGLE,
+    CONSTANTS.KEYBOARD.EMITTED_AUDIO,
+    CONSTANTS.KEYBOARD.OBSERVED_AUDIO,
+    CONSTANTS.KEYBOARD.PITCH_DOWN,
+    CONSTANTS.KEYBOARD.PITCH_UP,
+    CONSTANTS.KEYBOARD.LOG_TOGGLE,
+    CONSTANTS.KEYBOARD.LOG_RATE,
+    CONSTANTS.KEYBOARD.LOG_EXPORT,
+    CONSTANTS.KEYBOARD.SPECTRUM_TOGGLE,
+    CONSTANTS.KEYBOARD.VIEW_RESET,
+    CONSTANTS.KEYBOARD.FRAME_TOGGLE,
+  ];
+  if (!allowed.includes(code)) return true;
+
+  // Restart from the beginning when play is pressed at the end
+  if (code === CONSTANTS.KEYBOARD.TOGGLE_PAUSE && player.finished) {
+    player.seek(0);
+    graphData.clear();
+  }
+  return false;
+}
+
+/**
+ * @returns {Object} - Timeline bar { x, y, w, h } in pixels
+ */
+function timelineBounds() {
+  return {
+    x: CONSTANTS.REPLAY.TIMELINE_LEFT,
+    y: height - CONSTANTS.REPLAY.TIMELINE_BOTTOM,
+    w: width - CONSTANTS.REPLAY.TIMELINE_LEFT - CONSTANTS.REPLAY.TIMELINE_RIGHT_MARGIN,
+    h: CONSTANTS.REPLAY.TIMELINE_HEIGHT,
+  };
+}
+
+/**
+ * @param {Object} point - Pointer position { x, y } (pixels)
+ * @returns {Boolean} - Whether the point is on the replay timeline
+ */
+function onTimeline(point) {
+  let bar = timelineBounds();
+  return (
+    point.x >= bar.x &&
+    point.x <= bar.x + bar.w &&
+    point.y >= bar.y - bar.h &&
+    point.y <= bar.y + 2 * bar.h
+  );
+}
+
+/**
+ * Seeks the replay to a position on the timeline
+ * @param {Number} x - Pointer x position (pixels)
+ */
+function seekTimeline(x) {
+  let bar = timelineBounds();
+  let frame = round(constrain((x - bar.x) / bar.w, 0, 1) * player.frames);
+  if (frame !== player.frame) {
+    player.seek(frame);
+    graphData.clear();
+  }
+}
+
+/**
+ * Draws the replay timeline with its playhead, or the recording indicator
+ */
+function drawSessionStatus() {
+  textSize(CONSTANTS.TEXT.FONT_SIZE_NORMAL);
+  textAlign(LEFT);
+  noStroke();
+
+  if (recorder) {
+    let elapsed = recorder.frame * recorder.stepSize;
+    fill(CONSTANTS.REPLAY.RECORD_COLOR);
+    circle(CONSTANTS.REPLAY.TIMELINE_LEFT + 6, height - CONSTANTS.REPLAY.TIMELINE_BOTTOM, 12);
+    text(
+      `REC ${elapsed.toFixed(2)} s`,
+      CONSTANTS.REPLAY.TIMELINE_LEFT + 18,
+      height - CONSTANTS.REPLAY.TIMELINE_BOTTOM + 5
     );
+    return;
   }
+  if (!player) return;
+
+  let bar = timelineBounds();
+  let total = player.frames * lastSession.stepSize;
+
+  fill(CONSTANTS.REPLAY.TIMELINE_COLOR);
+  rect(bar.x, bar.y, bar.w, bar.h);
+
+  let playheadX = bar.x + (player.frames > 0 ? (player.frame / player.frames) * bar.w : 0);
+  stroke(CONSTANTS.REPLAY.PLAYHEAD_COLOR);
+  strokeWeight(3);
+  line(playheadX, bar.y - 4, playheadX, bar.y + bar.h + 4);
+
+  noStroke();
+  fill(CONSTANTS.TEXT.TEXT_COLOR);
+  text(
+    `Replay ${player.elapsed.toFixed(3)} / ${total.toFixed(3)} s (step ${player.frame}) | x${player.speed}` +
+      " | Space: play/pause, \u2190/\u2192: step, \u2191/\u2193: speed, drag timeline: scrub, P: back to live",
+    bar.x,
+    bar.y - 8
+  );
 }
 
 function drawGraph(x, y, w, h, data, title, col) {
@@ -981,14 +3909,15 @@ function drawGraph(x, y, w, h, data, title, col) {
   stroke(CONSTANTS.GRAPH.GRID_COLOR);
   line(x, y + h / 2, x + w, y + h / 2);
 
-  // Draw the waveform
+  // Draw the waveform (data is in pixels for a full-height graph)
+  let dataScale = h / CONSTANTS.GRAPH.HEIGHT;
   stroke(col);
   strokeWeight(CONSTANTS.GRAPH.WAVE_WEIGHT);
   noFill();
   beginShape();
   for (let i = 0; i < data.length; i++) {
     let xPos = x + (i * w) / data.length;
-    let yPos = y + h / 2 - data[i];
+    let yPos = y + h / 2 - data[i] * dataScale;
     vertex(xPos, yPos);
   }
   endShape();
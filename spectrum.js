@@ -0,0 +1,212 @@
+// Spectrum analysis of the observed signal
+// The simulation produces samples at irregular times (one per frame), so
+// SignalBuffer resamples them onto a fixed rate first. magnitudeSpectrum()
+// applies a Hann window and an FFT, scaled so that a sine of amplitude A
+// shows a peak of height A, and findPeaks() picks out the separate tones
+// (several sources, harmonics) with sub-bin accuracy.
+
+(function (exports) {
+  const SPECTRUM_DEFAULTS = {
+    sampleRate: 64, // Samples per second of simulation time (Hz)
+    size: 512, // Samples per spectrum (a power of two)
+  };
+
+  /**
+   * In-place radix-2 fast Fourier transform
+   * @param {Float64Array|Number[]} re - Real parts, replaced by the result
+   * @param {Float64Array|Number[]} im - Imaginary parts, replaced by the result
+   */
+  function fft(re, im) {
+    let n = re.length;
+    if (n === 0 || (n & (n - 1)) !== 0 || im.length !== n) {
+      throw new Error(`FFT size must be a power of two, got ${n}`);
+    }
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    // Butterflies
+    for (let length = 2; length <= n; length <<= 1) {
+      let angle = (-2 * Math.PI) / length;
+      let stepRe = Math.cos(angle);
+      let stepIm = Math.sin(angle);
+      for (let start = 0; start < n; start += length) {
+        let wRe = 1;
+        let wIm = 0;
+        for (let k = 0; k < length / 2; k++) {
+          let a = start + k;
+          let b = a + length / 2;
+          let tRe = re[b] * wRe - im[b] * wIm;
+          let tIm = re[b] * wIm + im[b] * wRe;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+
+          let nextRe = wRe * stepRe - wIm * stepIm;
+          wIm = wRe * stepIm + wIm * stepRe;
+          wRe = nextRe;
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {Number} n - Window length
+   * @returns {Float64Array} - Hann window
+   */
+  function hannWindow(n) {
+    let window = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n);
+    }
+    return window;
+  }
+
+  /**
+   * Amplitude spectrum of evenly spaced samples
+   * @param {Float64Array|Number[]} samples - Samples (length a power of two)
+   * @param {Number} sampleRate - Samples per second (Hz)
+   * @returns {Object} - { frequencies, magnitudes } for the bins from 0 Hz
+   *   up to half the sample rate; a sine of amplitude A peaks at about A
+   */
+  function magnitudeSpectrum(samples, sampleRate) {
+    let n = samples.length;
+    let window = hannWindow(n);
+    let re = new Float64Array(n);
+    let im = new Float64Array(n);
+    let windowSum = 0;
+    for (let i = 0; i < n; i++) {
+      re[i] = samples[i] * window[i];
+      windowSum += window[i];
+    }
+    fft(re, im);
+
+    let bins = n / 2 + 1;
+    let frequencies = new Float64Array(bins);
+    let magnitudes = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+      frequencies[k] = (k * sampleRate) / n;
+      magnitudes[k] = (2 * Math.hypot(re[k], im[k])) / windowSum;
+    }
+    return { frequencies: frequencies, magnitudes: magnitudes };
+  }
+
+  /**
+   * Local maxima of a spectrum, refined by fitting a parabola through each
+   * peak bin and its neighbours
+   * @param {Object} spectrum - Spectrum from magnitudeSpectrum()
+   * @param {Object} [options] - { threshold: smallest peak as a fraction of
+   *   the largest (0.1), count: most peaks returned (5) }
+   * @returns {Object[]} - Peaks { frequency, magnitude }, largest first
+   */
+  function findPeaks(spectrum, options = {}) {
+    let threshold = options.threshold !== undefined ? options.threshold : 0.1;
+    let count = options.count || 5;
+    let { frequencies, magnitudes } = spectrum;
+
+    let largest = 0;
+    for (let k = 1; k < magnitudes.length; k++) {
+      largest = Math.max(largest, magnitudes[k]);
+    }
+    if (largest === 0) return [];
+
+    let peaks = [];
+    let binWidth = frequencies[1] - frequencies[0];
+    for (let k = 1; k < magnitudes.length - 1; k++) {
+      let [left, center, right] = [magnitudes[k - 1], magnitudes[k], magnitudes[k + 1]];
+      if (center < threshold * largest || center <= left || center < right) continue;
+
+      let curvature = left - 2 * center + right;
+      let offset = curvature !== 0 ? (0.5 * (left - right)) / curvature : 0;
+      peaks.push({
+        frequency: frequencies[k] + offset * binWidth,
+        magnitude: center - 0.25 * (left - right) * offset,
+      });
+    }
+
+    return peaks.sort((a, b) => b.magnitude - a.magnitude).slice(0, count);
+  }
+
+  // Keeps the latest samples of a signal at a fixed rate, interpolating
+  // between the irregular times it is sampled at
+  class SignalBuffer {
+    /**
+     * @param {Object} [options] - Overrides for SPECTRUM_DEFAULTS
+     */
+    constructor(options = {}) {
+      Object.assign(this, SPECTRUM_DEFAULTS, options);
+      this.clear();
+    }
+
+    clear() {
+      this.values = new Float64Array(this.size); // Ring buffer
+      this.count = 0; // Samples written so far
+      this.last = null; // Latest input { time, value }
+      this.nextTime = null; // Time of the next resampled value (s)
+    }
+
+    /**
+     * Adds an input sample. Times must increase; a jump back in time (reset,
+     * replay seek) starts the buffer again.
+     * @param {Number} time - Time of the sample (s)
+     * @param {Number} value - Signal value
+     */
+    push(time, value) {
+      if (this.last && time < this.last.time) this.clear();
+      if (!this.last) {
+        this.last = { time: time, value: value };
+        this.nextTime = time;
+      }
+
+      let interval = 1 / this.sampleRate;
+      while (this.nextTime <= time) {
+        let span = time - this.last.time;
+        let fraction = span > 0 ? (this.nextTime - this.last.time) / span : 1;
+        this.values[this.count % this.size] =
+          this.last.value + fraction * (value - this.last.value);
+        this.count++;
+        this.nextTime += interval;
+      }
+      this.last = { time: time, value: value };
+    }
+
+    /**
+     * @returns {Float64Array} - The latest samples, oldest first, padded with
+     *   zeros at the start until the buffer is full
+     */
+    samples() {
+      let ordered = new Float64Array(this.size);
+      let available = Math.min(this.count, this.size);
+      for (let i = 0; i < available; i++) {
+        ordered[this.size - available + i] =
+          this.values[(this.count - available + i) % this.size];
+      }
+      return ordered;
+    }
+
+    /**
+     * @returns {Object} - Spectrum of the latest samples (see magnitudeSpectrum)
+     */
+    spectrum() {
+      return magnitudeSpectrum(this.samples(), this.sampleRate);
+    }
+  }
+
+  exports.SPECTRUM_DEFAULTS = SPECTRUM_DEFAULTS;
+  exports.fft = fft;
+  exports.hannWindow = hannWindow;
+  exports.magnitudeSpectrum = magnitudeSpectrum;
+  exports.findPeaks = findPeaks;
+  exports.SignalBuffer = SignalBuffer;
+})(typeof module !== "undefined" ? module.exports : this);
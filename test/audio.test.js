@@ -0,0 +1,195 @@
+// Tests of the sonification against a stub AudioContext that records the
+// nodes it creates and every change scheduled on their parameters
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { AUDIO_DEFAULTS, mapToAudible, Sonification } = require("../audio.js");
+
+/**
+ * @param {Number} value - Initial value
+ * @returns {Object} - Stub AudioParam keeping its scheduled changes in calls
+ */
+function stubParam(value) {
+  let calls = [];
+  return {
+    value: value,
+    calls: calls,
+    setTargetAtTime: (target, startTime, timeConstant) =>
+      calls.push(["setTargetAtTime", target, startTime, timeConstant]),
+    linearRampToValueAtTime: (target, endTime) =>
+      calls.push(["linearRampToValueAtTime", target, endTime]),
+  };
+}
+
+/**
+ * @returns {Object} - Stub AudioContext; its oscillators and gains are kept
+ *   in the order they are created
+ */
+function stubContext() {
+  let context = {
+    state: "running",
+    currentTime: 0,
+    destination: {},
+    oscillators: [],
+    gains: [],
+    periodicWaves: [],
+    createOscillator() {
+      let oscillator = {
+        type: "sine",
+        frequency: stubParam(440),
+        started: false,
+        stopped: false,
+        connections: [],
+        connect: (node) => oscillator.connections.push(node),
+        disconnect: () => (oscillator.connections = []),
+        start: () => (oscillator.started = true),
+        stop: () => (oscillator.stopped = true),
+        setPeriodicWave: (wave) => (oscillator.periodicWave = wave),
+      };
+      context.oscillators.push(oscillator);
+      return oscillator;
+    },
+    createGain() {
+      let gain = {
+        gain: stubParam(1),
+        connections: [],
+        connect: (node) => gain.connections.push(node),
+        disconnect: () => (gain.connections = []),
+      };
+      context.gains.push(gain);
+      return gain;
+    },
+    createPeriodicWave(real, imag) {
+      let wave = { real: Array.from(real), imag: Array.from(imag) };
+      context.periodicWaves.push(wave);
+      return wave;
+    },
+  };
+  return context;
+}
+
+/**
+ * @param {Object} [options] - Overrides for AUDIO_DEFAULTS
+ * @returns {Object} - { sonification, context } with the audio started
+ */
+function started(options) {
+  let context = stubContext();
+  let sonification = new Sonification(() => context, options);
+  sonification.start();
+  return { sonification: sonification, context: context };
+}
+
+/**
+ * @param {Number} emitted - Emitted frequency (Hz)
+ * @param {Number} observed - Observed frequency (Hz)
+ * @returns {Object} - Signals for Sonification.update(), both active
+ */
+function signals(emitted, observed) {
+  return {
+    emitted: { frequency: emitted, active: true },
+    observed: { frequency: observed, active: true },
+  };
+}
+
+test("simulated frequencies are scaled by the pitch multiplier and clamped", () => {
+  assert.equal(mapToAudible(4, 100, 20, 5000), 400);
+  assert.equal(mapToAudible(0.1, 100, 20, 5000), 20);
+  assert.equal(mapToAudible(80, 100, 20, 5000), 5000);
+});
+
+test("starting builds one silent oscillator per channel", () => {
+  let { sonification, context } = started();
+  assert.equal(context.oscillators.length, 2);
+  assert.deepEqual(context.oscillators, [
+    sonification.channels.emitted.oscillator,
+    sonification.channels.observed.oscillator,
+  ]);
+  context.oscillators.forEach((oscillator, i) => {
+    assert.ok(oscillator.started);
+    assert.equal(oscillator.frequency.value, AUDIO_DEFAULTS.minAudibleFreq);
+    assert.deepEqual(oscillator.connections, [context.gains[i]]);
+    assert.equal(context.gains[i].gain.value, 0);
+    assert.deepEqual(context.gains[i].connections, [context.destination]);
+  });
+});
+
+test("updates ramp the frequency and gain toward the mapped targets", () => {
+  let { sonification, context } = started({ pitchMultiplier: 50 });
+  context.currentTime = 1.5;
+  sonification.update(signals(4, 4.0591));
+
+  let [emitted, observed] = context.oscillators;
+  let ramp = AUDIO_DEFAULTS.rampTime;
+  assert.deepEqual(emitted.frequency.calls, [["setTargetAtTime", 200, 1.5, ramp]]);
+  assert.equal(observed.frequency.calls.length, 1);
+  let [name, target, startTime, timeConstant] = observed.frequency.calls[0];
+  assert.deepEqual([name, startTime, timeConstant], ["setTargetAtTime", 1.5, ramp]);
+  assert.ok(Math.abs(target - 4.0591 * 50) < 1e-9);
+  for (let gain of context.gains) {
+    assert.deepEqual(gain.gain.calls, [["setTargetAtTime", AUDIO_DEFAULTS.volume, 1.5, ramp]]);
+  }
+
+  // Out of range frequencies are held at the limits
+  context.currentTime = 2;
+  sonification.update(signals(0.01, 200));
+  assert.deepEqual(emitted.frequency.calls[1], ["setTargetAtTime", 20, 2, ramp]);
+  assert.deepEqual(observed.frequency.calls[1], ["setTargetAtTime", 5000, 2, ramp]);
+});
+
+test("inactive, muted and unsoloed channels ramp to silence", () => {
+  let { sonification, context } = started();
+  let lastGain = (i) => context.gains[i].gain.calls.at(-1)[1];
+  let volume = AUDIO_DEFAULTS.volume;
+
+  sonification.update({
+    emitted: { frequency: 4, active: true },
+    observed: { frequency: 4, active: false },
+  });
+  assert.deepEqual([lastGain(0), lastGain(1)], [volume, 0]);
+
+  sonification.toggleMute("emitted");
+  sonification.update(signals(4, 4));
+  assert.deepEqual([lastGain(0), lastGain(1)], [0, volume]);
+
+  // A solo overrides the mutes
+  sonification.toggleSolo("emitted");
+  sonification.update(signals(4, 4));
+  assert.deepEqual([lastGain(0), lastGain(1)], [volume, 0]);
+});
+
+test("harmonics set a periodic wave only when they change", () => {
+  let { sonification, context } = started();
+  let square = [1, 0, 1 / 3];
+  let update = (harmonics) =>
+    sonification.update({
+      emitted: { frequency: 4, active: true, harmonics: harmonics },
+      observed: { frequency: 4, active: true, harmonics: harmonics },
+    });
+
+  update(square);
+  update(square);
+  update(undefined);
+  assert.equal(context.periodicWaves.length, 2);
+  assert.deepEqual(context.periodicWaves[0].imag, [0, 1, 0, 1 / 3].map(Math.fround));
+  assert.deepEqual(context.periodicWaves[0].real, [0, 0, 0, 0]);
+  assert.equal(context.oscillators[0].periodicWave, context.periodicWaves[0]);
+
+  update([1]);
+  assert.equal(context.periodicWaves.length, 4);
+});
+
+test("stopping disconnects the oscillators and later updates do nothing", () => {
+  let { sonification, context } = started();
+  sonification.toggle();
+  assert.equal(sonification.enabled, false);
+  for (let oscillator of context.oscillators) {
+    assert.ok(oscillator.stopped);
+    assert.deepEqual(oscillator.connections, []);
+  }
+  sonification.update(signals(4, 4));
+  assert.ok(context.oscillators.every((oscillator) => oscillator.frequency.calls.length === 0));
+
+  // Restarting reuses the context with new oscillators
+  sonification.toggle();
+  assert.equal(context.oscillators.length, 4);
+});
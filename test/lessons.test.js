@@ -0,0 +1,211 @@
+// Tests of lessons: grading answers against the simulation, checking lesson
+// files and keeping and exporting the answers
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DopplerSimulation } = require("../simulation.js");
+const { applyScenario } = require("../scenarios.js");
+const {
+  BUILT_IN_LESSONS,
+  RESULT_COLUMNS,
+  LessonProgress,
+  gradeAnswer,
+  parseLesson,
+  stepQuestion,
+} = require("../lessons.js");
+
+const [BASICS] = BUILT_IN_LESSONS;
+
+/**
+ * @param {Object} step - Lesson step with a scenario
+ * @param {Number} time - Simulation time to run to (s)
+ * @returns {DopplerSimulation} - Simulation of the step's scenario at the time
+ */
+function runStep(step, time) {
+  let sim = new DopplerSimulation();
+  applyScenario(sim, step.scenario, { width: 800, height: 800 });
+  sim.advance(time);
+  return sim;
+}
+
+/**
+ * @param {Object[]} steps - Lesson steps
+ * @returns {Object} - Lesson file with the steps
+ */
+function lessonFile(steps) {
+  return { format: "doppler-lesson", version: 1, id: "test", title: "Test", steps: steps };
+}
+
+/**
+ * @returns {Object} - Stub localStorage keeping its items in items
+ */
+function stubStorage() {
+  let storage = {
+    items: {},
+    getItem: (key) => (key in storage.items ? storage.items[key] : null),
+    setItem: (key, value) => (storage.items[key] = String(value)),
+  };
+  return storage;
+}
+
+test("questions get the default pair, time and tolerance", () => {
+  assert.equal(stepQuestion({ title: "No question" }), null);
+  assert.deepEqual(stepQuestion({ question: { type: "frequency", at: 2 } }), {
+    type: "frequency",
+    source: 1,
+    observer: 1,
+    at: 2,
+    tolerance: 0.02,
+  });
+});
+
+test("frequency answers are right within the tolerance of the reading", () => {
+  let step = BASICS.steps[1]; // Source approaching at 40 m/s
+  let question = stepQuestion(step);
+  let sim = runStep(step, question.at);
+  let c = sim.soundSpeed;
+  let heard = (4 * c) / (c - 40);
+
+  let grade = gradeAnswer(question, heard * 1.009, sim);
+  assert.ok(Math.abs(grade.expected - heard) < 1e-9);
+  assert.equal(grade.correct, true);
+  assert.equal(gradeAnswer(question, heard * 1.011, sim).correct, false);
+  assert.equal(gradeAnswer(question, heard * 0.989, sim).correct, false);
+
+  // Before the first wavefront arrives there is nothing to match
+  let early = gradeAnswer(question, 4, runStep(step, 0.5));
+  assert.deepEqual(early, { answer: 4, expected: null, correct: false });
+
+  // A pair that is not in the scene is never right
+  let missing = gradeAnswer(Object.assign({}, question, { observer: 2 }), heard, sim);
+  assert.deepEqual(missing, { answer: heard, expected: null, correct: false });
+});
+
+test("shift answers are graded against the observed shift", () => {
+  let expectations = [
+    [BASICS.steps[0], "unchanged"],
+    [BASICS.steps[1], "higher"],
+    [BASICS.steps[2], "higher"],
+    [BASICS.steps[3], "lower"],
+  ];
+  for (let [step, shift] of expectations) {
+    let question = Object.assign(stepQuestion(step), { type: "shift" });
+    let sim = runStep(step, question.at);
+    let grade = gradeAnswer(question, shift, sim);
+    assert.deepEqual(grade, { answer: shift, expected: shift, correct: true }, step.title);
+    let wrong = shift === "lower" ? "higher" : "lower";
+    assert.equal(gradeAnswer(question, wrong, sim).correct, false, step.title);
+  }
+  let question = stepQuestion({ question: { type: "shift" } });
+  assert.equal(gradeAnswer(question, "unchanged", runStep(BASICS.steps[0], 0.1)).expected, "none");
+});
+
+test("the built-in lessons are valid lesson files", () => {
+  for (let lesson of BUILT_IN_LESSONS) {
+    assert.equal(parseLesson(JSON.stringify(lesson)).id, lesson.id);
+  }
+});
+
+test("lesson files that cannot run are refused with the step at fault", () => {
+  let scene = { units: "m", sources: [{ at: [0, 0] }], observers: [{ at: [100, 0] }] };
+  let refused = [
+    ["{", /not valid JSON/],
+    [{ format: "doppler-scenario" }, /Not a Doppler lesson file/],
+    [Object.assign(lessonFile([{}]), { version: 2 }), /version 2 is newer/],
+    [Object.assign(lessonFile([{}]), { id: "" }), /no id/],
+    [lessonFile([]), /no steps/],
+    [lessonFile([{}, { preset: "Nowhere" }]), /Step 2: unknown preset "Nowhere"/],
+    [lessonFile([{ scenario: { sources: [] } }]), /Step 1: Scenario has no sources/],
+    [lessonFile([{ lock: ["time"] }]), /Step 1: unknown lock "time"/],
+    [lessonFile([{ question: { type: "guess" } }]), /Step 1: unknown question type "guess"/],
+    [lessonFile([{ question: { type: "shift", at: "4" } }]), /Step 1: question time "at"/],
+    [lessonFile([{ question: { type: "shift", at: -1 } }]), /Step 1: question time "at"/],
+    [
+      lessonFile([{ question: { type: "frequency", tolerance: "2%" } }]),
+      /Step 1: question tolerance/,
+    ],
+    [lessonFile([{ question: { type: "frequency", tolerance: 0 } }]), /Step 1: question tolerance/],
+    [lessonFile([{ question: { type: "shift", source: 0 } }]), /Step 1: no source 0/],
+    [lessonFile([{ question: { type: "shift", observer: 1.5 } }]), /Step 1: no observer 1.5/],
+    [
+      lessonFile([{ scenario: scene, question: { type: "shift", source: 2 } }]),
+      /Step 1: no source 2/,
+    ],
+    // A step without a scenario asks about the scene of the steps before
+    [
+      lessonFile([{ scenario: scene }, { question: { type: "shift", observer: 2 } }]),
+      /Step 2: no observer 2/,
+    ],
+    [
+      lessonFile([{ preset: "Two ambulances", question: { type: "shift", source: 3 } }]),
+      /Step 1: no source 3/,
+    ],
+  ];
+  for (let [data, message] of refused) {
+    assert.throws(() => parseLesson(data), message, JSON.stringify(data));
+  }
+
+  let accepted = lessonFile([
+    // Before any scenario the scene is whatever was on screen
+    { question: { type: "shift", source: 5 } },
+    { preset: "Several listeners", question: { type: "frequency", observer: 4, at: 0 } },
+    { question: { type: "shift", observer: 3, tolerance: 0.05 } },
+    { scenario: scene },
+  ]);
+  assert.equal(parseLesson(accepted), accepted);
+});
+
+test("progress counts attempts, scores lessons and survives a reload", () => {
+  let storage = stubStorage();
+  let progress = new LessonProgress(storage, "progress");
+  assert.deepEqual(progress.score(BASICS), { questions: 5, answered: 0, correct: 0 });
+
+  progress.record(BASICS.id, 1, BASICS.steps[1], { answer: 4, expected: 4.5, correct: false });
+  progress.record(BASICS.id, 1, BASICS.steps[1], { answer: 4.5, expected: 4.5, correct: true });
+  let wrongShift = { answer: "higher", expected: "lower", correct: false };
+  progress.record(BASICS.id, 3, BASICS.steps[3], wrongShift);
+  progress.setStep(BASICS.id, 4);
+  assert.equal(progress.answer(BASICS.id, 1).attempts, 2);
+  assert.equal(progress.answer(BASICS.id, 0), null);
+  assert.deepEqual(progress.score(BASICS), { questions: 5, answered: 2, correct: 1 });
+
+  let reloaded = new LessonProgress(storage, "progress");
+  assert.deepEqual(reloaded.toJSON(), progress.toJSON());
+  assert.equal(reloaded.currentStep(BASICS.id), 4);
+  assert.equal(reloaded.currentStep("other"), 0);
+
+  reloaded.clear(BASICS.id);
+  assert.equal(new LessonProgress(storage, "progress").score(BASICS).answered, 0);
+});
+
+test("progress is kept in memory when the storage fails", () => {
+  let storage = {
+    getItem: () => "{ damaged",
+    setItem: () => {
+      throw new Error("QuotaExceededError");
+    },
+  };
+  let progress = new LessonProgress(storage);
+  assert.deepEqual(progress.lessons, {});
+  progress.record(BASICS.id, 1, BASICS.steps[1], { answer: 4, expected: 4, correct: true });
+  assert.equal(progress.answer(BASICS.id, 1).correct, true);
+  assert.equal(new LessonProgress().score(BASICS).answered, 0);
+});
+
+test("the CSV export has one quoted row per answered step", () => {
+  let progress = new LessonProgress();
+  let step = { title: 'Say "when", then listen\nagain', question: { type: "shift" } };
+  progress.record("quotes", 2, step, { answer: "higher", expected: "higher", correct: true });
+  progress.record("early", 0, BASICS.steps[1], { answer: 4, expected: null, correct: false });
+
+  let [header, ...lines] = progress.toCSV().split("\n");
+  assert.equal(header, RESULT_COLUMNS.join(","));
+  let time = progress.answer("quotes", 2).time;
+  assert.equal(
+    [lines[0], lines[1]].join("\n"),
+    `quotes,3,"Say ""when"", then listen\nagain",shift,higher,higher,true,1,${time}`
+  );
+  time = progress.answer("early", 0).time;
+  assert.equal(lines[2], `early,1,An approaching source,frequency,4,,false,1,${time}`);
+  assert.equal(lines.length, 3);
+});
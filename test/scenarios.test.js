@@ -0,0 +1,106 @@
+// Tests of scenario files: damaged files and links are refused with a clear
+// message, and a scenario that cannot be applied leaves the simulation as it was
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DopplerSimulation } = require("../simulation.js");
+const {
+  PRESET_SCENARIOS,
+  applyScenario,
+  captureScenario,
+  parseScenario,
+} = require("../scenarios.js");
+
+// Visible area the presets are placed in (m)
+const AREA = { left: 0, top: 0, width: 1200, height: 800 };
+
+/**
+ * @param {Object} [trajectory] - Trajectory of the source
+ * @returns {Object} - Scenario file with one source and one observer
+ */
+function scenarioFile(trajectory) {
+  let source = { at: [100, 200] };
+  if (trajectory) source.trajectory = trajectory;
+  return {
+    format: "doppler-scenario",
+    version: 1,
+    units: "m",
+    wind: [5, 0],
+    sources: [source],
+    observers: [{ at: [600, 200] }],
+  };
+}
+
+test("every preset survives saving and loading", () => {
+  for (let scenario of PRESET_SCENARIOS) {
+    let sim = new DopplerSimulation();
+    applyScenario(sim, scenario, AREA);
+    sim.advance(1);
+    let saved = parseScenario(JSON.stringify(captureScenario(sim)));
+    assert.equal(saved.sources.length, sim.sources.length, scenario.name);
+  }
+});
+
+test("trajectories of unknown types are refused", () => {
+  assert.throws(
+    () => parseScenario(scenarioFile({ type: "bogus" })),
+    /Unknown trajectory type "bogus"/
+  );
+  assert.throws(() => parseScenario(scenarioFile({})), /Unknown trajectory type "undefined"/);
+  assert.throws(
+    () => parseScenario(scenarioFile({ type: "toString" })),
+    /Unknown trajectory type "toString"/
+  );
+});
+
+test("trajectories without the fields their type needs are refused", () => {
+  let refused = [
+    [{ type: "orbit", speed: 60 }, /"orbit" needs a center/],
+    [{ type: "orbit", center: [300, 200] }, /"orbit" needs a speed/],
+    [
+      { type: "orbit", center: [300, 200], speed: 60, radius: 0 },
+      /"orbit" needs a positive radius/,
+    ],
+    [{ type: "orbit", center: [300], speed: 60 }, /"orbit" has an invalid center/],
+    [{ type: "accelerated" }, /"accelerated" needs an acceleration/],
+    [{ type: "linear", vel: ["5", 0] }, /"linear" has an invalid vel/],
+    [{ type: "waypoints", speed: 10 }, /"waypoints" needs at least two points/],
+    [{ type: "waypoints", points: [[0, 0]], speed: 10 }, /"waypoints" needs at least two points/],
+    [{ type: "waypoints", points: [[0, 0], [100, 0]] }, /"waypoints" needs a speed or speeds/],
+    [
+      { type: "waypoints", points: [[0, 0], [100, 0]], speeds: [10] },
+      /"waypoints" needs one speed per point/,
+    ],
+  ];
+  for (let [trajectory, message] of refused) {
+    let file = scenarioFile(trajectory);
+    assert.throws(() => parseScenario(file), message, JSON.stringify(trajectory));
+  }
+
+  let accepted = [
+    { type: "linear" },
+    { type: "accelerated", acc: [-2, 0], stop: true },
+    { type: "orbit", center: [300, 200], speed: 60 },
+    { type: "waypoints", points: [[0, 0], [100, 0]], speed: 10, loop: true },
+  ];
+  for (let trajectory of accepted) {
+    let file = scenarioFile(trajectory);
+    assert.doesNotThrow(() => parseScenario(file), JSON.stringify(trajectory));
+  }
+});
+
+test("a scenario that cannot be applied leaves the simulation unchanged", () => {
+  let sim = new DopplerSimulation();
+  applyScenario(sim, PRESET_SCENARIOS[0], AREA);
+  sim.advance(1);
+  let before = sim.snapshot();
+  let wind = sim.wind.copy();
+  let sources = sim.sources;
+
+  for (let trajectory of [{ type: "orbit", speed: 60 }, { type: "bogus" }]) {
+    assert.throws(() => applyScenario(sim, scenarioFile(trajectory), AREA), /trajectory/i);
+    assert.deepEqual(sim.snapshot(), before);
+    assert.deepEqual(sim.wind, wind);
+    assert.equal(sim.sources, sources);
+  }
+});
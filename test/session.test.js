@@ -0,0 +1,94 @@
+// Tests of session recording and replay: a replay, and a seek to any step,
+// must reproduce the recorded states exactly
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DopplerSimulation } = require("../simulation.js");
+const { SessionRecorder, SessionPlayer } = require("../session.js");
+
+/**
+ * Records three seconds with a few commands, keeping the state at every
+ * recorded step
+ * @returns {Object} - { sim, session, states } with states[frame] the
+ *   snapshot after that many steps
+ */
+function record() {
+  let sim = new DopplerSimulation({ emittedFrequency: 4 });
+  sim.reset({ sources: [{ pos: { x: 0, y: 0 } }], observers: [{ pos: { x: 600, y: 0 } }] });
+  let recorder = new SessionRecorder(sim);
+  let states = [sim.snapshot()];
+
+  for (let frame = 0; frame < 360; frame++) {
+    if (frame === 10) {
+      recorder.apply({
+        type: "setMotion",
+        body: { kind: "source", index: 0 },
+        vel: [20, 0],
+        moving: true,
+      });
+    }
+    if (frame === 100) recorder.apply({ type: "addBody", kind: "observer", pos: [300, 200] });
+    if (frame >= 150 && frame < 200) {
+      recorder.apply({ type: "drag", body: { kind: "observer", index: 1 }, target: [350, 150] });
+    }
+    if (frame === 200) recorder.apply({ type: "release" });
+    if (frame === 250) {
+      recorder.apply({ type: "setFrequency", body: { kind: "source", index: 0 }, value: 6 });
+    }
+    recorder.step();
+    states.push(sim.snapshot());
+  }
+  return { sim: sim, session: recorder.finish(), states: states };
+}
+
+test("a replay reproduces the recorded state at every step", () => {
+  let { sim, session, states } = record();
+  let player = new SessionPlayer(sim, session);
+  assert.deepEqual(sim.snapshot(), states[0]);
+
+  let sampled = [];
+  player.advance(session.frames * session.stepSize, () => sampled.push(player.frame));
+  assert.equal(player.frame, session.frames);
+  assert.deepEqual(sim.snapshot(), states[session.frames]);
+
+  // The callback runs after every step, as sim.advance() calls its stepper
+  assert.deepEqual(
+    sampled,
+    Array.from({ length: session.frames }, (_, i) => i + 1)
+  );
+});
+
+test("seeking to a checkpoint and between them reproduces the recorded state", () => {
+  let { sim, session, states } = record();
+  let player = new SessionPlayer(sim, session);
+  player.seek(session.frames);
+
+  // Backwards to a stored state, then to steps between the stored states
+  for (let frame of [session.checkpointInterval, 2 * session.checkpointInterval, 175, 30, 0, 301]) {
+    player.seek(frame);
+    assert.equal(player.frame, frame);
+    assert.deepEqual(sim.snapshot(), states[frame], `step ${frame}`);
+  }
+});
+
+test("playing frame by frame calls back once per step", () => {
+  let { sim, session } = record();
+  let player = new SessionPlayer(sim, session);
+  let calls = 0;
+  let steps = player.advance(2.5 * session.stepSize, () => calls++);
+  assert.equal(steps, 2);
+  assert.equal(calls, 2);
+});
+
+test("a replay plays as many steps per frame as the live simulation", () => {
+  let { sim, session, states } = record();
+  let player = new SessionPlayer(sim, session);
+  let live = new DopplerSimulation();
+
+  // 144 fps frames add up to a step a little short of 1/120 s now and then
+  for (let frame = 0; frame < 432; frame++) {
+    assert.equal(player.advance(1 / 144), live.advance(1 / 144, () => {}), `frame ${frame}`);
+  }
+  assert.equal(player.frame, session.frames);
+  assert.deepEqual(sim.snapshot(), states[session.frames]);
+});
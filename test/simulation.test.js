@@ -0,0 +1,232 @@
+// Tests of the headless simulation model against analytic results: the
+// Doppler formulas, the lifecycle of the wavefronts and the preset scenarios
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DopplerSimulation } = require("../simulation.js");
+const { PRESET_SCENARIOS, applyScenario } = require("../scenarios.js");
+
+const TWO_PI = Math.PI * 2;
+
+// Visible area the presets are placed in (m)
+const AREA = { left: 0, top: 0, width: 1200, height: 800 };
+
+/**
+ * @param {Number} actual - Value
+ * @param {Number} expected - Expected value
+ * @param {Number} [tolerance] - Largest relative error
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance * Math.abs(expected),
+    `${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+/**
+ * @param {Object} spec - { source, observer } body specs
+ * @returns {DopplerSimulation} - Simulation with one source and one observer
+ */
+function pair(spec) {
+  let sim = new DopplerSimulation({ emittedFrequency: 4 });
+  sim.reset({ sources: [spec.source], observers: [spec.observer] });
+  return sim;
+}
+
+/**
+ * @param {String} name - Name of a preset
+ * @returns {DopplerSimulation} - Simulation with the preset applied
+ */
+function preset(name) {
+  let scenario = PRESET_SCENARIOS.find((each) => each.name === name);
+  let sim = new DopplerSimulation();
+  applyScenario(sim, scenario, AREA);
+  return sim;
+}
+
+function reading(sim, observer = 0, source = 0) {
+  return sim.observers[observer].readings[sim.sources[source].id];
+}
+
+test("an approaching source is heard at f c / (c - vs)", () => {
+  let sim = pair({
+    source: { pos: { x: 0, y: 0 }, vel: { x: 5, y: 0 }, moving: true },
+    observer: { pos: { x: 600, y: 0 } },
+  });
+  sim.advance(5);
+  let c = sim.soundSpeed;
+  assertClose(reading(sim).frequency, (4 * c) / (c - 5));
+  assertClose(reading(sim).frequency, 4.0591, 1e-4); // The README example
+});
+
+test("a moving observer hears f (c + vo) / c", () => {
+  let sim = pair({
+    source: { pos: { x: 0, y: 0 } },
+    observer: { pos: { x: 600, y: 0 }, vel: { x: -5, y: 0 }, moving: true },
+  });
+  sim.advance(5);
+  let c = sim.soundSpeed;
+  assertClose(reading(sim).frequency, (4 * (c + 5)) / c);
+});
+
+test("wavefronts are emitted at multiples of 2π of the emitted phase", () => {
+  let sim = pair({ source: { pos: { x: 0, y: 0 } }, observer: { pos: { x: 600, y: 0 } } });
+  sim.advance(2);
+  assert.equal(sim.waves.length, 8);
+  sim.waves.forEach((wave, i) => {
+    assertClose(wave.phaseAtEmission, (i + 1) * TWO_PI);
+    assertClose(wave.birthTime, (i + 1) / 4);
+  });
+});
+
+test("wavefronts are removed after maxWaveAge", () => {
+  let sim = pair({ source: { pos: { x: 0, y: 0 } }, observer: { pos: { x: 600, y: 0 } } });
+  sim.maxWaveAge = 1;
+  sim.advance(3);
+  assert.ok(sim.waves.length > 0);
+  assert.ok(sim.waves.every((wave) => sim.waveAge(wave) <= 1));
+  assert.equal(sim.waves.length, 4);
+});
+
+test("wavefronts are removed beyond maxWaveRadius", () => {
+  let sim = pair({ source: { pos: { x: 0, y: 0 } }, observer: { pos: { x: 600, y: 0 } } });
+  sim.maxWaveRadius = 100;
+  sim.advance(3);
+  assert.ok(sim.waves.length > 0);
+  assert.ok(sim.waves.every((wave) => wave.radius <= 100));
+});
+
+test("removing a source removes its wavefronts and their echoes", () => {
+  let sim = new DopplerSimulation({ emittedFrequency: 4 });
+  sim.reset({
+    sources: [{ pos: { x: 0, y: 0 } }, { pos: { x: 0, y: 200 } }],
+    observers: [{ pos: { x: 600, y: 0 } }],
+    reflectors: [{ pos: { x: 100, y: -100 }, angle: 0, length: 400 }],
+  });
+  sim.advance(2);
+  let [removed, kept] = sim.sources;
+  assert.ok(
+    sim.waves.some((wave) => wave.sourceId === removed.id && wave.reflectorId !== undefined)
+  );
+
+  let keptWaves = sim.waves.filter((wave) => wave.sourceId === kept.id);
+  sim.removeSource(0);
+  assert.deepEqual(sim.sources, [kept]);
+  assert.deepEqual(sim.waves, keptWaves);
+  sim.advance(1);
+  assert.ok(sim.waves.every((wave) => wave.sourceId === kept.id));
+});
+
+test("every preset loads and is heard as the retarded-time prediction", () => {
+  for (let scenario of PRESET_SCENARIOS) {
+    let sim = preset(scenario.name);
+    assert.equal(sim.sources.length, scenario.sources.length, scenario.name);
+    assert.equal(sim.observers.length, scenario.observers.length, scenario.name);
+    assert.equal(sim.reflectors.length, (scenario.reflectors || []).length, scenario.name);
+
+    sim.advance(6);
+    for (let observer of sim.observers) {
+      for (let source of sim.sources) {
+        let heard = observer.readings[source.id];
+        if (!heard.hasSignal) continue;
+        assertClose(heard.frequency, sim.predictedFrequency(source, observer, sim.time), 1e-6);
+      }
+    }
+  }
+});
+
+test("presets 1 to 3 give the one-dimensional Doppler formulas", () => {
+  let c;
+
+  let sim = preset("Approaching source");
+  sim.advance(6);
+  c = sim.soundSpeed;
+  assertClose(reading(sim).frequency, (4 * c) / (c - 5));
+
+  sim = preset("Approaching observer");
+  sim.advance(6);
+  assertClose(reading(sim).frequency, (4 * (c + 5)) / c);
+
+  sim = preset("Receding");
+  sim.advance(6);
+  assertClose(reading(sim).frequency, (4 * (c - 5)) / (c + 5));
+});
+
+test("wind alone gives no shift", () => {
+  let sim = preset("Wind only");
+  sim.advance(6);
+  assert.ok(reading(sim).hasSignal);
+  assertClose(reading(sim).frequency, 4);
+});
+
+test("the transverse Doppler preset is received at f / γ at closest approach", () => {
+  let sim = preset("Transverse Doppler (light)");
+  // Closest approach at 9 s, 320 m away: received 3.2 s later
+  while (sim.time < 12.2 - 1e-9) sim.step(sim.stepSize);
+  assertClose(reading(sim).frequency, 4 * 0.8, 1e-6);
+});
+
+test("a wall returns the pitch unchanged and an approaching reflector shifts it twice", () => {
+  let sim = preset("Echoes");
+  sim.advance(4);
+  let [source] = sim.sources;
+  let [observer] = sim.observers;
+  let [wall, reflector] = sim.reflectors;
+  let c = sim.soundSpeed;
+  assertClose(observer.echoes[wall.id][source.id].frequency, 4);
+  // Source and listener are slightly apart, so the echo is not quite head-on
+  assertClose(observer.echoes[reflector.id][source.id].frequency, (4 * (c + 20)) / (c - 20), 1e-3);
+});
+
+test("a source circling an observer is heard unshifted at the center", () => {
+  let sim = preset("Source circling observer");
+  sim.advance(6);
+  assertClose(reading(sim).frequency, 4);
+});
+
+test("the Mach cone reaches the oldest wavefront and ignores echoes", () => {
+  let run = (reflectors) => {
+    let sim = new DopplerSimulation({ emittedFrequency: 4 });
+    sim.reset({
+      sources: [{ pos: { x: 0, y: 0 }, vel: { x: 515, y: 0 }, moving: true }],
+      observers: [{ pos: { x: 600, y: 600 } }],
+      reflectors: reflectors,
+    });
+    sim.advance(2);
+    return sim;
+  };
+  let sim = run([{ pos: { x: 500, y: 200 }, angle: 0, length: 4000 }]);
+  assert.ok(sim.waves.some((wave) => wave.reflectorId !== undefined));
+
+  // Each wavefront is tangent to the cone at a distance age √(v² - c²)
+  let [source] = sim.sources;
+  let cone = sim.machCone(source);
+  let c = sim.soundSpeed;
+  let oldest = Math.max(...sim.waves.map((wave) => sim.waveAge(wave)));
+  assertClose(cone.length, oldest * Math.sqrt(515 ** 2 - c ** 2));
+  assertClose(cone.halfAngle, Math.asin(c / 515));
+  let withoutReflector = run([]);
+  assert.equal(cone.length, withoutReflector.machCone(withoutReflector.sources[0]).length);
+});
+
+test("the state does not depend on how the time is split into frames", () => {
+  let run = (frames) => {
+    let sim = new DopplerSimulation({ emittedFrequency: 4 });
+    sim.reset({
+      sources: [{ pos: { x: 0, y: 0 }, vel: { x: 40, y: 0 }, moving: true }],
+      observers: [{ pos: { x: 600, y: 0 } }],
+      reflectors: [{ pos: { x: 300, y: -100 }, angle: 0, length: 400 }],
+    });
+    for (let dt of frames) sim.advance(dt);
+    return sim.snapshot();
+  };
+  let at30fps = run(new Array(90).fill(1 / 30));
+  let at144fps = run(new Array(432).fill(1 / 144));
+  assert.equal(at30fps.time, at144fps.time);
+  assert.deepEqual(at30fps, at144fps);
+
+  // Uneven frames (1/20, 1/30 and 1/60 s in turn) adding up to the same 3 s
+  let uneven = [];
+  for (let i = 0; i < 90; i++) uneven.push([1 / 20, 1 / 30, 1 / 60][i % 3]);
+  assert.deepEqual(run(uneven), at30fps);
+});
@@ -0,0 +1,117 @@
+// Tests of the spectrum analyzer against known sine inputs
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  fft,
+  hannWindow,
+  magnitudeSpectrum,
+  findPeaks,
+  SignalBuffer,
+} = require("../spectrum.js");
+
+const SAMPLE_RATE = 64; // Hz
+const SIZE = 512; // Samples, so bins are 0.125 Hz apart
+const BIN_WIDTH = SAMPLE_RATE / SIZE;
+
+/**
+ * @param {Object[]} list - Tones { frequency (Hz), amplitude }
+ * @param {Number} [size] - Number of samples
+ * @returns {Float64Array} - Sum of the sines sampled at SAMPLE_RATE
+ */
+function tones(list, size = SIZE) {
+  let samples = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    for (let tone of list) {
+      samples[i] += tone.amplitude * Math.sin((2 * Math.PI * tone.frequency * i) / SAMPLE_RATE);
+    }
+  }
+  return samples;
+}
+
+/**
+ * @param {Float64Array} magnitudes - Spectrum magnitudes
+ * @returns {Number} - Index of the largest bin
+ */
+function largestBin(magnitudes) {
+  let best = 0;
+  for (let k = 1; k < magnitudes.length; k++) {
+    if (magnitudes[k] > magnitudes[best]) best = k;
+  }
+  return best;
+}
+
+test("the FFT of a sine on a bin has a single pair of lines", () => {
+  let n = 16;
+  let re = Array.from({ length: n }, (_, i) => Math.sin((2 * Math.PI * 3 * i) / n));
+  let im = new Array(n).fill(0);
+  fft(re, im);
+  for (let k = 0; k < n; k++) {
+    let magnitude = Math.hypot(re[k], im[k]);
+    assert.ok(Math.abs(magnitude - (k === 3 || k === n - 3 ? n / 2 : 0)) < 1e-9, `bin ${k}`);
+  }
+});
+
+test("a pure sine peaks at its bin with its amplitude", () => {
+  let spectrum = magnitudeSpectrum(tones([{ frequency: 4, amplitude: 0.8 }]), SAMPLE_RATE);
+  assert.equal(spectrum.frequencies.length, SIZE / 2 + 1);
+  assert.equal(largestBin(spectrum.magnitudes), 4 / BIN_WIDTH);
+
+  let [peak] = findPeaks(spectrum);
+  assert.ok(Math.abs(peak.frequency - 4) <= BIN_WIDTH);
+  assert.ok(Math.abs(peak.magnitude - 0.8) < 1e-9);
+});
+
+test("a sine between bins is located within one bin", () => {
+  let spectrum = magnitudeSpectrum(tones([{ frequency: 4.06, amplitude: 1 }]), SAMPLE_RATE);
+  let [peak] = findPeaks(spectrum);
+  assert.ok(Math.abs(peak.frequency - 4.06) <= BIN_WIDTH);
+  assert.ok(Math.abs(peak.frequency - 4.06) < 0.1 * BIN_WIDTH); // Sub-bin fit
+});
+
+test("two tones give two peaks, largest first", () => {
+  let signal = tones([
+    { frequency: 4.5, amplitude: 0.5 },
+    { frequency: 6.7, amplitude: 1 },
+  ]);
+  let peaks = findPeaks(magnitudeSpectrum(signal, SAMPLE_RATE));
+  assert.equal(peaks.length, 2);
+  assert.ok(Math.abs(peaks[0].frequency - 6.7) <= BIN_WIDTH);
+  assert.ok(Math.abs(peaks[1].frequency - 4.5) <= BIN_WIDTH);
+  assert.ok(peaks[0].magnitude > peaks[1].magnitude);
+});
+
+test("lengths that are not a power of two are rejected", () => {
+  assert.throws(() => fft(new Array(500).fill(0), new Array(500).fill(0)), /power of two/);
+  assert.throws(() => magnitudeSpectrum(new Float64Array(500), SAMPLE_RATE), /power of two/);
+  assert.throws(() => fft([], []), /power of two/);
+});
+
+test("a partly filled buffer is padded to its power-of-two size", () => {
+  let buffer = new SignalBuffer({ sampleRate: SAMPLE_RATE, size: SIZE });
+  let signal = tones([{ frequency: 4, amplitude: 1 }], 300);
+  signal.forEach((value, i) => buffer.push(i / SAMPLE_RATE, value));
+
+  let samples = buffer.samples();
+  assert.equal(samples.length, SIZE);
+  assert.ok(samples.slice(0, SIZE - 300).every((value) => value === 0));
+  let [peak] = findPeaks(buffer.spectrum());
+  assert.ok(Math.abs(peak.frequency - 4) <= BIN_WIDTH);
+});
+
+test("the Hann window tapers to zero and keeps leakage local", () => {
+  let window = hannWindow(8);
+  assert.equal(window[0], 0);
+  assert.ok(Math.abs(window[4] - 1) < 1e-12);
+  assert.ok(Math.abs(window[2] - window[6]) < 1e-12);
+
+  // A sine halfway between bins leaks into its neighbours, but ten bins away
+  // the window has brought the leakage below a thousandth
+  let frequency = 4 + BIN_WIDTH / 2;
+  let signal = tones([{ frequency: frequency, amplitude: 1 }]);
+  let { magnitudes } = magnitudeSpectrum(signal, SAMPLE_RATE);
+  let center = Math.round(frequency / BIN_WIDTH);
+  assert.ok(magnitudes[center] > 0.5);
+  assert.ok(magnitudes[center + 10] < 1e-3);
+  assert.ok(magnitudes[center - 10] < 1e-3);
+});
@@ -0,0 +1,223 @@
+// Scripted trajectories for sources, observers and reflectors
+// A trajectory gives a body's position and velocity as functions of the time
+// since it started, so velocities are exact rather than differences between
+// frames. Specs are plain JSON objects (positions in meters, as {x, y}):
+//   { type: "linear" }                                   constant velocity
+//   { type: "accelerated", acc: {x, y}, stop: true }      constant acceleration
+//   { type: "orbit", center: {x, y}, speed, radius, clockwise }
+//   { type: "waypoints", points: [{x, y}, ...], speeds: [...], loop }
+// The linear and accelerated types start from the body's position and
+// velocity unless the spec gives a start and vel; an orbit starts at the
+// body's angle around its center unless it gives a startAngle. toJSON()
+// returns a complete spec that recreates the same trajectory.
+
+(function (exports) {
+  const { Vector2 } =
+    typeof module !== "undefined" ? require("./vector.js") : exports;
+
+  function vectorOr(value, fallback) {
+    return value ? new Vector2(value.x, value.y) : fallback.copy();
+  }
+
+  function plain(v) {
+    return { x: v.x, y: v.y };
+  }
+
+  // Motion at constant velocity from a starting point
+  class LinearTrajectory {
+    constructor(spec, pos, vel) {
+      this.start = vectorOr(spec.start, pos);
+      this.vel = vectorOr(spec.vel, vel);
+    }
+
+    toJSON() {
+      return { type: "linear", start: plain(this.start), vel: plain(this.vel) };
+    }
+
+    position(t) {
+      return Vector2.add(this.start, Vector2.mult(this.vel, t));
+    }
+
+    velocity() {
+      return this.vel.copy();
+    }
+  }
+
+  // Motion at constant acceleration. With stop set, the body comes to rest
+  // when its speed is lowest (for braking: when it stops) and stays there.
+  class AcceleratedTrajectory {
+    constructor(spec, pos, vel) {
+      this.start = vectorOr(spec.start, pos);
+      this.vel = vectorOr(spec.vel, vel);
+      this.acc = new Vector2(spec.acc.x, spec.acc.y);
+      this.stop = Boolean(spec.stop);
+
+      let accSq = Vector2.dot(this.acc, this.acc);
+      let stopTime = accSq > 0 ? -Vector2.dot(this.vel, this.acc) / accSq : 0;
+      this.stopTime = this.stop && stopTime > 0 ? stopTime : Infinity;
+    }
+
+    toJSON() {
+      return {
+        type: "accelerated",
+        start: plain(this.start),
+        vel: plain(this.vel),
+        acc: plain(this.acc),
+        stop: this.stop,
+      };
+    }
+
+    position(t) {
+      t = Math.min(t, this.stopTime);
+      return Vector2.add(this.start, Vector2.mult(this.vel, t)).add(
+        Vector2.mult(this.acc, 0.5 * t * t)
+      );
+    }
+
+    velocity(t) {
+      if (t > this.stopTime) return new Vector2(0, 0);
+      return Vector2.add(this.vel, Vector2.mult(this.acc, t));
+    }
+  }
+
+  // Uniform circular motion around a fixed center
+  class OrbitTrajectory {
+    constructor(spec, pos) {
+      this.center = new Vector2(spec.center.x, spec.center.y);
+      let offset = Vector2.sub(pos, this.center);
+      this.radius = spec.radius || offset.mag();
+      this.startAngle =
+        spec.startAngle !== undefined ? spec.startAngle : offset.heading();
+      this.speed = spec.speed;
+      this.clockwise = spec.clockwise !== false;
+      // Angular velocity (rad/s); positive is clockwise on screen (y down)
+      this.omega = (this.speed / this.radius) * (this.clockwise ? 1 : -1);
+    }
+
+    toJSON() {
+      return {
+        type: "orbit",
+        center: plain(this.center),
+        radius: this.radius,
+        startAngle: this.startAngle,
+        speed: this.speed,
+        clockwise: this.clockwise,
+      };
+    }
+
+    position(t) {
+      let angle = this.startAngle + this.omega * t;
+      return new Vector2(
+        this.center.x + this.radius * Math.cos(angle),
+        this.center.y + this.radius * Math.sin(angle)
+      );
+    }
+
+    velocity(t) {
+      let angle = this.startAngle + this.omega * t;
+      let speed = this.omega * this.radius;
+      return new Vector2(-speed * Math.sin(angle), speed * Math.cos(angle));
+    }
+  }
+
+  // A polyline of waypoints. Each waypoint has a speed, and the speed changes
+  // at a constant rate along each leg between them. The body stops at the last
+  // waypoint, or goes round again when the path loops.
+  class WaypointTrajectory {
+    constructor(spec) {
+      this.spec = JSON.parse(JSON.stringify(spec));
+      let points = spec.points.map((p) => new Vector2(p.x, p.y));
+      let speeds = spec.points.map((p, i) =>
+        Array.isArray(spec.speeds) ? spec.speeds[i] : spec.speed
+      );
+      if (spec.loop) {
+        points.push(points[0].copy());
+        speeds.push(speeds[0]);
+      }
+      this.loop = Boolean(spec.loop);
+
+      // Precompute each leg: direction, initial speed, acceleration, duration
+      this.legs = [];
+      this.duration = 0;
+      for (let i = 0; i < points.length - 1; i++) {
+        let delta = Vector2.sub(points[i + 1], points[i]);
+        let length = delta.mag();
+        let v0 = speeds[i];
+        let v1 = speeds[i + 1];
+        if (length === 0 || v0 + v1 <= 0) continue;
+
+        let duration = (2 * length) / (v0 + v1);
+        this.legs.push({
+          start: points[i],
+          direction: delta.normalize(),
+          speed: v0,
+          acc: (v1 - v0) / duration,
+          startTime: this.duration,
+          duration: duration,
+        });
+        this.duration += duration;
+      }
+      this.end = points[points.length - 1];
+    }
+
+    toJSON() {
+      return JSON.parse(JSON.stringify(this.spec));
+    }
+
+    /**
+     * @param {Number} t - Time since the start (s)
+     * @returns {Object} - Leg the body is on and the time into it, or null
+     *   once a non-looping path is finished
+     */
+    legAt(t) {
+      if (this.legs.length === 0) return null;
+      if (this.loop) {
+        t = ((t % this.duration) + this.duration) % this.duration;
+      } else if (t >= this.duration) {
+        return null;
+      }
+
+      let leg = this.legs.find((leg) => t < leg.startTime + leg.duration);
+      leg = leg || this.legs[this.legs.length - 1];
+      return { leg: leg, tau: t - leg.startTime };
+    }
+
+    position(t) {
+      let at = this.legAt(t);
+      if (!at) return this.end.copy();
+      let distance = at.leg.speed * at.tau + 0.5 * at.leg.acc * at.tau * at.tau;
+      return Vector2.add(at.leg.start, Vector2.mult(at.leg.direction, distance));
+    }
+
+    velocity(t) {
+      let at = this.legAt(t);
+      if (!at) return new Vector2(0, 0);
+      return Vector2.mult(at.leg.direction, at.leg.speed + at.leg.acc * at.tau);
+    }
+  }
+
+  const TRAJECTORY_TYPES = {
+    linear: LinearTrajectory,
+    accelerated: AcceleratedTrajectory,
+    orbit: OrbitTrajectory,
+    waypoints: WaypointTrajectory,
+  };
+
+  /**
+   * Builds a trajectory from its spec
+   * @param {Object} spec - Trajectory spec (see the top of this file)
+   * @param {Vector2} pos - Body position when the trajectory starts (m)
+   * @param {Vector2} vel - Body velocity when the trajectory starts (m/s)
+   * @returns {Object} - Trajectory with position(t) and velocity(t)
+   */
+  function createTrajectory(spec, pos, vel) {
+    let Type = TRAJECTORY_TYPES[spec.type];
+    if (!Type) {
+      throw new Error(`Unknown trajectory type: ${spec.type}`);
+    }
+    return new Type(spec, pos, vel);
+  }
+
+  exports.TRAJECTORY_TYPES = TRAJECTORY_TYPES;
+  exports.createTrajectory = createTrajectory;
+})(typeof module !== "undefined" ? module.exports : this);
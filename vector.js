@@ -0,0 +1,114 @@
+// Minimal 2D vector for the headless simulation core
+// Mirrors the subset of the p5.Vector API used by the simulation so the
+// physics can run in plain Node without a canvas.
+
+(function (exports) {
+  class Vector2 {
+    constructor(x = 0, y = 0) {
+      this.x = x;
+      this.y = y;
+    }
+
+    /**
+     * Sets the components of this vector
+     * @param {Number|Vector2} x - X component, or a vector to copy
+     * @param {Number} y - Y component
+     * @returns {Vector2} - This vector
+     */
+    set(x, y) {
+      if (x instanceof Vector2) {
+        this.x = x.x;
+        this.y = x.y;
+      } else {
+        this.x = x;
+        this.y = y;
+      }
+      return this;
+    }
+
+    copy() {
+      return new Vector2(this.x, this.y);
+    }
+
+    add(v) {
+      this.x += v.x;
+      this.y += v.y;
+      return this;
+    }
+
+    sub(v) {
+      this.x -= v.x;
+      this.y -= v.y;
+      return this;
+    }
+
+    mult(n) {
+      this.x *= n;
+      this.y *= n;
+      return this;
+    }
+
+    div(n) {
+      this.x /= n;
+      this.y /= n;
+      return this;
+    }
+
+    mag() {
+      return Math.hypot(this.x, this.y);
+    }
+
+    /**
+     * Scales this vector to unit length (zero vectors are left unchanged)
+     * @returns {Vector2} - This vector
+     */
+    normalize() {
+      let length = this.mag();
+      if (length > 0) {
+        this.div(length);
+      }
+      return this;
+    }
+
+    dot(v) {
+      return this.x * v.x + this.y * v.y;
+    }
+
+    heading() {
+      return Math.atan2(this.y, this.x);
+    }
+
+    static add(a, b) {
+      return new Vector2(a.x + b.x, a.y + b.y);
+    }
+
+    static sub(a, b) {
+      return new Vector2(a.x - b.x, a.y - b.y);
+    }
+
+    static mult(v, n) {
+      return new Vector2(v.x * n, v.y * n);
+    }
+
+    static dot(a, b) {
+      return a.x * b.x + a.y * b.y;
+    }
+
+    static dist(a, b) {
+      return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Linearly interpolates between two vectors
+     * @param {Vector2} a - Start vector
+     * @param {Vector2} b - End vector
+     * @param {Number} t - Interpolation amount (0-1)
+     * @returns {Vector2} - New interpolated vector
+     */
+    static lerp(a, b, t) {
+      return new Vector2(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+    }
+  }
+
+  exports.Vector2 = Vector2;
+})(typeof module !== "undefined" ? module.exports : this);
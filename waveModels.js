@@ -0,0 +1,144 @@
+// Wave models for the Doppler effect simulation
+// A wave model supplies the wave speed, the velocity of the medium (if any)
+// and the Doppler formula. Sound uses the classical acoustic formula in a
+// medium that may move (wind); light uses the relativistic formula with no
+// preferred frame.
+
+(function (exports) {
+  const { Vector2 } =
+    typeof module !== "undefined" ? require("./vector.js") : exports;
+
+  const NO_WIND = new Vector2(0, 0);
+
+  // Fastest allowed speed as a fraction of the speed of light
+  const MAX_BETA = 0.99;
+
+  /**
+   * Observed frequency of a wavefront for a moving observer
+   * f' = f * (v - vo)/(v - vs), with vo and vs the velocity components along
+   * the direction from the wave center to the observer. Velocities are taken
+   * relative to the medium, so a wind w enters as vo - w and vs - w.
+   * @param {Object} wave - Wavefront with pos (center), sourceVel and sourceFreq
+   * @param {Vector2} observerPos - Observer position (m)
+   * @param {Vector2} observerVel - Observer velocity (m/s)
+   * @param {Number} soundSpeed - Wave speed relative to the medium (m/s)
+   * @param {Vector2} [wind] - Velocity of the medium (m/s)
+   * @returns {Number} - Unclamped observed frequency (Hz)
+   */
+  function observerDopplerFrequency(
+    wave,
+    observerPos,
+    observerVel,
+    soundSpeed,
+    wind = NO_WIND
+  ) {
+    let directionVector = Vector2.sub(observerPos, wave.pos).normalize();
+    let sourceVelocityComponent = Vector2.dot(
+      Vector2.sub(wave.sourceVel, wind),
+      directionVector
+    );
+    let observerVelocityComponent = Vector2.dot(
+      Vector2.sub(observerVel, wind),
+      directionVector
+    );
+
+    return (
+      (wave.sourceFreq * (soundSpeed - observerVelocityComponent)) /
+      (soundSpeed - sourceVelocityComponent)
+    );
+  }
+
+  /**
+   * Frequency of a wavefront as seen by an observer at rest on the ground
+   * f' = f * v/(v - vs) in still air
+   * @param {Object} wave - Wavefront with pos (center), sourceVel and sourceFreq
+   * @param {Vector2} observerPos - Observer position (m)
+   * @param {Number} soundSpeed - Wave speed relative to the medium (m/s)
+   * @param {Vector2} [wind] - Velocity of the medium (m/s)
+   * @returns {Number} - Unclamped apparent frequency (Hz)
+   */
+  function apparentDopplerFrequency(wave, observerPos, soundSpeed, wind = NO_WIND) {
+    return observerDopplerFrequency(
+      wave,
+      observerPos,
+      NO_WIND,
+      soundSpeed,
+      wind
+    );
+  }
+
+  /**
+   * @param {Number} speed - Speed (m/s)
+   * @param {Number} lightSpeed - Speed of light (m/s)
+   * @returns {Number} - Lorentz factor 1/sqrt(1 - (v/c)^2)
+   */
+  function lorentzFactor(speed, lightSpeed) {
+    let beta = speed / lightSpeed;
+    return 1 / Math.sqrt(1 - beta * beta);
+  }
+
+  /**
+   * Relativistic Doppler shift for arbitrary source and observer motion
+   * f' = f * γo (1 - n·βo) / (γs (1 - n·βs)), with n the direction from the
+   * emission point to the observer. When the motion is perpendicular to n
+   * only the time dilation factors remain: the transverse Doppler effect.
+   * @param {Object} wave - Wavefront with pos (emission point), sourceVel and sourceFreq
+   * @param {Vector2} observerPos - Observer position (m)
+   * @param {Vector2} observerVel - Observer velocity (m/s)
+   * @param {Number} lightSpeed - Speed of light (m/s)
+   * @returns {Number} - Observed frequency (Hz)
+   */
+  function relativisticDopplerFrequency(wave, observerPos, observerVel, lightSpeed) {
+    let directionVector = Vector2.sub(observerPos, wave.pos).normalize();
+    let sourceBeta = Vector2.dot(wave.sourceVel, directionVector) / lightSpeed;
+    let observerBeta = Vector2.dot(observerVel, directionVector) / lightSpeed;
+    let sourceGamma = lorentzFactor(wave.sourceVel.mag(), lightSpeed);
+    let observerGamma = lorentzFactor(observerVel.mag(), lightSpeed);
+
+    return (
+      (wave.sourceFreq * observerGamma * (1 - observerBeta)) /
+      (sourceGamma * (1 - sourceBeta))
+    );
+  }
+
+  // Sound: classical acoustic Doppler effect in a (possibly moving) medium
+  const SOUND_MODEL = {
+    name: "sound",
+    waveSpeed: (sim) => sim.soundSpeed,
+    mediumVelocity: (sim) => sim.wind,
+    maxSpeed: () => Infinity,
+    observedFrequency: (wave, observerPos, observerVel, sim) =>
+      observerDopplerFrequency(
+        wave,
+        observerPos,
+        observerVel,
+        sim.soundSpeed,
+        sim.wind
+      ),
+    classicalFrequency: null,
+  };
+
+  // Light: relativistic Doppler effect with no medium. The classical result
+  // (the acoustic formula with c as the wave speed) is kept for comparison.
+  const LIGHT_MODEL = {
+    name: "light",
+    waveSpeed: (sim) => sim.lightSpeed,
+    mediumVelocity: () => NO_WIND,
+    maxSpeed: (sim) => sim.lightSpeed * MAX_BETA,
+    observedFrequency: (wave, observerPos, observerVel, sim) =>
+      relativisticDopplerFrequency(wave, observerPos, observerVel, sim.lightSpeed),
+    classicalFrequency: (wave, observerPos, observerVel, sim) =>
+      observerDopplerFrequency(wave, observerPos, observerVel, sim.lightSpeed),
+  };
+
+  const WAVE_MODELS = {
+    sound: SOUND_MODEL,
+    light: LIGHT_MODEL,
+  };
+
+  exports.observerDopplerFrequency = observerDopplerFrequency;
+  exports.apparentDopplerFrequency = apparentDopplerFrequency;
+  exports.lorentzFactor = lorentzFactor;
+  exports.relativisticDopplerFrequency = relativisticDopplerFrequency;
+  exports.WAVE_MODELS = WAVE_MODELS;
+})(typeof module !== "undefined" ? module.exports : this);